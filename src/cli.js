@@ -0,0 +1,492 @@
+#!/usr/bin/env node
+// Headless counterpart of the web UI, for scripting demo-tenant setup:
+//
+//   ethos-content login --email me@example.com --organization <orgId>   (password from ETHOS_PASSWORD or stdin)
+//   ethos-content generate --topic "Photosynthesis" --out draft.json
+//   ethos-content publish draft.json --out published.json
+//   ethos-content simulate --run-id <runId>
+//   ethos-content teardown --run-id <runId> --confirm
+//
+// Drafts and results are JSON files; `-` reads stdin, and results go to stdout unless --out is given,
+// so commands can be piped. Progress and messages go to stderr.
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { z } from 'zod';
+
+import {
+  CARD_LINK_TEMPLATE,
+  DATA_DIR,
+  ETHOS_BASE_URL,
+  ETHOS_GENERATED_ATTRIBUTE_NAME,
+  ETHOS_GENERATED_GROUP_NAME,
+  ETHOS_RETRY,
+  ETHOS_STUB_AUTH,
+  SOURCE_DOCS_DIR,
+  generationBackend,
+  publishOptionsFrom,
+  userEmailDefaults,
+} from './config.js';
+import { timelineSchema } from './services/activityTimeline.js';
+import { EthosAuthService } from './services/ethosAuthService.js';
+import { EthosClient } from './services/ethosClient.js';
+import { EthosContentService } from './services/ethosContentService.js';
+import { EthosSimulationService } from './services/ethosSimulationService.js';
+import { EthosTeardownService } from './services/ethosTeardownService.js';
+import { generateDraft, simulateOutcomes } from './services/contentGenerator.js';
+import { parseDraft } from './services/draftSchema.js';
+import { COHORTS, cohortSchema } from './services/personas.js';
+import { PublishJournal } from './services/publishJournal.js';
+import { choosePublishRunId, runPublish } from './services/publishRunner.js';
+import { GENERATION_BACKENDS, QUESTION_TYPES } from './services/generation/index.js';
+
+const CREDENTIALS_FILE =
+  process.env.ETHOS_CREDENTIALS_FILE || path.join(os.homedir(), '.ethos-content-creator', 'credentials.json');
+
+const authService = new EthosAuthService({ baseUrl: ETHOS_BASE_URL, stubAuth: ETHOS_STUB_AUTH });
+const publishJournal = new PublishJournal({ dir: path.join(DATA_DIR, 'publish-runs') });
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readJson(file) {
+  if (!file) throw new UsageError('Missing JSON file (use - for stdin)');
+  const text = file === '-' ? await readStdin() : await fs.readFile(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${file === '-' ? 'stdin' : file} is not valid JSON: ${e.message}`);
+  }
+}
+
+async function writeJson(value, out) {
+  const json = `${JSON.stringify(value, null, 2)}\n`;
+  if (!out || out === '-') return process.stdout.write(json);
+  await fs.writeFile(out, json);
+  log(`Wrote ${out}`);
+}
+
+// --- Credentials -------------------------------------------------------------------------------
+// In order: ETHOS_API_KEY + ETHOS_CONTEXT_TOKEN, a login with ETHOS_EMAIL + ETHOS_PASSWORD, or the
+// token file written by `login`. Refreshed tokens are written back to the token file.
+
+async function saveCredentials(creds) {
+  await fs.mkdir(path.dirname(CREDENTIALS_FILE), { recursive: true });
+  await fs.writeFile(CREDENTIALS_FILE, JSON.stringify(creds, null, 2), { mode: 0o600 });
+}
+
+async function loadCredentials() {
+  const env = process.env;
+  if (env.ETHOS_API_KEY && env.ETHOS_CONTEXT_TOKEN) {
+    return {
+      creds: {
+        apiKey: env.ETHOS_API_KEY,
+        contextToken: env.ETHOS_CONTEXT_TOKEN,
+        organizationId: env.ETHOS_ORGANIZATION_ID || null,
+        baseUrl: ETHOS_BASE_URL,
+      },
+      cached: false,
+    };
+  }
+  if (env.ETHOS_EMAIL && env.ETHOS_PASSWORD) {
+    if (!env.ETHOS_ORGANIZATION_ID) throw new UsageError('Set ETHOS_ORGANIZATION_ID along with ETHOS_EMAIL');
+    const creds = await authService.authenticate({
+      email: env.ETHOS_EMAIL,
+      password: env.ETHOS_PASSWORD,
+      organizationId: env.ETHOS_ORGANIZATION_ID,
+    });
+    return { creds: { ...creds, email: env.ETHOS_EMAIL }, cached: false };
+  }
+  try {
+    return { creds: JSON.parse(await fs.readFile(CREDENTIALS_FILE, 'utf8')), cached: true };
+  } catch (e) {
+    if (e?.code !== 'ENOENT') throw e;
+    throw new Error('Not logged in: run `ethos-content login`, or set ETHOS_EMAIL and ETHOS_PASSWORD');
+  }
+}
+
+async function ethosSession() {
+  const { creds, cached } = await loadCredentials();
+  const client = new EthosClient({
+    ...creds,
+    retry: ETHOS_RETRY,
+    refreshCredentials: creds.refreshToken
+      ? async () => {
+          Object.assign(creds, await authService.refresh(creds));
+          if (cached) await saveCredentials(creds);
+          return creds;
+        }
+      : null,
+  });
+  return { creds, client };
+}
+
+// Publish runs are recorded per tenant, the Ethos base URL and organization the credentials are for.
+const tenantOf = (creds) => ({ baseUrl: creds.baseUrl, organizationId: creds.organizationId });
+
+// --- Commands ----------------------------------------------------------------------------------
+
+async function login(values) {
+  const email = values.email || process.env.ETHOS_EMAIL;
+  if (!email) throw new UsageError('login needs --email');
+  const organizationId = values.organization || process.env.ETHOS_ORGANIZATION_ID;
+  if (!organizationId) {
+    const organizations = await authService.getOrganizations(email);
+    const list = organizations.map((org) => `  ${org.id}  ${org.name || ''}`).join('\n');
+    throw new Error(`login needs --organization, one of:\n${list || '  (none found for this email)'}`);
+  }
+  const password = values['password-stdin'] ? (await readStdin()).trim() : process.env.ETHOS_PASSWORD;
+  if (!password) throw new UsageError('Pass the password in ETHOS_PASSWORD or on stdin with --password-stdin');
+
+  const creds = await authService.authenticate({ email, password, organizationId });
+  await saveCredentials({ ...creds, email });
+  return {
+    ok: true,
+    email,
+    organizationId,
+    baseUrl: creds.baseUrl,
+    tokenExpiresAt: Number(creds.expiresIn) > 0 ? new Date(creds.expiresIn * 1000).toISOString() : null,
+    credentialsFile: CREDENTIALS_FILE,
+  };
+}
+
+const generateSchema = z
+  .object({
+    topic: z.string().min(2).optional(),
+    file: z.string().min(1).optional(),
+    dir: z.string().min(1).optional(),
+    generator: z.enum(GENERATION_BACKENDS).optional(),
+    questionTypes: z.array(z.enum(QUESTION_TYPES)).min(1).optional(),
+    lessonsCount: z.coerce.number().int().min(0).max(20).default(1),
+    quizzesCount: z.coerce.number().int().min(0).max(20).default(1),
+    usersCount: z.coerce.number().int().min(0).max(200).default(10),
+    userEmailBase: z.string().trim().optional(),
+    userEmailDomain: z.string().trim().optional(),
+    userEmailStartIndex: z.coerce.number().int().min(1).max(100000).optional(),
+    seed: z.string().trim().min(1).max(64).optional(),
+  })
+  .refine((b) => [b.topic, b.file, b.dir].filter(Boolean).length === 1, {
+    message: 'Pass exactly one of --topic, --file or --dir',
+  });
+
+// Picks the source provider from the file extension, as the upload and paste fields do in the UI.
+async function fileSource(file) {
+  const ext = path.extname(file).toLowerCase();
+  const fileName = path.basename(file);
+  if (ext === '.pdf' || ext === '.docx') return { type: 'document', buffer: await fs.readFile(file), fileName };
+  const text = await fs.readFile(file, 'utf8');
+  if (ext === '.html' || ext === '.htm') return { type: 'html', html: text, fileName };
+  return { type: 'text', text, fileName };
+}
+
+async function generate(values) {
+  const body = generateSchema.parse({
+    topic: values.topic,
+    file: values.file,
+    dir: values.dir,
+    generator: values.generator,
+    questionTypes: values['question-types']?.split(',').map((t) => t.trim()),
+    lessonsCount: values.lessons,
+    quizzesCount: values.quizzes,
+    usersCount: values.users,
+    userEmailBase: values['email-base'],
+    userEmailDomain: values['email-domain'],
+    userEmailStartIndex: values['email-start'],
+    seed: values.seed,
+  });
+  let source;
+  if (body.file) source = await fileSource(body.file);
+  if (body.dir) source = { type: 'localDirectory', path: body.dir };
+
+  const { file, dir, ...options } = body;
+  return generateDraft({
+    ...options,
+    source,
+    ...userEmailDefaults(process.env.ETHOS_EMAIL, body),
+    generator: generationBackend(body.generator),
+    sourceConfig: { localDirectoryRoot: SOURCE_DOCS_DIR },
+  });
+}
+
+// Ctrl-C stops a publish or simulation at its next step; a publish can then be resumed by running
+// it again. A second Ctrl-C exits at once.
+function interruptSignal() {
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    log('Stopping after the current step (Ctrl-C again to quit now)...');
+    controller.abort(new Error('Interrupted'));
+    process.once('SIGINT', () => process.exit(130));
+  });
+  return controller.signal;
+}
+
+function reportProgress({ done, total, message }) {
+  log(total ? `[${done}/${total}] ${message}` : message);
+}
+
+async function publish(values, [draftFile]) {
+  const body = z
+    .object({
+      mode: z.enum(['create', 'update']).default('create'),
+      learningItemState: z.enum(['draft', 'published']).default('draft'),
+      courseId: z.string().trim().min(1).optional(),
+      createCourse: z.boolean().optional(),
+      courseTitle: z.string().trim().min(1).max(255).optional(),
+      courseState: z.enum(['draft', 'published']).default('draft'),
+      learningPlanId: z.string().trim().min(1).optional(),
+      createLearningPlan: z.boolean().optional(),
+      learningPlanName: z.string().trim().min(1).max(255).optional(),
+      runId: z.string().trim().min(1).optional(),
+      newRun: z.boolean().optional(),
+    })
+    .parse({
+      mode: values.mode,
+      learningItemState: values['item-state'],
+      courseId: values['course-id'],
+      createCourse: values['create-course'],
+      courseTitle: values['course-title'],
+      courseState: values['course-state'],
+      learningPlanId: values['learning-plan-id'],
+      createLearningPlan: values['create-learning-plan'],
+      learningPlanName: values['learning-plan-name'],
+      runId: values['run-id'],
+      newRun: values['new-run'],
+    });
+  if (body.createCourse && body.courseId) throw new UsageError('Pass either --course-id or --create-course');
+  if (body.createLearningPlan && body.learningPlanId) {
+    throw new UsageError('Pass either --learning-plan-id or --create-learning-plan');
+  }
+
+  const { draft } = parseDraft(await readJson(draftFile));
+  const { creds, client } = await ethosSession();
+  const service = new EthosContentService({ credentials: creds, client });
+  const publishOptions = publishOptionsFrom(body);
+  const options = { draft, ...publishOptions, cardLinkTemplate: CARD_LINK_TEMPLATE };
+
+  const tenant = tenantOf(creds);
+  const runId = await choosePublishRunId(publishJournal, {
+    draft,
+    publishOptions,
+    tenant,
+    runId: body.runId,
+    newRun: body.newRun,
+  });
+  if (values['dry-run']) {
+    const plan = await service.planPublish(options);
+    const run = await publishJournal.load(runId);
+    return { ...plan, publishRun: run ? run.summary() : { runId, status: 'new' } };
+  }
+
+  const run = await publishJournal.begin(runId, {
+    topic: draft.topic || null,
+    lessons: draft.lessons.length,
+    quizzes: draft.quizzes.length,
+    users: draft.users.length,
+    draftId: null,
+    tenant,
+  });
+  log(`Publish run ${runId}`);
+  return runPublish({
+    journal: publishJournal,
+    run,
+    service,
+    options,
+    onProgress: reportProgress,
+    signal: interruptSignal(),
+  });
+}
+
+const rateSchema = z.object({
+  lessonCompletionRate: z.coerce.number().min(0).max(1).default(0.8),
+  quizParticipationRate: z.coerce.number().min(0).max(1).default(0.7),
+  quizScoreMean: z.coerce.number().min(0).max(1).default(0.78),
+  quizScoreStd: z.coerce.number().min(0).max(1).default(0.12),
+  cohort: cohortSchema.optional(),
+  timeline: timelineSchema.optional(),
+  seed: z.string().trim().min(1).max(64).optional(),
+});
+
+// The publish result to act on: a journaled run of the logged-in tenant, or a result file written
+// by `publish`. Another tenant's run is treated as not found.
+async function publishedFrom(values, creds) {
+  if (values['run-id']) {
+    const run = await publishJournal.load(values['run-id']);
+    if (!run?.belongsTo(tenantOf(creds))) throw new Error(`Publish run ${values['run-id']} not found in ${publishJournal.dir}`);
+    return { run, published: run.createdSoFar() };
+  }
+  if (values.published) return { run: null, published: await readJson(values.published) };
+  throw new UsageError('Pass --run-id or --published <result.json>');
+}
+
+async function simulate(values) {
+  const options = rateSchema.parse({
+    lessonCompletionRate: values['lesson-completion'],
+    quizParticipationRate: values['quiz-participation'],
+    quizScoreMean: values['score-mean'],
+    quizScoreStd: values['score-std'],
+    // A cohort name, or a JSON file with `{ shares, personas }`.
+    cohort: values.cohort && !COHORTS[values.cohort] ? await readJson(values.cohort) : values.cohort,
+    // Either flag backdates the activity; the window defaults to the 30 days before now.
+    timeline:
+      values['timeline-days'] || values['timeline-end']
+        ? { windowDays: values['timeline-days'] && Number(values['timeline-days']), end: values['timeline-end'] }
+        : undefined,
+    seed: values.seed,
+  });
+  // --local simulates a draft offline instead of writing activity to Ethos.
+  if (values.local) {
+    const { draft } = parseDraft(await readJson(values.local));
+    return simulateOutcomes({ users: draft.users, lessons: draft.lessons, quizzes: draft.quizzes, ...options });
+  }
+  const { creds, client } = await ethosSession();
+  const { published } = await publishedFrom(values, creds);
+  const service = new EthosSimulationService({ credentials: creds, client });
+  return service.runSimulation(
+    { ...options, published, debug: values.debug },
+    { onProgress: reportProgress, signal: interruptSignal() },
+  );
+}
+
+async function teardown(values) {
+  const { creds, client } = await ethosSession();
+  const { run, published } = await publishedFrom(values, creds);
+  const service = new EthosTeardownService({ credentials: creds, client });
+  const dryRun = !values.confirm;
+  const result = await service.teardown(published, {
+    dryRun,
+    includeReusedUsers: Boolean(values['include-reused-users']),
+    attributeName: ETHOS_GENERATED_ATTRIBUTE_NAME,
+    groupName: ETHOS_GENERATED_GROUP_NAME,
+  });
+  if (run && !dryRun && result.summary.failed === 0) await run.markTornDown(result.summary);
+  if (dryRun) log('Dry run: nothing was changed. Pass --confirm to tear down.');
+  return { runId: run?.runId || null, ...result };
+}
+
+// --- Entry point -------------------------------------------------------------------------------
+
+const out = { type: 'string', short: 'o' };
+const runInput = { 'run-id': { type: 'string' }, published: { type: 'string' } };
+
+const COMMANDS = {
+  login: {
+    run: login,
+    options: { email: { type: 'string' }, organization: { type: 'string' }, 'password-stdin': { type: 'boolean' } },
+  },
+  generate: {
+    run: generate,
+    options: {
+      topic: { type: 'string' },
+      file: { type: 'string' },
+      dir: { type: 'string' },
+      generator: { type: 'string' },
+      'question-types': { type: 'string' },
+      lessons: { type: 'string' },
+      quizzes: { type: 'string' },
+      users: { type: 'string' },
+      'email-base': { type: 'string' },
+      'email-domain': { type: 'string' },
+      'email-start': { type: 'string' },
+      seed: { type: 'string' },
+      out,
+    },
+  },
+  publish: {
+    run: publish,
+    positionals: '<draft.json|->',
+    options: {
+      'dry-run': { type: 'boolean' },
+      mode: { type: 'string' },
+      'item-state': { type: 'string' },
+      'course-id': { type: 'string' },
+      'create-course': { type: 'boolean' },
+      'course-title': { type: 'string' },
+      'course-state': { type: 'string' },
+      'learning-plan-id': { type: 'string' },
+      'create-learning-plan': { type: 'boolean' },
+      'learning-plan-name': { type: 'string' },
+      'run-id': { type: 'string' },
+      'new-run': { type: 'boolean' },
+      out,
+    },
+  },
+  simulate: {
+    run: simulate,
+    options: {
+      ...runInput,
+      local: { type: 'string' },
+      'lesson-completion': { type: 'string' },
+      'quiz-participation': { type: 'string' },
+      'score-mean': { type: 'string' },
+      'score-std': { type: 'string' },
+      cohort: { type: 'string' },
+      'timeline-days': { type: 'string' },
+      'timeline-end': { type: 'string' },
+      seed: { type: 'string' },
+      debug: { type: 'boolean' },
+      out,
+    },
+  },
+  teardown: {
+    run: teardown,
+    options: { ...runInput, confirm: { type: 'boolean' }, 'include-reused-users': { type: 'boolean' }, out },
+  },
+};
+
+function usage() {
+  const lines = Object.entries(COMMANDS).map(([name, { positionals, options }]) => {
+    const flags = Object.entries(options).map(([flag, o]) => (o.type === 'boolean' ? `[--${flag}]` : `[--${flag} …]`));
+    return `  ${[name, positionals, ...flags].filter(Boolean).join(' ')}`;
+  });
+  return `Usage: ethos-content <command> [options]\n\n${lines.join('\n')}\n`;
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    process.stdout.write(usage());
+    return;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command: ${name}`);
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: command.options, allowPositionals: Boolean(command.positionals) });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const result = await command.run(parsed.values, parsed.positionals);
+  await writeJson(result, parsed.values.out);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof UsageError) {
+    log(`${err.message}\n\n${usage()}`);
+    process.exitCode = 2;
+    return;
+  }
+  const issues = err instanceof z.ZodError ? err.issues.map((i) => `${i.path.join('.')}: ${i.message}`) : null;
+  log(`Error: ${issues ? issues.join('\n') : err?.message || err}`);
+  if (err?.method && err?.url) log(`Request: ${err.method} ${err.url}`);
+  if (err?.data) log(`Details: ${JSON.stringify(err.data, null, 2)}`);
+  if (err?.publishRun) {
+    log(`Publish run ${err.publishRun.runId} is ${err.publishRun.status}; run the command again to resume it.`);
+  }
+  process.exitCode = 1;
+});
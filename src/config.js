@@ -0,0 +1,76 @@
+import path from 'node:path';
+
+import dotenv from 'dotenv';
+
+import { createGenerationBackend } from './services/generation/index.js';
+
+// Settings from config.env shared by the web server and the CLI. Services never read the environment
+// themselves; the entry points pass these in.
+
+dotenv.config({ path: 'config.env', quiet: true });
+
+const env = process.env;
+
+export const ETHOS_BASE_URL = env.ETHOS_BASE_URL || 'https://api.ethossystems.com';
+// Logins against the mock Ethos server (npm run mock-ethos) skip Cognito.
+export const ETHOS_STUB_AUTH = String(env.ETHOS_STUB_AUTH || '').toLowerCase() === 'true';
+export const SOURCE_DOCS_DIR = env.SOURCE_DOCS_DIR || '';
+export const DATA_DIR = path.resolve(env.DATA_DIR || 'data');
+export const LLM_CONFIG = {
+  baseUrl: env.LLM_BASE_URL || '',
+  apiKey: env.LLM_API_KEY || '',
+  model: env.LLM_MODEL || '',
+  timeoutMs: Number(env.LLM_TIMEOUT_MS || 60_000),
+};
+// Retries for rate-limited or dropped Ethos requests; unset values fall back to EthosClient defaults.
+export const ETHOS_RETRY = Object.fromEntries(
+  Object.entries({
+    retries: env.ETHOS_MAX_RETRIES,
+    baseDelayMs: env.ETHOS_RETRY_BASE_DELAY_MS,
+    maxDelayMs: env.ETHOS_RETRY_MAX_DELAY_MS,
+  })
+    .filter(([, v]) => v !== undefined && v !== '')
+    .map(([k, v]) => [k, Number(v)]),
+);
+export const ETHOS_GENERATED_ATTRIBUTE_NAME = env.ETHOS_GENERATED_ATTRIBUTE_NAME || 'EthosGenerated';
+export const ETHOS_GENERATED_GROUP_NAME = env.ETHOS_GENERATED_GROUP_NAME || 'Ethos Generated Learners';
+export const CARD_LINK_TEMPLATE = env.ETHOS_CARD_LINK_TEMPLATE || null;
+
+export function generationBackend(name) {
+  return createGenerationBackend(name || env.LLM_BACKEND || 'heuristic', LLM_CONFIG);
+}
+
+// If not explicitly provided, prefer env defaults; if those are missing,
+// derive from the logged-in user's email (when available).
+export function userEmailDefaults(email, body) {
+  const [sessionBase, sessionDomain] = email?.includes('@') ? email.split('@') : ['', ''];
+  const defaultBase = env.USER_EMAIL_BASE || sessionBase || '';
+  const defaultDomain = env.USER_EMAIL_DOMAIN || sessionDomain || '';
+  return {
+    userEmailBase: body.userEmailBase || defaultBase,
+    userEmailDomain: body.userEmailDomain || defaultDomain,
+    userEmailStartIndex: body.userEmailStartIndex || Number(env.USER_EMAIL_START_INDEX || 1),
+  };
+}
+
+// Publish options from a request, with config.env defaults for what it leaves out. These options
+// (not the card link template) are part of the publish run ID.
+export function publishOptionsFrom(body) {
+  return {
+    courseId: body.createCourse ? null : body.courseId || env.DEFAULT_COURSE_ID || null,
+    newCourse: body.createCourse
+      ? { title: body.courseTitle || null, description: body.courseDescription || null, state: body.courseState }
+      : null,
+    learningPlanId: body.createLearningPlan ? null : body.learningPlanId || env.DEFAULT_LEARNING_PLAN_ID || null,
+    newLearningPlan: body.createLearningPlan ? { name: body.learningPlanName || null } : null,
+    learningItemState: body.learningItemState,
+    reuseExistingUsers: body.reuseExistingUsers ?? true,
+    enableEthosGeneratedGroup: body.enableEthosGeneratedGroup ?? true,
+    ethosGeneratedAttributeName: body.ethosGeneratedAttributeName || ETHOS_GENERATED_ATTRIBUTE_NAME,
+    ethosGeneratedGroupName: body.ethosGeneratedGroupName || ETHOS_GENERATED_GROUP_NAME,
+    autoPublishCourse: body.autoPublishCourse ?? String(env.AUTO_PUBLISH_COURSE || '').toLowerCase() === 'true',
+    autoPublishLearningItems:
+      body.autoPublishLearningItems ?? String(env.AUTO_PUBLISH_LEARNING_ITEMS || '').toLowerCase() === 'true',
+    mode: body.mode,
+  };
+}
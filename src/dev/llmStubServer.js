@@ -0,0 +1,154 @@
+// Deterministic stand-in for an OpenAI-compatible chat endpoint, for offline development.
+// Point LLM_BASE_URL at http://localhost:5181/v1 and set LLM_BACKEND=openai.
+//
+// Replies are derived only from the task JSON in the last user message, so the same input always
+// yields the same output. Model names select misbehaviour for exercising validation:
+//   stub-invalid -> schema-invalid JSON, stub-garbage -> non-JSON text, stub-error -> HTTP 500.
+import { pathToFileURL } from 'node:url';
+
+import express from 'express';
+
+const PORT = Number(process.env.LLM_STUB_PORT || 5181);
+
+function sentencesOf(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/g)
+    .map((s) => s.trim())
+    .filter((s) => s.length >= 40 && s.length <= 300);
+}
+
+function keywordsOf(sentence) {
+  return [...new Set(sentence.match(/\b[A-Za-z][A-Za-z-]{5,}\b/g) || [])];
+}
+
+function lessonCards({ title, summary, text, minCards = 5 }) {
+  const sentences = sentencesOf(text);
+  const cards = [{ title, layout: 'overview', body: summary || sentences[0] || `Overview of ${title}.` }];
+  const perCard = Math.max(1, Math.ceil(sentences.length / Math.max(1, minCards - 1)));
+  for (let i = 0; cards.length < minCards; i += perCard) {
+    const chunk = sentences.slice(i, i + perCard);
+    cards.push({
+      title: `${title} — Part ${cards.length}`,
+      layout: chunk.length > 1 ? 'bullets' : 'text',
+      body: chunk.length > 1 ? chunk.map((s) => `- ${s}`).join('\n') : chunk[0] || `Review the main points of ${title}.`,
+    });
+  }
+  return { cards };
+}
+
+// Cloze questions: blank out the longest keyword; distractors are the longest keywords from the
+// other sentences. The correct option rotates through positions 0..3. When `questionTypes` allows
+// them, every third question is a true/false statement (always true) and every fourth a select-many
+// over four sentences where the first two are marked correct.
+function quizQuestions({ text, minQuestions = 5, excludeSentences = [], questionTypes = ['selectOne'] }) {
+  const excluded = new Set(excludeSentences);
+  const sentences = sentencesOf(text).filter((s) => !excluded.has(s));
+  // One spelling per word, so no two options differ only in case.
+  const byWord = new Map(sentences.flatMap(keywordsOf).map((w) => [w.toLowerCase(), w]));
+  const pool = [...byWord.values()].sort((a, b) => b.length - a.length || a.localeCompare(b));
+  const allows = (type) => questionTypes.includes(type);
+
+  const questions = [];
+  for (let i = 0; i < sentences.length && questions.length < minQuestions; i++) {
+    const sentence = sentences[i];
+    const n = questions.length + 1;
+
+    if (allows('selectMany') && (n % 4 === 0 || !allows('selectOne')) && i + 4 <= sentences.length) {
+      questions.push({
+        type: 'selectMany',
+        question: 'Which of the following statements appear in the material? (Select all that apply.)',
+        options: [sentence, sentences[i + 1], `Not stated: ${sentences[i + 2]}`, `Not stated: ${sentences[i + 3]}`],
+        correctIndexes: [0, 1],
+        explanation: `${sentence} ${sentences[i + 1]}`,
+        sourceSentence: sentence,
+      });
+      i += 3;
+      continue;
+    }
+    if (allows('trueFalse') && (n % 3 === 0 || !allows('selectOne'))) {
+      questions.push({
+        type: 'trueFalse',
+        question: `True or false: ${sentence}`,
+        options: ['True', 'False'],
+        correctIndex: 0,
+        explanation: sentence,
+        sourceSentence: sentence,
+      });
+      continue;
+    }
+    if (!allows('selectOne')) continue;
+
+    const answer = keywordsOf(sentence).sort((a, b) => b.length - a.length || a.localeCompare(b))[0];
+    if (!answer) continue;
+    const distractors = pool.filter((w) => w.toLowerCase() !== answer.toLowerCase() && !sentence.includes(w)).slice(0, 3);
+    if (distractors.length < 3) continue;
+    const correctIndex = questions.length % 4;
+    const options = distractors.slice();
+    options.splice(correctIndex, 0, answer);
+    questions.push({
+      type: 'selectOne',
+      question: `Fill in the blank: ${sentence.replace(answer, '_____')}`,
+      options,
+      correctIndex,
+      explanation: sentence,
+      sourceSentence: sentence,
+    });
+  }
+  return { questions };
+}
+
+function reply(model, content) {
+  return {
+    id: 'chatcmpl-stub',
+    object: 'chat.completion',
+    created: 0,
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  };
+}
+
+export function createLlmStubApp() {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.post(['/v1/chat/completions', '/chat/completions'], (req, res) => {
+    const model = String(req.body?.model || 'stub');
+    const messages = Array.isArray(req.body?.messages) ? req.body.messages : [];
+    const last = [...messages].reverse().find((m) => m?.role === 'user');
+
+    if (model === 'stub-error') return res.status(500).json({ error: { message: 'stub failure' } });
+    if (model === 'stub-garbage') return res.json(reply(model, 'Sure! Here are your questions...'));
+
+    let task;
+    try {
+      task = JSON.parse(last?.content || '');
+    } catch {
+      return res.status(400).json({ error: { message: 'Last user message must be a JSON task' } });
+    }
+
+    let out;
+    if (task.task === 'lesson_cards') out = lessonCards(task);
+    else if (task.task === 'quiz_questions') out = quizQuestions(task);
+    else return res.status(400).json({ error: { message: `Unknown task: ${task.task}` } });
+
+    if (model === 'stub-invalid') {
+      out = { questions: [{ question: 'Broken?', options: ['only one'], correctIndex: 3 }], cards: [{ title: '' }] };
+    }
+    res.json(reply(model, JSON.stringify(out)));
+  });
+
+  app.get(['/v1/models', '/models'], (_req, res) => {
+    res.json({ object: 'list', data: ['stub', 'stub-invalid', 'stub-garbage', 'stub-error'].map((id) => ({ id, object: 'model' })) });
+  });
+
+  return app;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createLlmStubApp().listen(PORT, () => {
+    // eslint-disable-next-line no-console
+    console.log(`LLM stub running on http://localhost:${PORT}/v1`);
+  });
+}
@@ -0,0 +1,628 @@
+// In-memory stand-in for the Ethos API, for offline development and tests. Run it with
+// `npm run mock-ethos`, then set ETHOS_BASE_URL=http://localhost:5182 and ETHOS_STUB_AUTH=true so
+// logins skip Cognito and get tokens from this server instead.
+//
+// It covers the endpoints the Ethos services call. Like a real tenant, it creates enrollments a while
+// after users are tagged and items are assigned to a learning group, and grades quiz enrollments a
+// while after they are completed. Options (or MOCK_ETHOS_* env vars when run directly):
+//   listShape: 'hydra' lists as `hydra:member`; 'v1' uses the v1 keys (`users`, `attributes`, ...)
+//     for the resources that have them and `member` for the rest.
+//   enrollmentDelayMs / gradingDelayMs: how long enrollment creation and grading lag behind.
+//   invitations: course enrollments start with an invitation and no learning item enrollments
+//     until POST /v1/invitations/:id/enroll.
+//   tokenTtlSec: lifetime of the access tokens it issues.
+// /mock/* endpoints inspect and reset the state and inject failures.
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+import express from 'express';
+
+const PORT = Number(process.env.MOCK_ETHOS_PORT || 5182);
+const ORGANIZATION_ID = '0199cab8-0000-7000-8000-000000000001';
+const UUID_RE = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+// Resources the v1 API lists under their own key rather than `member`.
+const V1_LIST_KEYS = {
+  users: 'users',
+  attributes: 'attributes',
+  learning_groups: 'learningGroups',
+  user_attributes: 'userAttributes',
+  learning_group_attributes: 'learningGroupAttributes',
+};
+
+class MockError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const notFound = (what, id) => new MockError(404, `${what} ${id} not found`);
+const uuidOf = (value) => String(value ?? '').match(UUID_RE)?.[0] || null;
+const now = () => new Date().toISOString();
+
+function emptyState() {
+  return {
+    tokens: new Map(),
+    contexts: new Set(),
+    courses: new Map(),
+    learning_plans: new Map(),
+    learning_items: new Map(),
+    cards: new Map(),
+    users: new Map(),
+    attributes: new Map(),
+    learning_groups: new Map(),
+    learning_group_attributes: new Map(),
+    user_attributes: new Map(),
+    course_enrollments: new Map(),
+    invitations: new Map(),
+    learning_item_enrollments: new Map(),
+    card_enrollments: new Map(),
+    faults: [],
+    timers: new Set(),
+  };
+}
+
+// A card enrollment's score: 1 for a right answer, 0 for a wrong one, and for select-many the share
+// of correct options picked when no wrong one was.
+function gradeAnswer(card, answer) {
+  const block = (card?.json?.contentBlocks || []).find((b) => b?.type === 'multipleChoice' || b?.type === 'trueFalse');
+  if (!block) return null;
+  const picked = new Set(Array.isArray(answer) ? answer : [answer]);
+  const correct = block.options.filter((o) => o.isCorrect).map((o) => o.id);
+  const wrongPicked = block.options.some((o) => !o.isCorrect && picked.has(o.id));
+  if (wrongPicked || !correct.length) return 0;
+  if (block.multipleChoiceType === 'selectmany') return correct.filter((id) => picked.has(id)).length / correct.length;
+  return correct.every((id) => picked.has(id)) ? 1 : 0;
+}
+
+export function createMockEthosApp({
+  listShape = process.env.MOCK_ETHOS_LIST_SHAPE || 'hydra',
+  enrollmentDelayMs = Number(process.env.MOCK_ETHOS_ENROLLMENT_DELAY_MS ?? 1500),
+  gradingDelayMs = Number(process.env.MOCK_ETHOS_GRADING_DELAY_MS ?? 1000),
+  invitations = String(process.env.MOCK_ETHOS_INVITATIONS || '').toLowerCase() === 'true',
+  tokenTtlSec = Number(process.env.MOCK_ETHOS_TOKEN_TTL_SEC || 3600),
+} = {}) {
+  let state = emptyState();
+  const app = express();
+  app.use(express.json({ limit: '5mb', type: ['application/json', 'application/*+json'] }));
+
+  const later = (ms, fn) => {
+    const timer = setTimeout(() => {
+      state.timers.delete(timer);
+      fn();
+    }, ms);
+    // Pending background work never keeps a test process alive.
+    timer.unref();
+    state.timers.add(timer);
+  };
+
+  // --- Representations -----------------------------------------------------------------------
+
+  const iri = (collection, id) => `/v1/${collection}/${id}`;
+
+  const insert = (collection, fields) => {
+    const id = crypto.randomUUID();
+    const record = { '@id': iri(collection, id), id, ...fields, createdAt: now(), updatedAt: now() };
+    state[collection].set(id, record);
+    return record;
+  };
+
+  const find = (collection, id, what) => {
+    const record = state[collection].get(uuidOf(id) || id);
+    if (!record) throw notFound(what, id);
+    return record;
+  };
+
+  const update = (record, fields) => Object.assign(record, fields, { updatedAt: now() });
+
+  const learningGroupView = (group) => ({
+    ...group,
+    learningGroupAttributes: [...state.learning_group_attributes.values()].filter(
+      (r) => r.learningGroupId === group.id,
+    ),
+  });
+
+  const learningItemView = (item) => ({
+    ...item,
+    learningGroups: item.learningGroupIds.map((id) => ({ '@id': iri('learning_groups', id), id })),
+    learningGroupIds: undefined,
+  });
+
+  const courseEnrollmentView = (ce) => ({
+    ...ce,
+    learningItemEnrollments: [...state.learning_item_enrollments.values()]
+      .filter((e) => e.courseEnrollment === ce['@id'])
+      .map((e) => ({ '@id': e['@id'] })),
+    invitations: [...state.invitations.values()]
+      .filter((inv) => inv.courseEnrollmentId === ce.id && !inv.acceptedAt)
+      .map((inv) => ({ '@id': inv['@id'], id: inv.id })),
+  });
+
+  const queryOf = (req) => new URLSearchParams(req.originalUrl.split('?')[1] || '');
+
+  const sendList = (req, res, collection, items) => {
+    const params = queryOf(req);
+    const perPage = Math.max(1, Number(params.get('itemsPerPage')) || 30);
+    const page = Math.max(1, Number(params.get('page')) || 1);
+    const sorted =
+      params.get('order[updatedAt]') === 'desc'
+        ? [...items].sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))
+        : items;
+    const members = sorted.slice((page - 1) * perPage, page * perPage);
+    if (listShape === 'v1') {
+      return res.json({
+        [V1_LIST_KEYS[collection] || 'member']: members,
+        totalItems: items.length,
+        page,
+        itemsPerPage: perPage,
+      });
+    }
+    res.json({ '@id': `/v1/${collection}`, 'hydra:member': members, 'hydra:totalItems': items.length });
+  };
+
+  // --- Enrollment engine -----------------------------------------------------------------------
+
+  // Users match a learning group when they carry every attribute value its rules ask for.
+  const groupMembers = (groupId) => {
+    const rules = [...state.learning_group_attributes.values()].filter((r) => r.learningGroupId === groupId);
+    if (!rules.length) return [];
+    return [...state.users.values()].filter(
+      (user) =>
+        String(user.status).toUpperCase() !== 'INACTIVE' &&
+        rules.every((rule) =>
+          [...state.user_attributes.values()].some(
+            (ua) =>
+              ua.userId === user.id && ua.attributeId === rule.attributeId && String(ua.value) === String(rule.value),
+          ),
+        ),
+    );
+  };
+
+  const enrollInItem = (courseEnrollment, item) => {
+    const existing = [...state.learning_item_enrollments.values()].find(
+      (e) => e.courseEnrollment === courseEnrollment['@id'] && e.learningItemId === item.id,
+    );
+    if (existing) return;
+    const enrollment = insert('learning_item_enrollments', {
+      learningItemId: item.id,
+      learningItem: item['@id'],
+      courseEnrollment: courseEnrollment['@id'],
+      status: 'enrolled',
+      score: null,
+      percentCorrect: null,
+      completedAt: null,
+    });
+    for (const card of [...state.cards.values()].filter((c) => c.learningItemId === item.id)) {
+      insert('card_enrollments', {
+        cardId: card.id,
+        card: card['@id'],
+        learningItemEnrollment: enrollment['@id'],
+        type: card.type,
+        answer: null,
+        score: null,
+        percentCorrect: null,
+        startedAt: null,
+        completedAt: null,
+        gradedAt: null,
+      });
+    }
+  };
+
+  // Brings enrollments in line with group membership: one course enrollment per user and course
+  // (items outside a course share a course-less one), holding a learning item enrollment per item.
+  const syncEnrollments = () => {
+    for (const item of state.learning_items.values()) {
+      if (String(item.state).toLowerCase() === 'inactive') continue;
+      const courseId = uuidOf(item.course);
+      for (const groupId of item.learningGroupIds) {
+        for (const user of groupMembers(groupId)) {
+          let ce = [...state.course_enrollments.values()].find((x) => x.userId === user.id && x.courseId === courseId);
+          if (!ce) {
+            ce = insert('course_enrollments', { userId: user.id, courseId, course: item.course || null });
+            if (invitations) {
+              const inv = insert('invitations', { courseEnrollmentId: ce.id, userId: user.id, acceptedAt: null });
+              inv.items = new Set();
+            }
+          }
+          const pending = [...state.invitations.values()].find(
+            (inv) => inv.courseEnrollmentId === ce.id && !inv.acceptedAt,
+          );
+          if (pending) pending.items.add(item.id);
+          else enrollInItem(ce, item);
+        }
+      }
+    }
+  };
+  const scheduleEnrollmentSync = () => later(enrollmentDelayMs, syncEnrollments);
+
+  // --- Auth ------------------------------------------------------------------------------------
+
+  const issueTokens = (email) => {
+    const accessToken = `mock-access-${crypto.randomUUID()}`;
+    const refreshToken = `mock-refresh-${crypto.randomUUID()}`;
+    const expiresIn = Math.floor(Date.now() / 1000) + tokenTtlSec;
+    state.tokens.set(accessToken, { email, expiresIn });
+    state.tokens.set(refreshToken, { email, refresh: true });
+    return { accessToken, idToken: `mock-id-${crypto.randomUUID()}`, refreshToken, expiresIn };
+  };
+
+  const bearer = (req) => String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const validAccessToken = (token) => {
+    const t = state.tokens.get(token);
+    return Boolean(t && !t.refresh && t.expiresIn * 1000 > Date.now());
+  };
+
+  // Stands in for the Cognito user pool (see EthosAuthService with stubAuth). Any password works.
+  app.post('/mock/auth/token', (req, res) => {
+    const { email, password, refreshToken } = req.body || {};
+    if (refreshToken) {
+      const t = state.tokens.get(refreshToken);
+      if (!t?.refresh) return res.status(400).json({ message: 'Refresh Token has been revoked' });
+      return res.json(issueTokens(t.email));
+    }
+    if (!email || !password) return res.status(400).json({ message: 'Incorrect username or password.' });
+    res.json(issueTokens(email));
+  });
+
+  app.get('/v1/organizations', (req, res) => {
+    res.json({
+      organizations: [
+        { id: ORGANIZATION_ID, name: 'Mock Organization', idpGroupId: 'mock_pool', idpClientId: 'mock-client' },
+      ],
+    });
+  });
+
+  app.post('/v1/contexts', (req, res) => {
+    if (!validAccessToken(bearer(req))) return res.status(401).json({ message: 'Invalid JWT Token' });
+    if (req.body?.org_id !== ORGANIZATION_ID) return res.status(404).json({ message: 'Organization not found' });
+    const token = `mock-context-${crypto.randomUUID()}`;
+    state.contexts.add(token);
+    res.json({ token });
+  });
+
+  // --- Control ---------------------------------------------------------------------------------
+
+  app.get('/mock/state', (_req, res) => {
+    const collections = Object.keys(emptyState()).filter((k) => state[k] instanceof Map && k !== 'tokens');
+    res.json({
+      counts: Object.fromEntries(collections.map((k) => [k, state[k].size])),
+      ...Object.fromEntries(collections.map((k) => [k, [...state[k].values()]])),
+      faults: state.faults,
+    });
+  });
+
+  app.post('/mock/reset', (_req, res) => {
+    for (const timer of state.timers) clearTimeout(timer);
+    state = emptyState();
+    res.json({ ok: true });
+  });
+
+  // `{ method, path, status, times = 1, retryAfter }`: the next `times` matching requests fail with
+  // `status` (path is a prefix, method optional).
+  app.post('/mock/faults', (req, res) => {
+    const { method = null, path, status = 503, times = 1, retryAfter = null } = req.body || {};
+    if (!path) return res.status(400).json({ message: 'path is required' });
+    state.faults.push({ method: method && String(method).toUpperCase(), path, status, times, retryAfter });
+    res.json({ faults: state.faults });
+  });
+
+  app.use('/v1', (req, res, next) => {
+    const fault = state.faults.find(
+      (f) => f.times > 0 && (!f.method || f.method === req.method) && req.originalUrl.startsWith(f.path),
+    );
+    if (fault) {
+      fault.times -= 1;
+      if (fault.retryAfter !== null) res.set('Retry-After', String(fault.retryAfter));
+      return res.status(fault.status).json({ message: `Injected ${fault.status}` });
+    }
+    if (!validAccessToken(bearer(req))) return res.status(401).json({ message: 'Expired JWT Token' });
+    if (!state.contexts.has(req.headers['x-context-token'])) {
+      return res.status(403).json({ message: 'Access Denied: missing or invalid context token' });
+    }
+    next();
+  });
+
+  // --- Courses and learning plans --------------------------------------------------------------
+
+  app.get('/v1/courses', (req, res) => sendList(req, res, 'courses', [...state.courses.values()]));
+  app.post('/v1/courses', (req, res) => {
+    const { title, description = '', state: courseState = 'draft' } = req.body || {};
+    if (!title) throw new MockError(422, 'title: This value should not be blank.');
+    res.status(201).json(insert('courses', { title, description, state: courseState }));
+  });
+  app.get('/v1/courses/:id', (req, res) => res.json(find('courses', req.params.id, 'Course')));
+  app.patch('/v1/courses/:id', (req, res) => res.json(update(find('courses', req.params.id, 'Course'), req.body)));
+
+  app.post('/v1/learning_plans', (req, res) => {
+    const { name, description = '', state: planState = 'draft', courses = [] } = req.body || {};
+    if (!name) throw new MockError(422, 'name: This value should not be blank.');
+    res.status(201).json(insert('learning_plans', { name, description, state: planState, courses }));
+  });
+  app.get('/v1/learning_plans/:id', (req, res) => res.json(find('learning_plans', req.params.id, 'Learning plan')));
+  app.patch('/v1/learning_plans/:id', (req, res) => {
+    res.json(update(find('learning_plans', req.params.id, 'Learning plan'), req.body));
+  });
+
+  // --- Learning items and cards ----------------------------------------------------------------
+
+  app.post('/v1/learning_items', (req, res) => {
+    const {
+      name,
+      type,
+      state: itemState = 'draft',
+      description = '',
+      sequenceOrder = null,
+      course = null,
+    } = req.body || {};
+    if (!name || !['lesson', 'quiz'].includes(type))
+      throw new MockError(422, 'name and type (lesson or quiz) are required');
+    if (course && !state.courses.has(uuidOf(course))) throw new MockError(400, `Item not found for IRI "${course}".`);
+    const item = insert('learning_items', {
+      name,
+      type,
+      state: itemState,
+      description,
+      sequenceOrder,
+      course,
+      learningGroupIds: [],
+    });
+    res.status(201).json(learningItemView(item));
+  });
+  app.get('/v1/learning_items/:id', (req, res) => {
+    res.json(learningItemView(find('learning_items', req.params.id, 'Learning item')));
+  });
+  app.patch('/v1/learning_items/:id', (req, res) => {
+    const item = find('learning_items', req.params.id, 'Learning item');
+    const hasCards = [...state.cards.values()].some((c) => c.learningItemId === item.id);
+    if (req.body?.state === 'published' && !hasCards)
+      throw new MockError(422, 'A learning item needs cards before it can be published.');
+    const { learningGroups, learningGroupIds, ...fields } = req.body || {};
+    res.json(learningItemView(update(item, fields)));
+  });
+
+  app.post('/v1/learning_items/:id/cards', (req, res) => {
+    const item = find('learning_items', req.params.id, 'Learning item');
+    if (String(item.state).toLowerCase() === 'published')
+      throw new MockError(422, 'Cards of a published learning item cannot be changed.');
+    const cards = (req.body?.cards || []).map((card) =>
+      insert('cards', { ...card, learningItemId: item.id, learningItem: item['@id'] }),
+    );
+    res.status(201).json({ cards });
+  });
+  app.get('/v1/cards/:id', (req, res) => res.json(find('cards', req.params.id, 'Card')));
+  app.patch('/v1/cards/:id', (req, res) => {
+    const card = find('cards', req.params.id, 'Card');
+    if (String(state.learning_items.get(card.learningItemId)?.state).toLowerCase() === 'published') {
+      throw new MockError(422, 'Cards of a published learning item cannot be changed.');
+    }
+    res.json(update(card, req.body));
+  });
+
+  // Replaces each listed item's learning groups, which is how the real endpoint behaves.
+  app.post('/v1/learning_item/bulk_associate_learning_groups', (req, res) => {
+    const groups = req.body?.learningItemGroups || {};
+    for (const [itemId, groupIds] of Object.entries(groups)) {
+      const item = find('learning_items', itemId, 'Learning item');
+      for (const groupId of groupIds) find('learning_groups', groupId, 'Learning group');
+      update(item, { learningGroupIds: [...new Set(groupIds.map((g) => uuidOf(g) || g))] });
+    }
+    scheduleEnrollmentSync();
+    res.json({ learningItemGroups: groups });
+  });
+
+  // --- Users, attributes and learning groups ---------------------------------------------------
+
+  const usersMatching = (params) => {
+    const email = String(params.matchEmail || params.email || '').toLowerCase();
+    return [...state.users.values()].filter((u) => !email || u.email.toLowerCase() === email);
+  };
+  app.get('/v1/users', (req, res) => sendList(req, res, 'users', usersMatching(Object.fromEntries(queryOf(req)))));
+  app.post('/v1/users/list', (req, res) => sendList(req, res, 'users', usersMatching(req.body || {})));
+  app.post('/v1/users', (req, res) => {
+    const { firstName, lastName, email, roles = [], shouldNotify = false } = req.body || {};
+    if (!email) throw new MockError(422, 'email: This value should not be blank.');
+    if (usersMatching({ email }).length) throw new MockError(422, `A user with this email already exists: ${email}`);
+    res.status(201).json(insert('users', { firstName, lastName, email, roles, shouldNotify, status: 'ACTIVE' }));
+  });
+  app.get('/v1/users/:id', (req, res) => res.json(find('users', req.params.id, 'User')));
+  app.patch('/v1/users/:id', (req, res) => {
+    const user = update(find('users', req.params.id, 'User'), req.body);
+    scheduleEnrollmentSync();
+    res.json(user);
+  });
+
+  app.get('/v1/attributes', (req, res) => {
+    const name = queryOf(req).get('name');
+    sendList(
+      req,
+      res,
+      'attributes',
+      [...state.attributes.values()].filter((a) => !name || a.name === name),
+    );
+  });
+  app.post('/v1/attributes', (req, res) => {
+    const { name, type = 'BOOLEAN', status = 'ACTIVE', attributeOptions = [] } = req.body || {};
+    if ([...state.attributes.values()].some((a) => a.name === name)) {
+      throw new MockError(422, `Attribute "${name}" already exists`);
+    }
+    res.status(201).json(insert('attributes', { name, type, status, attributeOptions }));
+  });
+
+  const insertRule = ({ learningGroupId, attributeId, filterOperator = 'EQ', value }) => {
+    const attribute = find('attributes', attributeId, 'Attribute');
+    return insert('learning_group_attributes', {
+      learningGroupId,
+      attributeId: attribute.id,
+      attribute: { id: attribute.id, name: attribute.name },
+      filterOperator,
+      value: String(value),
+    });
+  };
+
+  app.get('/v1/learning_groups', (req, res) => {
+    const name = queryOf(req).get('name');
+    const groups = [...state.learning_groups.values()].filter((g) => !name || g.name === name);
+    sendList(req, res, 'learning_groups', groups.map(learningGroupView));
+  });
+  app.post('/v1/learning_groups', (req, res) => {
+    const { name, attributes = [] } = req.body || {};
+    if ([...state.learning_groups.values()].some((g) => g.name === name)) {
+      throw new MockError(422, `Learning group "${name}" already exists`);
+    }
+    const group = insert('learning_groups', { name });
+    for (const rule of attributes) insertRule({ ...rule, learningGroupId: group.id });
+    res.status(201).json(learningGroupView(group));
+  });
+  app.get('/v1/learning_groups/:id', (req, res) => {
+    res.json(learningGroupView(find('learning_groups', req.params.id, 'Learning group')));
+  });
+  app.post('/v1/learning_group_attributes', (req, res) => {
+    find('learning_groups', req.body?.learningGroupId, 'Learning group');
+    const rule = insertRule(req.body);
+    scheduleEnrollmentSync();
+    res.status(201).json(rule);
+  });
+
+  const userAttributeView = (ua) => {
+    const attribute = state.attributes.get(ua.attributeId);
+    return { ...ua, attribute: attribute ? { id: attribute.id, name: attribute.name } : null };
+  };
+  app.get('/v1/user_attributes', (req, res) => {
+    const params = queryOf(req);
+    const userId = params.get('filterUserId');
+    const attributeName = params.get('filterAttributeName');
+    const matches = [...state.user_attributes.values()]
+      .map(userAttributeView)
+      .filter((ua) => (!userId || ua.userId === userId) && (!attributeName || ua.attribute?.name === attributeName));
+    sendList(req, res, 'user_attributes', matches);
+  });
+  app.post('/v1/user_attributes', (req, res) => {
+    const { userId, attributeId, value } = req.body || {};
+    find('users', userId, 'User');
+    find('attributes', attributeId, 'Attribute');
+    const ua = insert('user_attributes', { userId, attributeId, value: String(value) });
+    scheduleEnrollmentSync();
+    res.status(201).json(userAttributeView(ua));
+  });
+  app.patch('/v1/user_attributes/:id', (req, res) => {
+    const ua = find('user_attributes', req.params.id, 'User attribute');
+    update(ua, { value: String(req.body?.value ?? ua.value) });
+    scheduleEnrollmentSync();
+    res.json(userAttributeView(ua));
+  });
+  app.delete('/v1/user_attributes/:id', (req, res) => {
+    find('user_attributes', req.params.id, 'User attribute');
+    state.user_attributes.delete(uuidOf(req.params.id));
+    res.status(204).end();
+  });
+
+  // --- Enrollments -----------------------------------------------------------------------------
+
+  app.get('/v1/course_enrollments', (req, res) => {
+    const courseId = queryOf(req).get('courseId');
+    const matches = [...state.course_enrollments.values()].filter((ce) => !courseId || ce.courseId === courseId);
+    sendList(req, res, 'course_enrollments', matches.map(courseEnrollmentView));
+  });
+  app.get('/v1/course_enrollments/:id', (req, res) => {
+    res.json(courseEnrollmentView(find('course_enrollments', req.params.id, 'Course enrollment')));
+  });
+  app.get('/v1/course_enrollments/:id/learning_item_enrollments', (req, res) => {
+    const ce = find('course_enrollments', req.params.id, 'Course enrollment');
+    const matches = [...state.learning_item_enrollments.values()].filter((e) => e.courseEnrollment === ce['@id']);
+    sendList(req, res, 'learning_item_enrollments', matches);
+  });
+
+  app.post('/v1/invitations/:id/enroll', (req, res) => {
+    const invitation = find('invitations', req.params.id, 'Invitation');
+    if (invitation.acceptedAt) throw new MockError(409, 'Invitation was already accepted');
+    const ce = find('course_enrollments', invitation.courseEnrollmentId, 'Course enrollment');
+    update(invitation, { acceptedAt: now() });
+    // The real endpoint creates the enrollments in the background too.
+    later(enrollmentDelayMs, () => {
+      for (const itemId of invitation.items) enrollInItem(ce, state.learning_items.get(itemId));
+    });
+    res.json({ ok: true, courseEnrollment: ce['@id'] });
+  });
+
+  // Takes `learningItemId`, `learningItemId[]` and `courseEnrollment.userId[]` filters.
+  app.get('/v1/learning_item_enrollments', (req, res) => {
+    const params = queryOf(req);
+    const itemIds = [...params.getAll('learningItemId'), ...params.getAll('learningItemId[]')];
+    const userIds = params.getAll('courseEnrollment.userId[]');
+    const matches = [...state.learning_item_enrollments.values()].filter((e) => {
+      if (itemIds.length && !itemIds.includes(e.learningItemId)) return false;
+      if (!userIds.length) return true;
+      return userIds.includes(state.course_enrollments.get(uuidOf(e.courseEnrollment))?.userId);
+    });
+    sendList(req, res, 'learning_item_enrollments', matches);
+  });
+  app.get('/v1/learning_item_enrollments/:id', (req, res) => {
+    res.json(find('learning_item_enrollments', req.params.id, 'Learning item enrollment'));
+  });
+  app.get('/v1/learning_item_enrollments/:id/card_enrollments', (req, res) => {
+    const enrollment = find('learning_item_enrollments', req.params.id, 'Learning item enrollment');
+    const matches = [...state.card_enrollments.values()].filter(
+      (ce) => ce.learningItemEnrollment === enrollment['@id'],
+    );
+    sendList(req, res, 'card_enrollments', matches);
+  });
+
+  // Quizzes are graded a while after completion, from the scores of their answered question cards.
+  app.post('/v1/learning_item_enrollments/:id/complete', (req, res) => {
+    const enrollment = find('learning_item_enrollments', req.params.id, 'Learning item enrollment');
+    update(enrollment, { status: 'completed', completedAt: enrollment.completedAt || now() });
+    const item = state.learning_items.get(enrollment.learningItemId);
+    if (item?.type === 'quiz') {
+      later(gradingDelayMs, () => {
+        const scores = [...state.card_enrollments.values()]
+          .filter((ce) => ce.learningItemEnrollment === enrollment['@id'])
+          .map((ce) => ce.score ?? gradeAnswer(state.cards.get(ce.cardId), null))
+          .filter((s) => s !== null);
+        const percentCorrect = scores.length
+          ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100)
+          : 0;
+        update(enrollment, { score: percentCorrect, percentCorrect, gradedAt: now() });
+      });
+    }
+    res.json(enrollment);
+  });
+
+  app.get('/v1/card_enrollments/:id', (req, res) =>
+    res.json(find('card_enrollments', req.params.id, 'Card enrollment')),
+  );
+  app.patch('/v1/card_enrollments/:id', (req, res) => {
+    const ce = find('card_enrollments', req.params.id, 'Card enrollment');
+    const { answer, confidence, startedAt, completedAt, elapsedSec, progress } = req.body || {};
+    update(ce, { answer, confidence, startedAt, completedAt, elapsedSec, progress });
+    const score = answer === undefined ? null : gradeAnswer(state.cards.get(ce.cardId), answer);
+    if (score !== null) update(ce, { score, percentCorrect: Math.round(score * 100), gradedAt: now() });
+    res.json(ce);
+  });
+  app.post('/v1/card_enrollments/:id/complete', (req, res) => {
+    const ce = find('card_enrollments', req.params.id, 'Card enrollment');
+    res.json(update(ce, { completedAt: ce.completedAt || now() }));
+  });
+
+  app.use('/v1', (req, res) =>
+    res.status(404).json({ message: `No route found for "${req.method} ${req.originalUrl}"` }),
+  );
+
+  // Errors in the API Platform shape EthosClient reads its messages from.
+  // eslint-disable-next-line no-unused-vars
+  app.use((err, _req, res, _next) => {
+    const status = err?.status || 500;
+    res
+      .status(status)
+      .json({ '@type': 'hydra:Error', 'hydra:title': 'An error occurred', 'hydra:description': err?.message });
+  });
+
+  return app;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockEthosApp().listen(PORT, () => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock Ethos API running on http://localhost:${PORT}`);
+  });
+}
@@ -1,26 +1,51 @@
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 
-import dotenv from 'dotenv';
 import express from 'express';
 import session from 'express-session';
+import multer from 'multer';
 import { z } from 'zod';
 
+import {
+  CARD_LINK_TEMPLATE,
+  DATA_DIR,
+  ETHOS_BASE_URL,
+  ETHOS_GENERATED_ATTRIBUTE_NAME,
+  ETHOS_GENERATED_GROUP_NAME,
+  ETHOS_RETRY,
+  ETHOS_STUB_AUTH,
+  SOURCE_DOCS_DIR,
+  generationBackend,
+  publishOptionsFrom,
+  userEmailDefaults,
+} from './config.js';
+import { timelineSchema } from './services/activityTimeline.js';
 import { EthosAuthService } from './services/ethosAuthService.js';
+import { EthosClient } from './services/ethosClient.js';
 import { EthosContentService } from './services/ethosContentService.js';
 import { EthosSimulationService } from './services/ethosSimulationService.js';
+import { EthosTeardownService } from './services/ethosTeardownService.js';
 import { generateDraft, simulateOutcomes } from './services/contentGenerator.js';
-
-dotenv.config({ path: 'config.env' });
+import { DRAFT_SCHEMA_VERSION, parseDraft } from './services/draftSchema.js';
+import { HistoryStore } from './services/historyStore.js';
+import { JobManager } from './services/jobManager.js';
+import { cohortSchema } from './services/personas.js';
+import { PublishJournal } from './services/publishJournal.js';
+import { choosePublishRunId, runPublish } from './services/publishRunner.js';
+import { randomSeed } from './services/random.js';
+import { GENERATION_BACKENDS, QUESTION_TYPES } from './services/generation/index.js';
 
 const PORT = Number(process.env.PORT || 5179);
-const ETHOS_BASE_URL = process.env.ETHOS_BASE_URL || 'https://api.ethossystems.com';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev-secret-change-me';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const publicDir = path.join(__dirname, 'ui', 'public');
 
+const publishJournal = new PublishJournal({ dir: path.join(DATA_DIR, 'publish-runs') });
+const jobs = new JobManager();
+const history = new HistoryStore({ dir: path.join(DATA_DIR, 'history') });
+
 const app = express();
 
 app.use(express.json({ limit: '2mb' }));
@@ -44,6 +69,32 @@ function getCredentials(req) {
   return req.session?.ethos || null;
 }
 
+function ethosClient(req) {
+  return new EthosClient({
+    ...getCredentials(req),
+    retry: ETHOS_RETRY,
+    // Long publishes and simulations outlive the access token; keep the session in step with the refresh.
+    refreshCredentials: async () => {
+      const fresh = await authService.refresh(getCredentials(req));
+      req.session.ethos = { ...getCredentials(req), ...fresh };
+      await new Promise((resolve) => req.session.save(() => resolve()));
+      return fresh;
+    },
+  });
+}
+
+// The Ethos tenant the session is logged in to, or null. Publish runs and history are scoped to it.
+function tenantOf(req) {
+  const creds = getCredentials(req);
+  return creds ? { baseUrl: creds.baseUrl, organizationId: creds.organizationId } : null;
+}
+
+// A publish run of the session's tenant; another tenant's run is treated as not found.
+async function loadPublishRun(req, runId) {
+  const run = await publishJournal.load(runId);
+  return run?.belongsTo(tenantOf(req)) ? run : null;
+}
+
 function requireAuth(req, res, next) {
   const creds = getCredentials(req);
   if (!creds?.apiKey || !creds?.contextToken) {
@@ -52,7 +103,7 @@ function requireAuth(req, res, next) {
   next();
 }
 
-const authService = new EthosAuthService({ baseUrl: ETHOS_BASE_URL });
+const authService = new EthosAuthService({ baseUrl: ETHOS_BASE_URL, stubAuth: ETHOS_STUB_AUTH });
 
 app.post('/api/auth/organizations', async (req, res, next) => {
   try {
@@ -96,6 +147,7 @@ app.get('/api/auth/me', (req, res) => {
     email: creds.email,
     organizationId: creds.organizationId,
     baseUrl: creds.baseUrl,
+    tokenExpiresAt: Number(creds.expiresIn) > 0 ? new Date(creds.expiresIn * 1000).toISOString() : null,
   });
 });
 
@@ -103,28 +155,81 @@ app.post('/api/generate', async (req, res, next) => {
   try {
     const body = z
       .object({
-        topic: z.string().min(2),
+        topic: z.string().min(2).optional(),
+        source: z
+          .discriminatedUnion('type', [
+            z.object({ type: z.literal('wikipedia'), topic: z.string().min(2) }),
+            z.object({ type: z.literal('localDirectory'), path: z.string().trim().min(1) }),
+            z.object({
+              type: z.literal('html'),
+              html: z.string().min(1),
+              fileName: z.string().trim().optional(),
+              url: z.string().url().optional(),
+            }),
+            z.object({ type: z.literal('text'), text: z.string().min(1), title: z.string().trim().min(1).optional() }),
+          ])
+          .optional(),
+        generator: z.enum(GENERATION_BACKENDS).optional(),
+        questionTypes: z.array(z.enum(QUESTION_TYPES)).min(1).optional(),
         lessonsCount: z.number().int().min(0).max(20).default(1),
         quizzesCount: z.number().int().min(0).max(20).default(1),
         usersCount: z.number().int().min(0).max(200).default(10),
         userEmailBase: z.string().trim().nullable().optional(),
         userEmailDomain: z.string().trim().nullable().optional(),
         userEmailStartIndex: z.number().int().min(1).max(100000).optional(),
+        // The same seed and inputs give the same draft; it is echoed in `draft.generation.seed`.
+        seed: z.union([z.number().int(), z.string().trim().min(1).max(64)]).optional(),
       })
+      .refine((b) => b.topic || b.source, { message: 'Provide a topic or a source' })
       .parse(req.body || {});
 
-    // If not explicitly provided, prefer env defaults; if those are missing,
-    // derive from the authenticated user's email (when available).
-    const sessionEmail = req.session?.ethos?.email || '';
-    const [sessionBase, sessionDomain] = sessionEmail.includes('@') ? sessionEmail.split('@') : ['', ''];
-    const defaultBase = process.env.USER_EMAIL_BASE || sessionBase || '';
-    const defaultDomain = process.env.USER_EMAIL_DOMAIN || sessionDomain || '';
+    const draft = await generateDraft({
+      ...body,
+      ...userEmailDefaults(req.session?.ethos?.email, body),
+      generator: generationBackend(body.generator),
+      sourceConfig: { localDirectoryRoot: SOURCE_DOCS_DIR },
+    });
+    res.json(draft);
+  } catch (e) {
+    next(e);
+  }
+});
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024, files: 1 } });
+
+// PDF/DOCX ingestion: multipart form with a `file` field plus the same counts as /api/generate.
+app.post('/api/generate/upload', upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) throw new Error('Attach a PDF or DOCX file in the "file" field');
+    const body = z
+      .object({
+        generator: z.enum(GENERATION_BACKENDS).optional(),
+        // Multipart fields repeat for arrays; a single value arrives as a string.
+        questionTypes: z
+          .union([z.enum(QUESTION_TYPES), z.array(z.enum(QUESTION_TYPES)).min(1)])
+          .transform((v) => (Array.isArray(v) ? v : [v]))
+          .optional(),
+        lessonsCount: z.coerce.number().int().min(0).max(20).default(1),
+        quizzesCount: z.coerce.number().int().min(0).max(20).default(1),
+        usersCount: z.coerce.number().int().min(0).max(200).default(10),
+        userEmailBase: z.string().trim().optional(),
+        userEmailDomain: z.string().trim().optional(),
+        userEmailStartIndex: z.coerce.number().int().min(1).max(100000).optional(),
+        seed: z.string().trim().min(1).max(64).optional(),
+      })
+      .parse(req.body || {});
 
     const draft = await generateDraft({
       ...body,
-      userEmailBase: body.userEmailBase || defaultBase,
-      userEmailDomain: body.userEmailDomain || defaultDomain,
-      userEmailStartIndex: body.userEmailStartIndex || Number(process.env.USER_EMAIL_START_INDEX || 1),
+      ...userEmailDefaults(req.session?.ethos?.email, body),
+      generator: generationBackend(body.generator),
+      source: {
+        type: 'document',
+        buffer: req.file.buffer,
+        // multer decodes multipart file names as latin1
+        fileName: Buffer.from(req.file.originalname, 'latin1').toString('utf8'),
+        mimeType: req.file.mimetype,
+      },
     });
     res.json(draft);
   } catch (e) {
@@ -132,11 +237,84 @@ app.post('/api/generate', async (req, res, next) => {
   }
 });
 
+app.post('/api/drafts/validate', (req, res, next) => {
+  try {
+    const { draft, fromVersion } = parseDraft(req.body?.draft);
+    res.json({ ok: true, schemaVersion: DRAFT_SCHEMA_VERSION, migratedFrom: fromVersion, draft });
+  } catch (e) {
+    next(e);
+  }
+});
+
+function saveDraft(draft, { id, tenant, links } = {}) {
+  return history.save('drafts', {
+    id,
+    tenant,
+    title: draft.resolvedTitle || draft.topic || draft.lessons[0]?.name || 'Untitled draft',
+    summary: {
+      lessons: draft.lessons.length,
+      quizzes: draft.quizzes.length,
+      users: draft.users.length,
+      backend: draft.generation?.backend || null,
+      published: draft.lessons.some((l) => l.ethos) || draft.quizzes.some((q) => q.ethos),
+    },
+    links,
+    data: { draft },
+  });
+}
+
+// Drafts, publish runs and simulations from earlier sessions of the same tenant, newest first.
+app.get('/api/history', async (req, res, next) => {
+  try {
+    const tenant = tenantOf(req);
+    res.json({
+      drafts: await history.list('drafts', { tenant }),
+      // Publish runs belong to the Ethos tenant, so they are only listed once logged in.
+      publishRuns: tenant ? await publishJournal.list({ tenant }) : [],
+      simulations: await history.list('simulations', { tenant }),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Saves a new draft, or a new version of the draft with `id`.
+app.post('/api/history/drafts', async (req, res, next) => {
+  try {
+    const body = z.object({ id: z.string().trim().min(1).optional(), draft: z.unknown() }).parse(req.body || {});
+    const { draft } = parseDraft(body.draft);
+    res.json(await saveDraft(draft, { id: body.id, tenant: tenantOf(req) }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+function saveSimulation({ mode, tenant, options, results, links }) {
+  return history.save('simulations', {
+    tenant,
+    title: `${mode === 'ethos' ? 'Ethos' : 'Local'} simulation${links.runId ? ` of ${links.runId}` : ''}`,
+    summary: { mode, ...(results.simulation || results.summary) },
+    links,
+    data: { options, results },
+  });
+}
+
+// `kind` is `drafts` or `simulations`.
+app.get('/api/history/:kind/:id', async (req, res, next) => {
+  try {
+    const record = await history.load(req.params.kind, req.params.id, { tenant: tenantOf(req) });
+    if (!record) return res.status(404).json({ error: 'History record not found' });
+    res.json(record);
+  } catch (e) {
+    next(e);
+  }
+});
+
 app.post('/api/ethos/publish', requireAuth, async (req, res, next) => {
   try {
     const body = z
       .object({
-        draft: z.any(),
+        draft: z.unknown(),
         courseId: z.string().trim().min(1).nullable().optional(),
         learningItemState: z.enum(['draft', 'published']).default('draft'),
         reuseExistingUsers: z.boolean().optional(),
@@ -145,28 +323,147 @@ app.post('/api/ethos/publish', requireAuth, async (req, res, next) => {
         ethosGeneratedGroupName: z.string().trim().min(1).optional(),
         autoPublishCourse: z.boolean().optional(),
         autoPublishLearningItems: z.boolean().optional(),
+        dryRun: z.boolean().optional(),
+        // Resume a specific run, or force a fresh publish of a draft that was already published.
+        runId: z.string().trim().min(1).optional(),
+        newRun: z.boolean().optional(),
+        // "update" edits items the draft links to (`ethos.learningItemId`) instead of creating new ones.
+        mode: z.enum(['create', 'update']).default('create'),
+        // Create a course for the draft (titled after its topic unless given) instead of attaching to `courseId`.
+        createCourse: z.boolean().optional(),
+        courseTitle: z.string().trim().min(1).max(255).optional(),
+        courseDescription: z.string().trim().min(1).optional(),
+        courseState: z.enum(['draft', 'published']).default('draft'),
+        // Add the course to an existing learning plan, or create one holding it.
+        learningPlanId: z.string().trim().min(1).nullable().optional(),
+        createLearningPlan: z.boolean().optional(),
+        learningPlanName: z.string().trim().min(1).max(255).optional(),
+        // Run as a background job and return its ID right away (see /api/jobs).
+        background: z.boolean().optional(),
+        // History record of the draft; it is updated with the published draft when the run completes.
+        draftId: z.string().trim().min(1).optional(),
+      })
+      .superRefine((b, ctx) => {
+        if (b.createCourse && b.courseId) {
+          ctx.addIssue({ code: 'custom', message: 'pass either courseId or createCourse', path: ['createCourse'] });
+        }
+        if (b.createLearningPlan && b.learningPlanId) {
+          ctx.addIssue({
+            code: 'custom',
+            message: 'pass either learningPlanId or createLearningPlan',
+            path: ['createLearningPlan'],
+          });
+        }
       })
       .parse(req.body || {});
 
+    // Validate before anything is created in Ethos, so a bad draft cannot fail halfway through.
+    const { draft } = parseDraft(body.draft);
+    if (body.draftId) history.fileFor('drafts', body.draftId);
+
     const creds = getCredentials(req);
-    const service = new EthosContentService({ credentials: creds });
-    const created = await service.publishDraft({
-      draft: body.draft,
-      courseId: body.courseId || process.env.DEFAULT_COURSE_ID || null,
-      learningItemState: body.learningItemState,
-      reuseExistingUsers: body.reuseExistingUsers ?? true,
-      enableEthosGeneratedGroup: body.enableEthosGeneratedGroup ?? true,
-      ethosGeneratedAttributeName:
-        body.ethosGeneratedAttributeName || process.env.ETHOS_GENERATED_ATTRIBUTE_NAME || 'EthosGenerated',
-      ethosGeneratedGroupName:
-        body.ethosGeneratedGroupName || process.env.ETHOS_GENERATED_GROUP_NAME || 'Ethos Generated Learners',
-      autoPublishCourse:
-        body.autoPublishCourse ?? String(process.env.AUTO_PUBLISH_COURSE || '').toLowerCase() === 'true',
-      autoPublishLearningItems:
-        body.autoPublishLearningItems ?? String(process.env.AUTO_PUBLISH_LEARNING_ITEMS || '').toLowerCase() === 'true',
+    const tenant = tenantOf(req);
+    const service = new EthosContentService({ credentials: creds, client: ethosClient(req) });
+    const publishOptions = publishOptionsFrom(body);
+    const options = { draft, ...publishOptions, cardLinkTemplate: CARD_LINK_TEMPLATE };
+
+    const runId = await choosePublishRunId(publishJournal, {
+      draft,
+      publishOptions,
+      tenant,
+      runId: body.runId,
+      newRun: body.newRun,
+    });
+
+    // A dry run only reads the tenant and returns the requests a publish would make.
+    if (body.dryRun) {
+      const plan = await service.planPublish(options);
+      const run = await publishJournal.load(runId);
+      return res.json({ ...plan, publishRun: run ? run.summary() : { runId, status: 'new' } });
+    }
+
+    const meta = {
+      topic: draft.topic || null,
+      lessons: draft.lessons.length,
+      quizzes: draft.quizzes.length,
+      users: draft.users.length,
+      draftId: body.draftId || null,
+      tenant,
+    };
+    // Begin the run before answering, so a second submit of the same draft gets the 409 right away.
+    const run = await publishJournal.begin(runId, meta);
+    const publish = async (job) => {
+      const result = await runPublish({
+        journal: publishJournal,
+        run,
+        service,
+        options,
+        onProgress: job ? (p) => job.report(p) : null,
+        signal: job?.signal,
+      });
+      if (body.draftId && !result.publishRun.replayed) {
+        // Content is already in Ethos at this point, so a failed history write must not fail the publish.
+        await saveDraft(result.draft, { id: body.draftId, tenant, links: { runId: run.runId } }).catch(() => {});
+      }
+      return result;
+    };
+
+    if (body.background) {
+      const job = jobs.start('publish', publish, { owner: req.sessionID, meta: { ...meta, runId } });
+      return res.status(202).json({ jobId: job.id, job: job.summary() });
+    }
+    res.json(await publish(null));
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.get('/api/ethos/publish/runs', requireAuth, async (req, res, next) => {
+  try {
+    res.json({ runs: await publishJournal.list({ tenant: tenantOf(req) }) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.get('/api/ethos/publish/runs/:runId', requireAuth, async (req, res, next) => {
+  try {
+    const run = await loadPublishRun(req, req.params.runId);
+    if (!run) return res.status(404).json({ error: 'Publish run not found' });
+    res.json(run.data);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Deactivates what a publish run created. Defaults to a dry run that only reports what it would do.
+app.post('/api/ethos/teardown', requireAuth, async (req, res, next) => {
+  try {
+    const body = z
+      .object({
+        runId: z.string().trim().min(1).optional(),
+        published: z.any().optional(),
+        dryRun: z.boolean().default(true),
+        includeReusedUsers: z.boolean().default(false),
+        ethosGeneratedAttributeName: z.string().trim().min(1).optional(),
+        ethosGeneratedGroupName: z.string().trim().min(1).optional(),
+      })
+      .refine((b) => b.runId || b.published, { message: 'Provide a publish runId or a published result' })
+      .parse(req.body || {});
+
+    const run = body.runId ? await loadPublishRun(req, body.runId) : null;
+    if (body.runId && !run) return res.status(404).json({ error: 'Publish run not found' });
+
+    const service = new EthosTeardownService({ credentials: getCredentials(req), client: ethosClient(req) });
+    const result = await service.teardown(run ? run.createdSoFar() : body.published, {
+      dryRun: body.dryRun,
+      includeReusedUsers: body.includeReusedUsers,
+      attributeName: body.ethosGeneratedAttributeName || ETHOS_GENERATED_ATTRIBUTE_NAME,
+      groupName: body.ethosGeneratedGroupName || ETHOS_GENERATED_GROUP_NAME,
     });
+    if (run && !body.dryRun && result.summary.failed === 0) await run.markTornDown(result.summary);
 
-    res.json(created);
+    res.json({ runId: run?.runId || null, ...result });
   } catch (e) {
     next(e);
   }
@@ -175,7 +472,7 @@ app.post('/api/ethos/publish', requireAuth, async (req, res, next) => {
 app.get('/api/ethos/courses', requireAuth, async (req, res, next) => {
   try {
     const creds = getCredentials(req);
-    const service = new EthosContentService({ credentials: creds });
+    const service = new EthosContentService({ credentials: creds, client: ethosClient(req) });
 
     const data = await service.client.get('/v1/courses', { params: { itemsPerPage: 100 } });
     const courses = Array.isArray(data) ? data : data?.['hydra:member'] || [];
@@ -197,25 +494,33 @@ app.post('/api/simulate', async (req, res, next) => {
   try {
     const body = z
       .object({
-        draft: z.any(),
+        draft: z.unknown(),
         lessonCompletionRate: z.number().min(0).max(1).default(0.8),
         quizParticipationRate: z.number().min(0).max(1).default(0.7),
         quizScoreMean: z.number().min(0).max(1).default(0.78),
         quizScoreStd: z.number().min(0).max(1).default(0.12),
+        // A cohort name (e.g. "typical") or `{ shares, personas }`; see src/services/personas.js.
+        cohort: cohortSchema.optional(),
+        // Backdates the activity over past days, e.g. `{ "windowDays": 30 }`; see activityTimeline.js.
+        timeline: timelineSchema.optional(),
+        seed: z.union([z.number().int(), z.string().trim().min(1).max(64)]).optional(),
+        draftId: z.string().trim().min(1).optional(),
       })
       .parse(req.body || {});
 
-    const results = simulateOutcomes({
-      users: body.draft.users || [],
-      lessons: body.draft.lessons || [],
-      quizzes: body.draft.quizzes || [],
-      lessonCompletionRate: body.lessonCompletionRate,
-      quizParticipationRate: body.quizParticipationRate,
-      quizScoreMean: body.quizScoreMean,
-      quizScoreStd: body.quizScoreStd,
-    });
-
-    res.json(results);
+    const { draft } = parseDraft(body.draft);
+    const { lessonCompletionRate, quizParticipationRate, quizScoreMean, quizScoreStd, cohort } = body;
+    // Resolved here so the saved options can replay the run.
+    const seed = body.seed ?? randomSeed();
+    const timeline = body.timeline && { ...body.timeline, end: body.timeline.end ?? new Date().toISOString() };
+    const rates = { lessonCompletionRate, quizParticipationRate, quizScoreMean, quizScoreStd };
+    const options = { ...rates, cohort, timeline, seed };
+    const { users, lessons, quizzes } = draft;
+    const results = simulateOutcomes({ users, lessons, quizzes, ...options });
+
+    const links = { draftId: body.draftId };
+    const saved = await saveSimulation({ mode: 'local', tenant: tenantOf(req), options, results, links });
+    res.json({ ...results, simulationId: saved.id });
   } catch (e) {
     next(e);
   }
@@ -223,12 +528,6 @@ app.post('/api/simulate', async (req, res, next) => {
 
 app.post('/api/ethos/simulate', requireAuth, async (req, res, next) => {
   try {
-    const extractUuid = (value) => {
-      if (!value) return null;
-      const m = String(value).match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
-      return m?.[0] || null;
-    };
-
     const body = z
       .object({
         published: z.any(),
@@ -236,133 +535,107 @@ app.post('/api/ethos/simulate', requireAuth, async (req, res, next) => {
         quizParticipationRate: z.number().min(0).max(1).default(0.7),
         quizScoreMean: z.number().min(0).max(1).default(0.78),
         quizScoreStd: z.number().min(0).max(1).default(0.12),
+        cohort: cohortSchema.optional(),
+        timeline: timelineSchema.optional(),
+        seed: z.union([z.number().int(), z.string().trim().min(1).max(64)]).optional(),
         debug: z.boolean().optional(),
+        // Run as a background job and return its ID right away (see /api/jobs).
+        background: z.boolean().optional(),
+        // Simulate against a journaled publish run instead of passing `published`.
+        runId: z.string().trim().min(1).optional(),
       })
+      .refine((b) => b.runId || b.published, { message: 'Provide a publish runId or a published result' })
       .parse(req.body || {});
 
-    const creds = getCredentials(req);
-
-    const publishedUsers = Array.isArray(body.published?.users) ? body.published.users : [];
-    const lessonItems = Array.isArray(body.published?.lessons) ? body.published.lessons : [];
-    const quizItems = Array.isArray(body.published?.quizzes) ? body.published.quizzes : [];
-
-    const userIds = publishedUsers.map((u) => u.id).filter(Boolean);
-    const lessonIds = lessonItems.map((x) => extractUuid(x?.learningItem?.id ?? x?.learningItem?.['@id'])).filter(Boolean);
-    const quizIds = quizItems.map((x) => extractUuid(x?.learningItem?.id ?? x?.learningItem?.['@id'])).filter(Boolean);
-    const courseIdFromRef =
-      body.published?.courseRef?.id ||
-      body.published?.courseId ||
-      (lessonItems[0]?.learningItem?.course ? String(lessonItems[0].learningItem.course).match(/[0-9a-f-]{36}/i)?.[0] : null);
-
-    const sim = simulateOutcomes({
-      users: publishedUsers.map((u) => ({ id: u.id, email: u.email })),
-      lessons: lessonIds.map((id) => ({ name: id })),
-      quizzes: quizIds.map((id) => ({ name: id })),
-      lessonCompletionRate: body.lessonCompletionRate,
-      quizParticipationRate: body.quizParticipationRate,
-      quizScoreMean: body.quizScoreMean,
-      quizScoreStd: body.quizScoreStd,
-    });
-
-    const simService = new EthosSimulationService({ credentials: creds });
-
-    // Batch-poll enrollments once (avoid per-user per-item long waits).
-    const enrollmentTimeoutMs = 60_000;
-    const allItemIds = [...lessonIds, ...quizIds];
-
-    const enrollments = await simService.waitForEnrollments({
-      learningItemIds: allItemIds,
-      userIds,
-      courseId: courseIdFromRef,
-      timeoutMs: enrollmentTimeoutMs,
-      pollMs: 2_000,
-    });
-
-    // Only run expensive diagnostics when explicitly requested, or when enrollments are missing.
-    const debug = Boolean(body.debug);
-    const shouldRunDiagnostics = debug || enrollments.length === 0;
-
-    const enrollmentDebug = shouldRunDiagnostics
-      ? await simService.debugEnrollmentQueries({
-          learningItemIds: allItemIds,
-          userIds,
-          courseId: courseIdFromRef,
-          mode: 'full',
-        })
-      : [{ strategy: 'skipped', reason: 'enrollments_found', foundEnrollments: enrollments.length }];
-
-    const courseEnrollmentDebug =
-      shouldRunDiagnostics && courseIdFromRef
-        ? await simService.debugCourseEnrollment({ courseId: courseIdFromRef, userIds, learningItemIds: allItemIds })
-        : null;
-
-    const enrollmentMap = new Map();
-    for (const e of enrollments) {
-      // When using course-enrollment strategy, we already have a userId field.
-      if (e.userId && e.learningItemId && e.learningItemEnrollmentId) {
-        const li = extractUuid(e.learningItemId);
-        if (li) enrollmentMap.set(`${e.userId}:${li}`, e.learningItemEnrollmentId);
-        continue;
-      }
-
-      const li = extractUuid(e.learningItemId || e.learningItem?.id || e.learningItem?.['@id'] || e.learning_item_id || null);
-      if (!li || !e.id) continue;
+    const publishRun = body.runId ? await loadPublishRun(req, body.runId) : null;
+    if (body.runId && !publishRun) return res.status(404).json({ error: 'Publish run not found' });
+    const published = publishRun ? publishRun.createdSoFar() : body.published;
+
+    const tenant = tenantOf(req);
+    const simService = new EthosSimulationService({ credentials: getCredentials(req), client: ethosClient(req) });
+    const { lessonCompletionRate, quizParticipationRate, quizScoreMean, quizScoreStd, cohort, debug } = body;
+    const seed = body.seed ?? randomSeed();
+    const timeline = body.timeline && { ...body.timeline, end: body.timeline.end ?? new Date().toISOString() };
+    const rates = { lessonCompletionRate, quizParticipationRate, quizScoreMean, quizScoreStd };
+    const options = { ...rates, cohort, timeline, seed, debug };
+    const run = async (job) => {
+      const results = await simService.runSimulation(
+        { ...options, published },
+        { onProgress: job ? (p) => job.report(p) : null, signal: job?.signal },
+      );
+      const links = { runId: body.runId || published?.publishRun?.runId, draftId: publishRun?.data.meta?.draftId };
+      const saved = await saveSimulation({ mode: 'ethos', tenant, options, results, links });
+      return { ...results, simulationId: saved.id };
+    };
 
-      const userIdForEnrollment = await simService.getCourseEnrollmentUserId(e.courseEnrollment);
-      if (!userIdForEnrollment) continue;
-      enrollmentMap.set(`${userIdForEnrollment}:${li}`, e.id);
+    if (body.background) {
+      const meta = { users: published?.users?.length, runId: body.runId };
+      const job = jobs.start('simulate', run, { owner: req.sessionID, meta });
+      return res.status(202).json({ jobId: job.id, job: job.summary() });
     }
+    res.json(await run(null));
+  } catch (e) {
+    next(e);
+  }
+});
 
-    const perUserResults = [];
-    for (const u of sim.perUser) {
-      const userId = u.user.id;
-      const completedLessons = [];
-      const completedQuizzes = [];
-      const enrollmentMisses = [];
-
-      // Lessons: complete if flagged
-      for (let i = 0; i < lessonIds.length; i++) {
-        const shouldComplete = u.lessonResults?.[i]?.completed;
-        if (!shouldComplete) continue;
-        const enrollmentId = enrollmentMap.get(`${userId}:${lessonIds[i]}`) || null;
-        const r = await simService.completeLesson({ learningItemEnrollmentId: enrollmentId, userId });
-        if (!r.ok) enrollmentMisses.push({ type: 'lesson', learningItemId: lessonIds[i] });
-        completedLessons.push(r);
-      }
-
-      // Quizzes: if took, answer to target percent
-      for (let i = 0; i < quizIds.length; i++) {
-        const took = u.quizResults?.[i]?.took;
-        const pct = u.quizResults?.[i]?.percentCorrect;
-        if (!took || typeof pct !== 'number') continue;
-        const enrollmentId = enrollmentMap.get(`${userId}:${quizIds[i]}`) || null;
-        const r = await simService.answerQuizByTargetPercent({
-          learningItemEnrollmentId: enrollmentId,
-          userId,
-          targetPercentCorrect: pct,
-          debug: Boolean(body.debug),
-        });
-        if (!r.ok) enrollmentMisses.push({ type: 'quiz', learningItemId: quizIds[i] });
-        completedQuizzes.push(r);
-      }
+app.get('/api/jobs', requireAuth, (req, res) => {
+  res.json({ jobs: jobs.list(req.sessionID) });
+});
 
-      perUserResults.push({ userId, completedLessons, completedQuizzes, enrollmentMisses });
-    }
+app.get('/api/jobs/:jobId', requireAuth, (req, res, next) => {
+  try {
+    const job = jobs.get(req.params.jobId, req.sessionID);
+    res.json({ ...job.summary(), result: job.result });
+  } catch (e) {
+    next(e);
+  }
+});
 
-    res.json({
-      ok: true,
-      note: 'Enrollment is expected to be handled via EthosGenerated attribute + learning group rules (configured during publish).',
-      enrollmentWait: { timeoutMs: enrollmentTimeoutMs, foundEnrollments: enrollments.length },
-      enrollmentDebug,
-      courseEnrollmentDebug,
-      simulation: sim.summary,
-      perUserResults,
-    });
+app.post('/api/jobs/:jobId/cancel', requireAuth, (req, res, next) => {
+  try {
+    res.json(jobs.cancel(req.params.jobId, req.sessionID).summary());
   } catch (e) {
     next(e);
   }
 });
 
+// Server-Sent Events: recent `progress` events, then live ones, then one `finished` event.
+app.get('/api/jobs/:jobId/events', requireAuth, (req, res, next) => {
+  let job;
+  try {
+    job = jobs.get(req.params.jobId, req.sessionID);
+  } catch (e) {
+    return next(e);
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  for (const event of job.events) send('progress', event);
+  if (job.finished) {
+    send('finished', job.summary());
+    return res.end();
+  }
+
+  const onProgress = (event) => send('progress', event);
+  const onFinished = (summary) => {
+    send('finished', summary);
+    res.end();
+  };
+  // Comments keep proxies from closing an idle stream while a step is slow.
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15_000);
+  job.on('progress', onProgress);
+  job.once('finished', onFinished);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.off('progress', onProgress);
+    job.off('finished', onFinished);
+  });
+});
+
 app.use(express.static(publicDir));
 app.get('/', (_req, res) => res.sendFile(path.join(publicDir, 'index.html')));
 app.use((_req, res) => res.sendFile(path.join(publicDir, 'index.html')));
@@ -385,11 +658,17 @@ app.use((err, _req, res, _next) => {
     error: err?.message || 'Unknown error',
     details: err?.data || undefined,
     request: err?.method && err?.url ? { method: err.method, url: err.url } : undefined,
+    publishRun: err?.publishRun || undefined,
   });
 });
 
-app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`Ethos Content Creator running on http://localhost:${PORT}`);
-});
+export { app };
+
+// Tests import the app and listen on a port of their own.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(PORT, () => {
+    // eslint-disable-next-line no-console
+    console.log(`Ethos Content Creator running on http://localhost:${PORT}`);
+  });
+}
 
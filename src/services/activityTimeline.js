@@ -0,0 +1,127 @@
+import { z } from 'zod';
+
+import { DEFAULT_PACING } from './personas.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Spreads simulated activity over the `windowDays` whole days (UTC) before the day of `end`, which
+// defaults to now. A weekend day is `weekendWeight` times as likely as a weekday, and items start
+// within `workingHours` (UTC).
+export const timelineSchema = z.object({
+  windowDays: z.number().int().min(1).max(365).default(30),
+  end: z.iso.datetime({ offset: true }).optional(),
+  weekendWeight: z.number().min(0).max(1).default(0.2),
+  workingHours: z
+    .tuple([z.number().int().min(0).max(23), z.number().int().min(1).max(24)])
+    .refine(([from, to]) => from < to, { message: 'workingHours must be [from, to]' })
+    .default([9, 17]),
+});
+
+// Where in the window (0..1) a learner's items fall, by their persona's `pacing.spread`.
+const SPREADS = {
+  early: (u) => u * u,
+  even: (u) => u,
+  late: (u) => 1 - u * u,
+};
+
+function pickDay(firstDay, { windowDays, weekendWeight }, spread, random) {
+  for (let attempt = 0; ; attempt++) {
+    const offset = Math.min(windowDays - 1, Math.floor(SPREADS[spread](random.next()) * windowDays));
+    const day = firstDay + offset * DAY_MS;
+    const weekend = [0, 6].includes(new Date(day).getUTCDay());
+    if (!weekend || attempt >= 20 || random.next() < weekendWeight) return day;
+  }
+}
+
+// A minute or two per lesson card, and the persona's pace per quiz question. Items whose size is
+// unknown (the Ethos simulation only has IDs) count as five cards or questions.
+function durationMs(item, pacing, random) {
+  if (item.type === 'lesson') return (item.cards || 5) * (60 + random.int(61)) * 1000;
+  const [min, max] = pacing.secondsPerQuestion;
+  return (item.questions || 5) * (min + random.int(max - min + 1)) * 1000;
+}
+
+// Plans when each user did what: the completed lessons and attempted quizzes, in course order, on
+// days picked across the window. Items never overlap, a short break follows each one, and every
+// timestamp falls in working hours inside the window. Returns the window and an `activity` list per
+// user with ISO `startedAt`/`completedAt`.
+export function planTimeline(perUser, { lessons = [], quizzes = [], timeline: options, random }) {
+  const timeline = timelineSchema.parse(options);
+  const { windowDays, end, workingHours } = timeline;
+  const endDay = Math.floor((end ? Date.parse(end) : Date.now()) / DAY_MS) * DAY_MS;
+  const firstDay = endDay - windowDays * DAY_MS;
+  const [fromHour, toHour] = workingHours;
+  const iso = (ms) => new Date(ms).toISOString();
+  const dayOf = (ms) => Math.floor(ms / DAY_MS) * DAY_MS;
+  const opens = (ms) => dayOf(ms) + fromHour * HOUR_MS;
+  const closes = (ms) => dayOf(ms) + toHour * HOUR_MS;
+  const lastClose = endDay - DAY_MS + toHour * HOUR_MS;
+  // Into the working hours of its day, then into the window. Both steps keep times in order, so
+  // clamped items still never overlap (though a squeezed one can shrink to nothing).
+  const clamp = (ms) =>
+    Math.min(Math.max(Math.min(Math.max(ms, opens(ms)), closes(ms)), firstDay + fromHour * HOUR_MS), lastClose);
+
+  const activity = perUser.map((u) => {
+    const pacing = u.pacing || DEFAULT_PACING;
+    const items = [
+      ...u.lessonResults.map((r, index) =>
+        r.completed ? { type: 'lesson', index, name: r.lessonName, cards: lessons[index]?.cards?.length } : null,
+      ),
+      ...u.quizResults.map((r, index) =>
+        r.took ? { type: 'quiz', index, name: r.quizName, questions: quizzes[index]?.questions?.length } : null,
+      ),
+    ].filter(Boolean);
+
+    const starts = items
+      .map(() => {
+        const day = pickDay(firstDay, timeline, pacing.spread, random);
+        return day + (fromHour * 60 + random.int((toHour - fromHour) * 60)) * MINUTE_MS;
+      })
+      .sort((a, b) => a - b);
+    let free = 0;
+    const planned = items.map((item, i) => {
+      let startedAt = Math.max(starts[i], free);
+      startedAt = Math.max(startedAt, opens(startedAt));
+      const duration = durationMs(item, pacing, random);
+      // An item that would run past closing time waits for the next working day, if it fits in one.
+      if (startedAt + duration > closes(startedAt) && duration <= (toHour - fromHour) * HOUR_MS) {
+        startedAt = opens(startedAt) + DAY_MS;
+      }
+      const completedAt = startedAt + duration;
+      free = completedAt + (5 + random.int(26)) * MINUTE_MS;
+      return { startedAt, completedAt };
+    });
+    // Breaks and waits can push the last items past the end of the window; pull them back, latest
+    // first, then clamp whatever that moved out of working hours or before the window.
+    let latest = lastClose;
+    for (const p of planned.toReversed()) {
+      const overrun = Math.max(0, p.completedAt - latest);
+      p.startedAt -= overrun;
+      p.completedAt -= overrun;
+      latest = p.startedAt - 5 * MINUTE_MS;
+    }
+    for (const p of planned) {
+      p.startedAt = clamp(p.startedAt);
+      p.completedAt = clamp(p.completedAt);
+    }
+    return items.map(({ type, index, name }, i) => ({
+      type,
+      index,
+      name,
+      startedAt: iso(planned[i].startedAt),
+      completedAt: iso(planned[i].completedAt),
+    }));
+  });
+
+  const all = activity.flat();
+  const summary = {
+    windowDays,
+    from: iso(firstDay),
+    to: iso(endDay),
+    activities: all.length,
+    weekendActivities: all.filter((a) => [0, 6].includes(new Date(a.startedAt).getUTCDay())).length,
+  };
+  return { summary, activity };
+}
@@ -1,3 +1,11 @@
+import { normalizeForMatch, SentenceSet, splitParagraphs } from './sources/textUtils.js';
+import { planTimeline } from './activityTimeline.js';
+import { DRAFT_SCHEMA_VERSION } from './draftSchema.js';
+import { heuristicBackend } from './generation/index.js';
+import { assignPersonas, resolveCohort, summarizeByPersona } from './personas.js';
+import { createRandom } from './random.js';
+import { loadSource } from './sources/index.js';
+
 function slugify(s) {
   return String(s)
     .toLowerCase()
@@ -6,249 +14,238 @@ function slugify(s) {
     .slice(0, 40);
 }
 
-function splitParagraphs(text) {
-  return String(text)
-    .split(/\n{2,}/g)
-    .map((p) => p.trim())
-    .filter(Boolean)
-    .filter((p) => p.length >= 60);
-}
-
-function pickSentences(text, max = 30) {
-  const cleaned = String(text).replace(/\s+/g, ' ').trim();
-  const sentences = cleaned.split(/(?<=[.!?])\s+/g).map((s) => s.trim());
-  return sentences.filter(Boolean).slice(0, max);
-}
-
-function clamp01(x) {
-  return Math.max(0, Math.min(1, x));
-}
+function planLessonSections(sections, lessonsCount) {
+  // Units are contiguous paragraph ranges of one section (1-based, inclusive).
+  const units = sections.map((s) => ({ heading: s.title, source: s, paragraphs: s.paragraphs, from: 1, to: s.paragraphs.length }));
 
-function shuffle(arr) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
+  // Too few sections: split the largest range in half until every lesson has its own material.
+  while (units.length < lessonsCount) {
+    let largest = -1;
+    for (let i = 0; i < units.length; i++) {
+      if (units[i].paragraphs.length < 2) continue;
+      if (largest < 0 || units[i].paragraphs.length > units[largest].paragraphs.length) largest = i;
+    }
+    if (largest < 0) break;
+    const u = units[largest];
+    const mid = Math.ceil(u.paragraphs.length / 2);
+    units.splice(
+      largest,
+      1,
+      { ...u, paragraphs: u.paragraphs.slice(0, mid), to: u.from + mid - 1 },
+      { ...u, paragraphs: u.paragraphs.slice(mid), from: u.from + mid },
+    );
   }
-  return a;
-}
 
-async function fetchWithRetry(url, options = {}, { retries = 3, baseDelayMs = 400 } = {}) {
-  let lastErr;
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const res = await fetch(url, options);
-      if (res.status === 429 || res.status === 503) {
-        const retryAfter = Number(res.headers.get('retry-after') || '');
-        const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : baseDelayMs * Math.pow(2, attempt);
-        await new Promise((r) => setTimeout(r, delay));
-        continue;
-      }
-      return res;
-    } catch (e) {
-      lastErr = e;
-      const delay = baseDelayMs * Math.pow(2, attempt);
-      await new Promise((r) => setTimeout(r, delay));
+  // Too many sections: merge neighbours so each lesson covers a similar amount of text.
+  const groups = [];
+  const sizeOf = (u) => u.paragraphs.join('').length;
+  let remaining = units.reduce((n, u) => n + sizeOf(u), 0);
+  let current = [];
+  let currentSize = 0;
+  for (let i = 0; i < units.length; i++) {
+    current.push(units[i]);
+    currentSize += sizeOf(units[i]);
+    const lessonsLeft = Math.max(1, lessonsCount - groups.length);
+    const unitsLeft = units.length - i - 1;
+    const target = remaining / lessonsLeft;
+    if ((currentSize >= target && lessonsLeft > 1) || unitsLeft < lessonsLeft) {
+      groups.push(current);
+      remaining -= currentSize;
+      current = [];
+      currentSize = 0;
     }
   }
-  throw lastErr || new Error('fetch failed');
-}
-
-const WIKI_HEADERS = {
-  // Wikipedia strongly prefers a descriptive UA.
-  'User-Agent': 'ethos-content-creator-demo/1.0 (demo-purpose)',
-  Accept: 'application/json',
-};
-
-async function wikiSearch(topic) {
-  const url = new URL('https://en.wikipedia.org/w/api.php');
-  url.searchParams.set('action', 'query');
-  url.searchParams.set('list', 'search');
-  url.searchParams.set('srsearch', topic);
-  url.searchParams.set('format', 'json');
-  url.searchParams.set('origin', '*');
+  if (current.length) groups.push(current);
 
-  const res = await fetchWithRetry(url, { headers: WIKI_HEADERS });
-  if (!res.ok) throw new Error(`Wikipedia search failed (${res.status})`);
-  const data = await res.json();
-  const first = data?.query?.search?.[0];
-  if (!first?.title) throw new Error('Wikipedia search returned no results');
-  return first.title;
-}
-
-async function wikiSummary(title) {
-  const url = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(title)}`;
-  const res = await fetchWithRetry(url, { headers: WIKI_HEADERS });
-  if (!res.ok) throw new Error(`Wikipedia summary failed (${res.status})`);
-  return await res.json();
+  return groups.map((g) => {
+    const headings = [...new Set(g.map((u) => u.heading))];
+    const first = g[0];
+    const partial = g.length === 1 && (first.from > 1 || first.to < first.source.paragraphs.length);
+    return {
+      title: partial && first.from > 1 ? `${first.heading} (continued)` : headings.join(' & '),
+      headings,
+      paragraphs: partial ? [first.from, first.to] : null,
+      // Contiguous paragraph ranges per source section, for citations.
+      parts: g.map((u) => ({ section: u.source, from: u.from, to: u.to })),
+      text: g.map((u) => u.paragraphs.join('\n\n')).join('\n\n'),
+    };
+  });
 }
 
-async function wikiExtractPlain(title) {
-  const url = new URL('https://en.wikipedia.org/w/api.php');
-  url.searchParams.set('action', 'query');
-  url.searchParams.set('prop', 'extracts');
-  url.searchParams.set('explaintext', '1');
-  url.searchParams.set('exsectionformat', 'plain');
-  url.searchParams.set('titles', title);
-  url.searchParams.set('format', 'json');
-  url.searchParams.set('origin', '*');
-
-  const res = await fetchWithRetry(url, { headers: WIKI_HEADERS });
-  if (!res.ok) throw new Error(`Wikipedia extract failed (${res.status})`);
-  const data = await res.json();
-  const pages = data?.query?.pages || {};
-  const page = Object.values(pages)[0];
-  const extract = page?.extract;
-  if (!extract) throw new Error('Wikipedia extract returned empty content');
-  return extract;
+function assignLessonsToQuiz(quizIndex, quizzesCount, lessonsCount) {
+  if (!lessonsCount) return [];
+  // More quizzes than lessons: one lesson each, wrapping around.
+  if (quizzesCount >= lessonsCount) return [quizIndex % lessonsCount];
+  // Otherwise split the lesson sequence into contiguous runs, one per quiz.
+  const from = Math.floor((quizIndex * lessonsCount) / quizzesCount);
+  const to = Math.floor(((quizIndex + 1) * lessonsCount) / quizzesCount);
+  return Array.from({ length: to - from }, (_, k) => from + k);
 }
 
-function generateLessonCards({ title, summary, extractText, minCards = 5 }) {
-  const paragraphs = splitParagraphs(extractText);
-  const cards = [];
-
-  // Card 1: title/overview
-  cards.push({
-    title,
-    body: summary || (paragraphs[0] ? paragraphs[0].slice(0, 600) : `Overview of ${title}.`),
-  });
-
-  // Cards 2..N-1: chunk paragraphs
-  const remaining = paragraphs.slice(0, 12);
-  const chunkSize = Math.max(1, Math.floor(remaining.length / Math.max(1, minCards - 2)));
-  for (let i = 0; i < remaining.length; i += chunkSize) {
-    const chunk = remaining.slice(i, i + chunkSize).join('\n\n');
-    cards.push({
-      title: `${title} — Key concepts`,
-      body: chunk.slice(0, 1200),
-    });
-    if (cards.length >= minCards - 1) break;
+// "Handbook.pdf, pp. 3–5" for file-based sources; Wikipedia and pasted text need no citation.
+function formatCitation(sources) {
+  const byFile = new Map();
+  for (const ref of sources) {
+    const file = ref.fileName || ref.file;
+    if (!file) continue;
+    const pages = byFile.get(file) || [];
+    byFile.set(file, pages.concat(ref.pages || []));
   }
-
-  // Last card: takeaways
-  const sents = pickSentences(extractText, 12);
-  const bullets = sents.slice(0, 5).map((s) => `- ${s.replace(/\s+$/, '')}`);
-  cards.push({
-    title: `${title} — Key takeaways`,
-    body: bullets.length ? bullets.join('\n') : `- ${title} has several key concepts.\n- Review the summary and key terms.`,
+  const parts = [...byFile].map(([file, pages]) => {
+    if (!pages.length) return file;
+    const lo = Math.min(...pages);
+    const hi = Math.max(...pages);
+    return lo === hi ? `${file}, p. ${lo}` : `${file}, pp. ${lo}–${hi}`;
   });
-
-  while (cards.length < minCards) {
-    cards.push({
-      title: `${title} — Review`,
-      body: summary || `Review the major ideas related to ${title}.`,
-    });
-  }
-
-  return cards.slice(0, Math.max(minCards, cards.length));
+  return parts.length ? parts.join('; ') : null;
 }
 
-function generateQuizQuestions({ title, extractText, minQuestions = 5 }) {
-  const sentences = pickSentences(extractText, 60);
-
-  // Try to pick definitional sentences.
-  const definitional = sentences
-    .map((s) => s.replace(/\[[^\]]*]/g, '').trim())
-    .filter((s) => s.length >= 40 && s.length <= 220)
-    .filter((s) => /\b(is|are|refers to|defined as)\b/i.test(s));
-
-  const picked = definitional.slice(0, Math.max(minQuestions, 12));
-
-  const facts = [];
-  for (const s of picked) {
-    const m =
-      s.match(/^(.{3,80}?)\s+(is|are|refers to|is defined as|are defined as)\s+(.{8,140}?)[.?!]$/i) ||
-      s.match(/^(.{3,80}?)\s+(is|are|refers to|defined as)\s+(.{8,140}?)[.?!]$/i);
-    if (!m) continue;
-    const subject = m[1].replace(/\s*\([^)]*\)\s*/g, '').trim();
-    const predicate = m[3].trim();
-    if (subject.length < 3 || predicate.length < 8) continue;
-    facts.push({ subject, predicate, sourceSentence: s });
-    if (facts.length >= 20) break;
-  }
-
-  const predicates = facts.map((f) => f.predicate);
-
-  const questions = [];
-  for (const f of facts) {
-    const distractors = shuffle(predicates.filter((p) => p !== f.predicate)).slice(0, 3);
-    const options = shuffle([f.predicate, ...distractors]);
-    const correctIndex = options.indexOf(f.predicate);
-
-    if (options.length < 4 || correctIndex < 0) continue;
-
-    questions.push({
-      question: `In the context of ${title}, what best describes "${f.subject}"?`,
-      options,
-      correctIndex,
-      explanation: f.sourceSentence,
-      sourceSentence: f.sourceSentence,
-    });
-
-    if (questions.length >= minQuestions) break;
+// The lesson card that taught a question's source sentence, for feedback links. Only the lessons the
+// quiz assesses are searched: a card whose body has the sentence, else the lesson whose text has it.
+function locateTeachingCard(sentence, lessons, lessonPlan, lessonIndexes) {
+  const needle = normalizeForMatch(sentence);
+  if (!needle) return null;
+  for (const lessonIndex of lessonIndexes) {
+    const cardIndex = lessons[lessonIndex].cards.findIndex((c) => normalizeForMatch(c.body).includes(needle));
+    if (cardIndex >= 0) {
+      return { lessonIndex, cardIndex, cardTitle: lessons[lessonIndex].cards[cardIndex].title };
+    }
   }
-
-  // Fallback: simple recall questions from title/summary
-  while (questions.length < minQuestions) {
-    const idx = questions.length + 1;
-    questions.push({
-      question: `Which statement is most accurate about ${title}?`,
-      options: shuffle([
-        `It relates to ${title} and its key ideas.`,
-        `It is unrelated to ${title}.`,
-        `It is always the same as any other topic.`,
-        `It can never be defined or described.`,
-      ]),
-      correctIndex: 0,
-      explanation: 'Generated fallback question for demo purposes.',
-      sourceSentence: null,
-    });
+  for (const lessonIndex of lessonIndexes) {
+    if (normalizeForMatch(lessonPlan[lessonIndex].text).includes(needle)) {
+      return { lessonIndex, cardIndex: null, cardTitle: null };
+    }
   }
+  return null;
+}
 
-  return questions.slice(0, minQuestions);
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
 }
 
 export async function generateDraft({
   topic,
+  source,
+  sourceConfig,
+  generator = heuristicBackend,
+  questionTypes = ['selectOne', 'trueFalse'],
   lessonsCount = 1,
   quizzesCount = 1,
   usersCount = 10,
   userEmailBase = '',
   userEmailDomain = '',
   userEmailStartIndex = 1,
+  seed,
 } = {}) {
-  const resolvedTitle = await wikiSearch(topic);
-  const summary = await wikiSummary(resolvedTitle);
-  const extractText = await wikiExtractPlain(resolvedTitle);
+  const sourceDoc = await loadSource(source || { type: 'wikipedia', topic }, sourceConfig);
+  const resolvedTitle = sourceDoc.title;
+  const sourceUrl = sourceDoc.url || null;
+  const sourceRef = (part) => {
+    const ref = { type: sourceDoc.type, title: resolvedTitle, url: sourceUrl };
+    if (sourceDoc.fileName) ref.fileName = sourceDoc.fileName;
+    if (!part) return ref;
+    ref.section = part.section.title;
+    if (part.section.file) ref.file = part.section.file;
+    const pages = part.section.paragraphPages?.slice(part.from - 1, part.to);
+    if (pages?.length) ref.pages = [...new Set(pages)];
+    return ref;
+  };
 
-  const sourceUrl = summary?.content_urls?.desktop?.page || `https://en.wikipedia.org/wiki/${encodeURIComponent(resolvedTitle)}`;
+  const sections = sourceDoc.sections;
+  const articleText = sections.map((s) => s.paragraphs.join('\n\n')).join('\n\n');
+  const lessonPlan = lessonsCount > 0 ? planLessonSections(sections, lessonsCount) : [];
 
-  const lessons = Array.from({ length: Math.max(0, lessonsCount) }, (_, i) => {
-    const name = lessonsCount > 1 ? `${resolvedTitle} — Lesson ${i + 1}` : `${resolvedTitle} — Lesson`;
-    const desc = (summary?.extract || `Lesson on ${resolvedTitle}.`).trim();
-    return {
+  // Non-default backends fall back to the heuristics per item, and the draft records why. Items are
+  // generated one at a time from one seeded sequence, so the same seed and source give the same draft.
+  const random = createRandom(seed);
+  const generation = { backend: generator.name, model: generator.model || null, seed: random.seed, fallbacks: [] };
+  const generate = async (method, args, item) => {
+    if (generator === heuristicBackend) return await heuristicBackend[method]({ ...args, random });
+    try {
+      return await generator[method]({ ...args, random });
+    } catch (e) {
+      generation.fallbacks.push({ item, reason: e?.message || String(e), issues: e?.issues });
+      return await heuristicBackend[method]({ ...args, random });
+    }
+  };
+
+  // Each lesson covers its own slice of the article, in article order, so the sequence builds up.
+  // Short articles may yield fewer lessons than requested rather than repeating material.
+  const lessons = [];
+  for (const [i, section] of lessonPlan.entries()) {
+    const name =
+      lessonPlan.length > 1 ? `${resolvedTitle} — Lesson ${i + 1}: ${section.title}` : `${resolvedTitle} — Lesson`;
+    const lead = i === 0 ? sourceDoc.summary : null;
+    const desc = (lead || splitParagraphs(section.text)[0] || `Lesson on ${resolvedTitle}.`).trim();
+    const sources = section.parts.map((part) => sourceRef(part));
+    const cards = await generate(
+      'generateLessonCards',
+      { title: name, summary: lead, extractText: section.text, minCards: 5 },
+      name,
+    );
+    // The source's lead image goes on the opening card of the first lesson.
+    if (i === 0 && sourceDoc.image && cards.length) {
+      const at = Math.max(0, cards.findIndex((c) => c.layout === 'overview'));
+      cards[at] = { ...cards[at], layout: 'overview', image: sourceDoc.image };
+    }
+    const citation = formatCitation(sources);
+    lessons.push({
       name,
       // Ethos learning item descriptions commonly cap at 500 chars.
       description: desc.length > 500 ? `${desc.slice(0, 497)}...` : desc,
-      cards: generateLessonCards({
-        title: name,
-        summary: summary?.extract,
-        extractText,
-        minCards: 5,
-      }),
-      sources: [{ title: resolvedTitle, url: sourceUrl }],
-    };
-  });
+      section: { title: section.title, headings: section.headings, paragraphs: section.paragraphs },
+      cards: citation ? cards.map((c) => ({ ...c, citation })) : cards,
+      sources,
+    });
+  }
 
-  const quizzes = Array.from({ length: Math.max(0, quizzesCount) }, (_, i) => {
-    const name = quizzesCount > 1 ? `${resolvedTitle} — Quiz ${i + 1}` : `${resolvedTitle} — Quiz`;
-    return {
+  // Each quiz assesses a contiguous run of lessons and draws questions only from their text.
+  // Sentences already used by an earlier quiz are skipped so quizzes do not repeat questions; a
+  // sentence repeated across sections counts as used once it has been asked about.
+  const usedSentences = new SentenceSet();
+  const quizCount = Math.max(0, quizzesCount);
+  const quizzes = [];
+  for (let i = 0; i < quizCount; i++) {
+    const name = quizCount > 1 ? `${resolvedTitle} — Quiz ${i + 1}` : `${resolvedTitle} — Quiz`;
+    const lessonIndexes = assignLessonsToQuiz(i, quizCount, lessons.length);
+    const scopedText = lessonIndexes.length ? lessonIndexes.map((idx) => lessonPlan[idx].text).join('\n\n') : articleText;
+    const covered = lessonIndexes.map((idx) => lessonPlan[idx].title);
+    const questions = await generate(
+      'generateQuizQuestions',
+      {
+        title: resolvedTitle,
+        extractText: scopedText,
+        distractorText: articleText,
+        usedSentences,
+        minQuestions: 5,
+        questionTypes,
+      },
       name,
-      description: `Quiz on ${resolvedTitle}.`,
-      questions: generateQuizQuestions({ title: resolvedTitle, extractText, minQuestions: 5 }),
-      sources: [{ title: resolvedTitle, url: sourceUrl }],
-    };
-  });
+    );
+    // Short lessons can run out of fresh sentences; say so rather than borrow from other lessons.
+    if (!questions.length) {
+      throw Object.assign(
+        new Error(`${name}: the lessons it assesses yield no questions. Request fewer quizzes or more lessons.`),
+        { status: 422 },
+      );
+    }
+    if (questions.length < 5) {
+      generation.fallbacks.push({
+        item: name,
+        reason: `Only ${questions.length} of 5 questions: the lessons it assesses have too few usable sentences`,
+      });
+    }
+    quizzes.push({
+      name,
+      description: covered.length ? `Quiz on ${resolvedTitle}: ${covered.join(', ')}.` : `Quiz on ${resolvedTitle}.`,
+      assessesLessons: lessonIndexes.map((idx) => ({ lessonIndex: idx, name: lessons[idx].name })),
+      questions: questions.map((q) => {
+        const lessonRef = locateTeachingCard(q.sourceSentence, lessons, lessonPlan, lessonIndexes);
+        return lessonRef ? { ...q, lessonRef } : q;
+      }),
+      sources: [sourceRef()],
+    });
+  }
 
   const topicSlug = slugify(resolvedTitle) || 'topic';
   const firstNames = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Casey', 'Riley', 'Morgan', 'Avery', 'Jamie', 'Quinn'];
@@ -277,9 +274,11 @@ export async function generateDraft({
   });
 
   return {
-    topic,
+    schemaVersion: DRAFT_SCHEMA_VERSION,
+    topic: topic || resolvedTitle,
     resolvedTitle,
-    sources: [{ title: resolvedTitle, url: sourceUrl, summary: summary?.extract || '' }],
+    sources: [{ ...sourceRef(), summary: sourceDoc.summary || '' }],
+    generation,
     lessons,
     quizzes,
     users,
@@ -296,24 +295,31 @@ export function simulateOutcomes({
   quizParticipationRate = 0.7,
   quizScoreMean = 0.78,
   quizScoreStd = 0.12,
+  // Assigns each user a persona with rates of its own (see personas.js). The rates above fill in
+  // whatever a custom persona leaves out.
+  cohort,
+  // Backdates the activity over past days (see activityTimeline.js); each user then gets an
+  // `activity` list with the planned timestamps.
+  timeline,
+  seed,
+  // Callers that keep drawing after the outcomes (the Ethos simulation) pass their own sequence.
+  random = createRandom(seed),
 }) {
-  const randn = () => {
-    // Box-Muller
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  };
+  const defaults = { lessonCompletionRate, quizParticipationRate, quizScoreMean, quizScoreStd };
+  const resolved = cohort ? resolveCohort(cohort, defaults) : null;
+  const personaOf = resolved ? assignPersonas(users.length, resolved.shares, random) : [];
 
-  const perUser = users.map((u) => {
+  const perUser = users.map((u, i) => {
+    const persona = resolved?.personas[personaOf[i]];
+    const rates = persona || defaults;
     const lessonResults = lessons.map((l) => ({
       lessonName: l.name,
-      completed: Math.random() < lessonCompletionRate,
+      completed: random.next() < rates.lessonCompletionRate,
     }));
 
     const quizResults = quizzes.map((q) => {
-      const took = Math.random() < quizParticipationRate;
-      const score01 = took ? clamp01(quizScoreMean + quizScoreStd * randn()) : null;
+      const took = random.next() < rates.quizParticipationRate;
+      const score01 = took ? clamp01(rates.quizScoreMean + rates.quizScoreStd * random.normal()) : null;
       return {
         quizName: q.name,
         took,
@@ -321,17 +327,22 @@ export function simulateOutcomes({
       };
     });
 
-    return { user: u, lessonResults, quizResults };
+    if (!persona) return { user: u, lessonResults, quizResults };
+    return { user: u, persona: personaOf[i], pacing: persona.pacing, lessonResults, quizResults };
   });
 
-  const summary = {
-    users: users.length,
-    lessons: lessons.length,
-    quizzes: quizzes.length,
-    lessonCompletionRate,
-    quizParticipationRate,
-  };
+  const counts = { users: users.length, lessons: lessons.length, quizzes: quizzes.length };
+  const summary = resolved
+    ? { ...counts, cohort: resolved.name, byPersona: summarizeByPersona(perUser, resolved.personas) }
+    : { ...counts, lessonCompletionRate, quizParticipationRate };
+
+  // Planned after every outcome is drawn, so a seed plays out the same with or without a timeline.
+  if (timeline) {
+    const plan = planTimeline(perUser, { lessons, quizzes, timeline, random });
+    plan.activity.forEach((activity, i) => Object.assign(perUser[i], { activity }));
+    summary.timeline = plan.summary;
+  }
 
-  return { summary, perUser };
+  return { seed: random.seed, summary, perUser };
 }
 
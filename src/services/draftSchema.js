@@ -0,0 +1,293 @@
+import { z } from 'zod';
+
+import { CARD_LAYOUTS } from './generation/index.js';
+
+// Drafts are versioned so ones saved or pasted from an older build can still be published.
+// Drafts without `schemaVersion` predate versioning and are treated as version 1.
+export const DRAFT_SCHEMA_VERSION = 2;
+
+export class DraftValidationError extends Error {
+  constructor(message, { issues = [] } = {}) {
+    super(message);
+    this.name = 'DraftValidationError';
+    this.status = 422;
+    this.issues = issues;
+    // Surfaced as `details` by the API error handler.
+    this.data = { issues };
+  }
+}
+
+const text = z.string().trim().min(1);
+
+// IDs from a previous publish, recorded by withEthosIds. Update-mode publishes edit these in place
+// and remove the cards in `cardIds` that no card of the draft links to any more.
+const itemRefSchema = z.strictObject({ learningItemId: text, cardIds: z.array(text).optional() }).optional();
+const cardRefSchema = z.strictObject({ cardId: text }).optional();
+
+const cardSchema = z.strictObject({
+  title: text.max(200),
+  body: text,
+  layout: z.enum(CARD_LAYOUTS).default('text'),
+  image: z
+    .strictObject({
+      url: z.url(),
+      width: z.number().int().positive().optional(),
+      height: z.number().int().positive().optional(),
+      alt: z.string().optional(),
+    })
+    .nullable()
+    .optional(),
+  citation: z.string().nullable().optional(),
+  ethos: cardRefSchema,
+});
+
+const sourceRefSchema = z
+  .object({
+    type: z.string().optional(),
+    title: z.string().nullable().optional(),
+    url: z.string().nullable().optional(),
+    fileName: z.string().optional(),
+    file: z.string().optional(),
+    section: z.string().nullable().optional(),
+    pages: z.array(z.number().int()).optional(),
+    summary: z.string().optional(),
+  })
+  .loose();
+
+const lessonRefSchema = z.strictObject({
+  lessonIndex: z.number().int().min(0),
+  cardIndex: z.number().int().min(0).nullable(),
+  cardTitle: z.string().nullable(),
+});
+
+const questionBase = {
+  question: text,
+  // v1 drafts and LLM output may carry null for either.
+  explanation: z.string().nullable().optional(),
+  sourceSentence: z.string().nullable().optional(),
+  strategy: z.string().optional(),
+  lessonRef: lessonRefSchema.optional(),
+  ethos: cardRefSchema,
+};
+
+const distinctOptions = (q, ctx) => {
+  if (new Set(q.options.map((o) => o.toLowerCase())).size !== q.options.length) {
+    ctx.addIssue({ code: 'custom', message: 'options must be distinct', path: ['options'] });
+  }
+};
+
+const questionSchema = z.discriminatedUnion('type', [
+  z
+    .strictObject({
+      type: z.literal('selectOne'),
+      ...questionBase,
+      options: z.array(text).min(2).max(10),
+      correctIndex: z.number().int().min(0),
+    })
+    .superRefine((q, ctx) => {
+      distinctOptions(q, ctx);
+      if (q.correctIndex >= q.options.length) {
+        ctx.addIssue({ code: 'custom', message: 'correctIndex is not one of the options', path: ['correctIndex'] });
+      }
+    }),
+  z.strictObject({
+    type: z.literal('trueFalse'),
+    ...questionBase,
+    options: z.tuple([text, text]),
+    correctIndex: z.union([z.literal(0), z.literal(1)]),
+  }),
+  z
+    .strictObject({
+      type: z.literal('selectMany'),
+      ...questionBase,
+      options: z.array(text).min(3).max(10),
+      correctIndexes: z.array(z.number().int().min(0)).min(1),
+    })
+    .superRefine((q, ctx) => {
+      distinctOptions(q, ctx);
+      if (new Set(q.correctIndexes).size !== q.correctIndexes.length || q.correctIndexes.some((i) => i >= q.options.length)) {
+        ctx.addIssue({ code: 'custom', message: 'correctIndexes must list distinct options', path: ['correctIndexes'] });
+      }
+    }),
+]);
+
+const lessonSchema = z.strictObject({
+  name: text.max(255),
+  description: z.string().default(''),
+  section: z
+    .strictObject({
+      title: z.string(),
+      headings: z.array(z.string()).optional(),
+      paragraphs: z.array(z.number().int()).nullable().optional(),
+    })
+    .optional(),
+  cards: z.array(cardSchema).min(1),
+  sources: z.array(sourceRefSchema).optional(),
+  ethos: itemRefSchema,
+});
+
+const quizSchema = z.strictObject({
+  name: text.max(255),
+  description: z.string().default(''),
+  assessesLessons: z.array(z.strictObject({ lessonIndex: z.number().int().min(0), name: z.string() })).optional(),
+  questions: z.array(questionSchema).min(1),
+  sources: z.array(sourceRefSchema).optional(),
+  ethos: itemRefSchema,
+});
+
+const userSchema = z.strictObject({
+  firstName: text,
+  lastName: text,
+  email: z.email(),
+  shouldNotify: z.boolean().optional(),
+  roles: z.array(text).optional(),
+});
+
+export const draftSchema = z
+  .strictObject({
+    schemaVersion: z.literal(DRAFT_SCHEMA_VERSION),
+    topic: z.string().optional(),
+    resolvedTitle: z.string().optional(),
+    sources: z.array(sourceRefSchema).default([]),
+    generation: z
+      .strictObject({
+        backend: z.string(),
+        model: z.string().nullable().optional(),
+        // Generating again with this seed (and the same source) gives the same draft.
+        seed: z.union([z.number().int(), z.string()]).optional(),
+        fallbacks: z.array(z.any()).default([]),
+      })
+      .optional(),
+    lessons: z.array(lessonSchema).default([]),
+    quizzes: z.array(quizSchema).default([]),
+    users: z.array(userSchema).default([]),
+    userEmailTemplate: z.string().nullable().optional(),
+    ethos: z.strictObject({ courseId: text.optional(), learningPlanId: text.optional() }).optional(),
+  })
+  .superRefine((draft, ctx) => {
+    if (!draft.lessons.length && !draft.quizzes.length) {
+      ctx.addIssue({ code: 'custom', message: 'a draft needs at least one lesson or quiz', path: ['lessons'] });
+    }
+    const seen = new Set();
+    for (const [i, u] of draft.users.entries()) {
+      const email = u.email.toLowerCase();
+      if (seen.has(email)) ctx.addIssue({ code: 'custom', message: 'duplicate user email', path: ['users', i, 'email'] });
+      seen.add(email);
+    }
+    const lessonCount = draft.lessons.length;
+    for (const [qi, quiz] of draft.quizzes.entries()) {
+      for (const [ai, ref] of (quiz.assessesLessons || []).entries()) {
+        if (ref.lessonIndex >= lessonCount) {
+          ctx.addIssue({
+            code: 'custom',
+            message: `lesson ${ref.lessonIndex} does not exist`,
+            path: ['quizzes', qi, 'assessesLessons', ai, 'lessonIndex'],
+          });
+        }
+      }
+      for (const [i, q] of quiz.questions.entries()) {
+        if (q.lessonRef && q.lessonRef.lessonIndex >= lessonCount) {
+          ctx.addIssue({
+            code: 'custom',
+            message: `lesson ${q.lessonRef.lessonIndex} does not exist`,
+            path: ['quizzes', qi, 'questions', i, 'lessonRef', 'lessonIndex'],
+          });
+        }
+      }
+    }
+  });
+
+// v1 drafts only had selectOne questions without a `type`, and cards without a `layout`; the
+// takeaways card was a "- " list in plain text.
+function migrateV1(draft) {
+  const isList = (body) => String(body || '').split('\n').filter((l) => l.trim()).every((l) => /^\s*- /.test(l));
+  return {
+    ...draft,
+    lessons: (draft.lessons || []).map((lesson) => ({
+      ...lesson,
+      cards: (lesson?.cards || []).map((card, idx) => ({
+        ...card,
+        layout: card?.layout || (idx === 0 ? 'overview' : isList(card?.body) ? 'bullets' : 'text'),
+      })),
+    })),
+    quizzes: (draft.quizzes || []).map((quiz) => ({
+      ...quiz,
+      questions: (quiz?.questions || []).map((q) => {
+        if (q?.type) return q;
+        const trueFalse = q?.options?.length === 2 && q.options.every((o) => /^(true|false)$/i.test(String(o)));
+        return { ...q, type: trueFalse ? 'trueFalse' : 'selectOne' };
+      }),
+    })),
+    schemaVersion: 2,
+  };
+}
+
+// MIGRATIONS[n] upgrades a version n draft to version n + 1.
+const MIGRATIONS = {
+  1: migrateV1,
+};
+
+function formatPath(path) {
+  return path.reduce((acc, key) => (typeof key === 'number' ? `${acc}[${key}]` : acc ? `${acc}.${key}` : key), '');
+}
+
+export function migrateDraft(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new DraftValidationError('Draft must be a JSON object', {
+      issues: [{ path: '(root)', message: 'expected an object' }],
+    });
+  }
+  const fromVersion = input.schemaVersion ?? 1;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1 || fromVersion > DRAFT_SCHEMA_VERSION) {
+    throw new DraftValidationError(
+      `Unsupported draft schemaVersion ${JSON.stringify(input.schemaVersion)} (this build reads 1-${DRAFT_SCHEMA_VERSION})`,
+      { issues: [{ path: 'schemaVersion', message: 'unsupported version' }] },
+    );
+  }
+  let draft = input;
+  for (let v = fromVersion; v < DRAFT_SCHEMA_VERSION; v++) draft = MIGRATIONS[v](draft);
+  return { draft, fromVersion };
+}
+
+// Migrates and validates a draft. Throws DraftValidationError (422) listing every bad field.
+export function parseDraft(input) {
+  const { draft, fromVersion } = migrateDraft(input);
+  const result = draftSchema.safeParse(draft);
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => ({ path: formatPath(i.path) || '(root)', message: i.message }));
+    const first = issues[0];
+    const more = issues.length > 1 ? ` (and ${issues.length - 1} more)` : '';
+    throw new DraftValidationError(`Draft is invalid: ${first.path}: ${first.message}${more}`, { issues });
+  }
+  return { draft: result.data, fromVersion };
+}
+
+// Copies the course, learning plan, learning item and card IDs from a publish result onto the
+// draft, so an edited copy of it can be published in update mode.
+export function withEthosIds(draft, published) {
+  const annotate = (items, results, childKey) =>
+    (items || []).map((item, i) => {
+      const result = results?.[i];
+      const learningItemId = result?.learningItem?.id;
+      if (!learningItemId) return item;
+      const cards = result.cards || [];
+      return {
+        ...item,
+        ethos: { learningItemId, cardIds: cards.map((c) => c?.id).filter(Boolean) },
+        [childKey]: (item[childKey] || []).map((child, j) => {
+          const cardId = (cards.find((c) => c?.sequenceOrder === j + 1) || cards[j])?.id;
+          return cardId ? { ...child, ethos: { cardId } } : child;
+        }),
+      };
+    });
+  const courseId = published?.course?.id || published?.courseRef?.id || draft.ethos?.courseId;
+  const learningPlanId = published?.learningPlan?.id || draft.ethos?.learningPlanId;
+  return {
+    ...draft,
+    ...(courseId || learningPlanId
+      ? { ethos: { ...(courseId && { courseId }), ...(learningPlanId && { learningPlanId }) } }
+      : {}),
+    lessons: annotate(draft.lessons, published?.lessons, 'cards'),
+    quizzes: annotate(draft.quizzes, published?.quizzes, 'questions'),
+  };
+}
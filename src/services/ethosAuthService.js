@@ -1,9 +1,29 @@
 import axios from 'axios';
-import { CognitoUserPool, CognitoUser, AuthenticationDetails } from 'amazon-cognito-identity-js';
+import { CognitoUserPool, CognitoUser, AuthenticationDetails, CognitoRefreshToken } from 'amazon-cognito-identity-js';
+
+function tokensFromSession(session) {
+  return {
+    accessToken: session.getAccessToken().getJwtToken(),
+    idToken: session.getIdToken().getJwtToken(),
+    refreshToken: session.getRefreshToken().getToken(),
+    // Epoch seconds (the access token's `exp` claim).
+    expiresIn: session.getAccessToken().getExpiration(),
+  };
+}
 
 export class EthosAuthService {
-  constructor({ baseUrl }) {
+  // `stubAuth` skips Cognito and gets tokens from the mock Ethos server (src/dev/mockEthosServer.js).
+  constructor({ baseUrl, stubAuth = false }) {
     this.baseUrl = baseUrl;
+    this.stubAuth = stubAuth;
+  }
+
+  async stubTokens(body) {
+    try {
+      return (await axios.post(`${this.baseUrl}/mock/auth/token`, body)).data;
+    } catch (e) {
+      throw new Error(e?.response?.data?.message || e?.message || 'Authentication failed');
+    }
   }
 
   async getOrganizations(email) {
@@ -19,6 +39,7 @@ export class EthosAuthService {
   }
 
   authenticateUser(email, password, organization) {
+    if (this.stubAuth) return this.stubTokens({ email, password });
     return new Promise((resolve, reject) => {
       const authenticationDetails = new AuthenticationDetails({
         Username: email,
@@ -33,19 +54,24 @@ export class EthosAuthService {
       const cognitoUser = new CognitoUser({ Username: email, Pool: userPool });
 
       cognitoUser.authenticateUser(authenticationDetails, {
-        onSuccess: (result) => {
-          resolve({
-            accessToken: result.getAccessToken().getJwtToken(),
-            idToken: result.getIdToken().getJwtToken(),
-            refreshToken: result.getRefreshToken().getToken(),
-            expiresIn: result.getAccessToken().getExpiration(),
-          });
-        },
+        onSuccess: (result) => resolve(tokensFromSession(result)),
         onFailure: (err) => reject(new Error(err?.message || 'Authentication failed')),
       });
     });
   }
 
+  refreshUserSession(email, refreshToken, userPool) {
+    if (this.stubAuth) return this.stubTokens({ refreshToken });
+    return new Promise((resolve, reject) => {
+      const pool = new CognitoUserPool({ UserPoolId: userPool.userPoolId, ClientId: userPool.clientId });
+      const cognitoUser = new CognitoUser({ Username: email, Pool: pool });
+      cognitoUser.refreshSession(new CognitoRefreshToken({ RefreshToken: refreshToken }), (err, session) => {
+        if (err) return reject(new Error(err?.message || 'Token refresh failed'));
+        resolve(tokensFromSession(session));
+      });
+    });
+  }
+
   async getContextToken(apiKey, organizationId) {
     const response = await axios.post(
       `${this.baseUrl}/v1/contexts`,
@@ -66,6 +92,7 @@ export class EthosAuthService {
     const organizations = await this.getOrganizations(email);
     const organization = organizations.find((org) => org.id === organizationId);
     if (!organization) throw new Error('Organization not found');
+    const userPool = { userPoolId: organization.idpGroupId, clientId: organization.idpClientId };
 
     const cognitoResult = await this.authenticateUser(email, password, organization);
     const contextToken = await this.getContextToken(cognitoResult.accessToken, organizationId);
@@ -78,6 +105,32 @@ export class EthosAuthService {
       expiresIn: cognitoResult.expiresIn,
       organizationId,
       baseUrl: this.baseUrl,
+      userPool,
+    };
+  }
+
+  // Trades the stored Cognito refresh token for a new access token and context token. Returns the
+  // credential fields that changed.
+  async refresh({ email, refreshToken, organizationId, userPool }) {
+    if (!email || !refreshToken) throw new Error('No refresh token in this session; log in again');
+    let pool = userPool;
+    if (!pool) {
+      // Sessions from before the user pool was stored: look it up again.
+      const organization = (await this.getOrganizations(email)).find((org) => org.id === organizationId);
+      if (!organization) throw new Error('Organization not found');
+      pool = { userPoolId: organization.idpGroupId, clientId: organization.idpClientId };
+    }
+
+    const cognitoResult = await this.refreshUserSession(email, refreshToken, pool);
+    const contextToken = await this.getContextToken(cognitoResult.accessToken, organizationId);
+
+    return {
+      apiKey: cognitoResult.accessToken,
+      contextToken,
+      idToken: cognitoResult.idToken,
+      refreshToken: cognitoResult.refreshToken || refreshToken,
+      expiresIn: cognitoResult.expiresIn,
+      userPool: pool,
     };
   }
 }
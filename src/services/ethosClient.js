@@ -1,31 +1,84 @@
 import axios from 'axios';
 
 export class EthosApiError extends Error {
-  constructor(message, { status, method, url, data } = {}) {
+  constructor(message, { status, method, url, data, attempts } = {}) {
     super(message);
     this.name = 'EthosApiError';
     this.status = status;
     this.method = method;
     this.url = url;
     this.data = data;
+    this.attempts = attempts;
   }
 }
 
+// Rate limiting, gateway errors and dropped connections usually clear up if the request is sent again.
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+
+// Only idempotent methods are retried unless a POST carries an idempotency key.
+export const DEFAULT_RETRY = { retries: 3, baseDelayMs: 500, maxDelayMs: 30_000, methods: ['GET', 'PATCH'] };
+
+// Refresh a little before the access token expires so a request never goes out with a stale one.
+const TOKEN_REFRESH_MARGIN_MS = 60_000;
+
+// `Retry-After` is either a number of seconds or an HTTP date.
+function retryAfterMs(header) {
+  if (header === undefined || header === null || String(header).trim() === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
 export class EthosClient {
-  constructor({ baseUrl, apiKey, contextToken }) {
+  // `refreshCredentials` is called when the access token has expired or a request gets a 401. It
+  // resolves to new `{ apiKey, contextToken, expiresIn }` and the request is sent again with them.
+  constructor({ baseUrl, apiKey, contextToken, expiresIn, retry = {}, refreshCredentials = null }) {
     this.baseUrl = baseUrl;
+    this.retry = { ...DEFAULT_RETRY, ...retry };
+    this.refreshCredentials = refreshCredentials;
+    this._refreshing = null;
     this.client = axios.create({
       baseURL: baseUrl,
       timeout: 30_000,
       headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'X-Context-Token': contextToken,
         'Content-Type': 'application/json',
       },
     });
+    this.setCredentials({ apiKey, contextToken, expiresIn });
+  }
+
+  setCredentials({ apiKey, contextToken, expiresIn }) {
+    this.client.defaults.headers.Authorization = `Bearer ${apiKey}`;
+    this.client.defaults.headers['X-Context-Token'] = contextToken;
+    // Cognito reports the expiry as epoch seconds.
+    this.expiresAt = Number(expiresIn) > 0 ? Number(expiresIn) * 1000 : null;
   }
 
-  _wrapAxiosError(err) {
+  // Concurrent requests that all find the token expired share one refresh.
+  async refresh() {
+    if (!this._refreshing) {
+      this._refreshing = (async () => {
+        try {
+          this.setCredentials(await this.refreshCredentials());
+        } catch (e) {
+          throw new EthosApiError(`Ethos session expired and could not be refreshed: ${e?.message || e}`, {
+            status: 401,
+          });
+        }
+      })().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    await this._refreshing;
+  }
+
+  sleep(ms) {
+    return new Promise((r) => setTimeout(r, ms));
+  }
+
+  _wrapAxiosError(err, { attempts } = {}) {
     const status = err?.response?.status;
     const data = err?.response?.data;
     const method = err?.config?.method?.toUpperCase();
@@ -37,34 +90,70 @@ export class EthosClient {
       err?.message ||
       'Ethos API request failed';
 
-    return new EthosApiError(message, { status, method, url, data });
+    return new EthosApiError(message, { status, method, url, data, attempts });
   }
 
-  async get(path, config) {
-    try {
-      const res = await this.client.get(path, config);
-      return res.data;
-    } catch (e) {
-      throw this._wrapAxiosError(e);
+  // Milliseconds to wait before retrying `err`, or null when it should not be retried. A longer
+  // `Retry-After` than `maxDelayMs` is cut down to it.
+  _retryDelay(err, attempt, retry) {
+    const status = err?.response?.status;
+    if (status ? !RETRYABLE_STATUSES.has(status) : !RETRYABLE_CODES.has(err?.code)) return null;
+    const retryAfter = retryAfterMs(err?.response?.headers?.['retry-after']);
+    if (retryAfter !== null) return Math.min(retryAfter, retry.maxDelayMs);
+    // Exponential backoff with jitter, so parallel callers don't retry in lockstep.
+    const ceiling = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  // `config.idempotencyKey` sends an Idempotency-Key header and makes a POST retryable;
+  // `config.retry` overrides the client's retry options for one call.
+  async _request(method, path, body, config = {}) {
+    const { idempotencyKey, retry: retryOverride, ...axiosConfig } = config || {};
+    const retry = { ...this.retry, ...retryOverride };
+    if (idempotencyKey) axiosConfig.headers = { ...axiosConfig.headers, 'Idempotency-Key': idempotencyKey };
+    const retryable = Boolean(idempotencyKey) || retry.methods.includes(method);
+    if (this.refreshCredentials && this.expiresAt && Date.now() > this.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      await this.refresh();
+    }
+
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const res = await this.client.request({
+          ...axiosConfig,
+          method,
+          url: path,
+          ...(body !== undefined && { data: body }),
+        });
+        return res.data;
+      } catch (e) {
+        // A 401 means the token expired early or was revoked: refresh once and resend, without using up a retry.
+        if (e?.response?.status === 401 && this.refreshCredentials && !refreshed) {
+          refreshed = true;
+          attempt -= 1;
+          await this.refresh();
+          continue;
+        }
+        const delay = retryable && attempt < retry.retries ? this._retryDelay(e, attempt, retry) : null;
+        if (delay === null) throw this._wrapAxiosError(e, { attempts: attempt + 1 });
+        await this.sleep(delay);
+      }
     }
   }
 
+  async get(path, config) {
+    return await this._request('GET', path, undefined, config);
+  }
+
   async post(path, body, config) {
-    try {
-      const res = await this.client.post(path, body, config);
-      return res.data;
-    } catch (e) {
-      throw this._wrapAxiosError(e);
-    }
+    return await this._request('POST', path, body, config);
   }
 
   async patch(path, body, config) {
-    try {
-      const res = await this.client.patch(path, body, config);
-      return res.data;
-    } catch (e) {
-      throw this._wrapAxiosError(e);
-    }
+    return await this._request('PATCH', path, body, config);
   }
-}
 
+  async delete(path, config) {
+    return await this._request('DELETE', path, undefined, config);
+  }
+}
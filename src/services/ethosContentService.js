@@ -1,11 +1,11 @@
 import { EthosClient } from './ethosClient.js';
+import { createRandom } from './random.js';
 
-function uuidv4() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0;
-    const v = c === 'x' ? r : (r & 0x3) | 0x8;
-    return v.toString(16);
-  });
+// Block and option IDs inside card JSON come from `random`. A seeded draft gets the same IDs each
+// time an item is rendered, so its publish requests can be reproduced too.
+function cardIdRandom(draft, key) {
+  const seed = draft.generation?.seed;
+  return createRandom(seed === undefined ? undefined : `${seed}:${key}`);
 }
 
 function richTextTitle(text) {
@@ -16,60 +16,234 @@ function richTextParagraph(text) {
   return [{ type: 'paragraph', children: [{ text: String(text || '') }] }];
 }
 
-function lessonCardJson({ title, body }) {
+// `**bold**` spans become bold leaves.
+function richTextLeaves(text) {
+  const leaves = String(text || '')
+    .split(/\*\*(.+?)\*\*/g)
+    .map((part, idx) => (idx % 2 ? { text: part, bold: true } : { text: part }))
+    .filter((leaf) => leaf.text);
+  return leaves.length ? leaves : [{ text: '' }];
+}
+
+const LIST_MARKERS = {
+  'bulleted-list': /^\s*[-*•]\s+/,
+  'numbered-list': /^\s*\d+[.)]\s+/,
+};
+
+function lineKind(line) {
+  if (/^\s*>/.test(line)) return 'block-quote';
+  return Object.keys(LIST_MARKERS).find((kind) => LIST_MARKERS[kind].test(line)) || 'paragraph';
+}
+
+// Card bodies are light Markdown: blank lines separate paragraphs, and runs of "- " bullets,
+// "1. " steps or "> " quotes become list/quote elements.
+function richTextBlocks(body) {
+  const groups = [];
+  let current = null;
+  for (const line of String(body || '').split('\n')) {
+    if (!line.trim()) {
+      current = null;
+      continue;
+    }
+    const kind = lineKind(line);
+    if (!current || current.kind !== kind) {
+      current = { kind, lines: [] };
+      groups.push(current);
+    }
+    current.lines.push(line.trim());
+  }
+
+  const blocks = groups.map(({ kind, lines }) => {
+    if (LIST_MARKERS[kind]) {
+      return {
+        type: kind,
+        children: lines.map((l) => ({
+          type: 'list-item',
+          children: richTextLeaves(l.replace(LIST_MARKERS[kind], '')),
+        })),
+      };
+    }
+    if (kind === 'block-quote') {
+      return { type: kind, children: richTextLeaves(lines.map((l) => l.replace(/^>\s?/, '')).join(' ')) };
+    }
+    return { type: 'paragraph', children: richTextLeaves(lines.join(' ')) };
+  });
+  return blocks.length ? blocks : richTextParagraph('');
+}
+
+// Layouts: "overview" leads with the source image, "callout" sets the body as a quote, and the
+// rest render the body as-is. A citation becomes a small footer paragraph.
+function lessonCardJson({ title, body, layout, image, citation }, random) {
+  const contentBlocks = [
+    {
+      id: random.uuid(),
+      type: 'title',
+      json: richTextTitle(title),
+    },
+  ];
+  if (layout === 'overview' && image?.url) {
+    contentBlocks.push({
+      id: random.uuid(),
+      type: 'image',
+      url: image.url,
+      altText: image.alt || String(title || ''),
+      ...(image.width && image.height ? { width: image.width, height: image.height } : {}),
+    });
+  }
+  const blocks = richTextBlocks(body);
+  contentBlocks.push({
+    id: random.uuid(),
+    type: 'body',
+    json:
+      layout === 'callout' ? blocks.map((b) => (b.type === 'paragraph' ? { ...b, type: 'block-quote' } : b)) : blocks,
+  });
+  if (citation) {
+    contentBlocks.push({
+      id: random.uuid(),
+      type: 'body',
+      json: [{ type: 'paragraph', children: [{ text: `Source: ${citation}`, italic: true }] }],
+    });
+  }
+
   return {
     version: '1',
     templateType: null,
     description: '',
+    contentBlocks,
+  };
+}
+
+function answerOptions(options, isCorrect, random) {
+  return options.map((opt, idx) => ({
+    id: random.uuid(),
+    isCorrect: isCorrect(idx),
+    optionText: richTextParagraph(opt),
+  }));
+}
+
+function richTextParagraphs(texts) {
+  return texts.filter(Boolean).map((text) => ({ type: 'paragraph', children: [{ text: String(text) }] }));
+}
+
+// Feedback built from the question's own explanation and source sentence, plus a pointer back to
+// the lesson card that taught it (a link when `link.url` is known).
+function questionFeedback({ explanation, sourceSentence, link } = {}) {
+  const review = link?.label
+    ? {
+        type: 'paragraph',
+        children: link.url
+          ? [{ text: 'Review: ' }, { type: 'link', url: link.url, children: [{ text: link.label }] }, { text: '' }]
+          : [{ text: `Review: ${link.label}` }],
+      }
+    : null;
+
+  const explained = explanation && explanation !== sourceSentence ? explanation : null;
+  const correctBody = richTextParagraphs([explained || sourceSentence]);
+  const incorrectBody = [
+    ...richTextParagraphs([
+      sourceSentence ? `The source says: “${sourceSentence}”` : explained,
+      sourceSentence && explained && !explained.includes(sourceSentence) ? explained : null,
+    ]),
+    ...(review ? [review] : []),
+  ];
+
+  return {
+    correctFeedback: {
+      header: richTextParagraph("That's correct!"),
+      body: correctBody.length ? correctBody : richTextParagraph('Nice work.'),
+    },
+    incorrectFeedback: {
+      header: richTextParagraph('Not quite'),
+      body: incorrectBody.length ? incorrectBody : richTextParagraph('Review the lesson content and try again.'),
+    },
+  };
+}
+
+// selectone for a single `correctIndex`, selectmany when `correctIndexes` is given.
+function multipleChoiceJson({ question, options, correctIndex, correctIndexes, feedback, random }) {
+  const selectMany = Array.isArray(correctIndexes);
+  return {
+    version: '1',
+    templateType: 'multipleChoice',
+    description: '',
     contentBlocks: [
       {
-        id: uuidv4(),
-        type: 'title',
-        json: richTextTitle(title),
-      },
-      {
-        id: uuidv4(),
-        type: 'body',
-        json: richTextParagraph(body),
+        id: random.uuid(),
+        type: 'multipleChoice',
+        multipleChoiceType: selectMany ? 'selectmany' : 'selectone',
+        randomize: false,
+        question: richTextTitle(question),
+        options: answerOptions(
+          options,
+          (idx) => (selectMany ? correctIndexes.includes(idx) : idx === correctIndex),
+          random,
+        ),
+        ...questionFeedback(feedback),
       },
     ],
   };
 }
 
-function multipleChoiceJson({ question, options, correctIndex }) {
+// True/false blocks share the multiple choice option shape with fixed "True"/"False" options.
+function trueFalseJson({ question, correctIndex, feedback, random }) {
   return {
     version: '1',
-    templateType: 'multipleChoice',
+    templateType: 'trueFalse',
     description: '',
     contentBlocks: [
       {
-        id: uuidv4(),
-        type: 'multipleChoice',
-        multipleChoiceType: 'selectone',
-        randomize: false,
+        id: random.uuid(),
+        type: 'trueFalse',
         question: richTextTitle(question),
-        options: options.map((opt, idx) => ({
-          id: uuidv4(),
-          isCorrect: idx === correctIndex,
-          optionText: richTextParagraph(opt),
-        })),
-        correctFeedback: {
-          header: richTextParagraph("That's correct!"),
-          body: richTextParagraph('Nice work.'),
-        },
-        incorrectFeedback: {
-          header: richTextParagraph('Not quite'),
-          body: richTextParagraph('Review the lesson content and try again.'),
-        },
+        options: answerOptions(['True', 'False'], (idx) => idx === correctIndex, random),
+        ...questionFeedback(feedback),
       },
     ],
   };
 }
 
+function questionJson(q, { link, random }) {
+  const feedback = { explanation: q.explanation, sourceSentence: q.sourceSentence, link };
+  if (q.type === 'trueFalse') {
+    // Normalise to True-first so the option order matches what learners see elsewhere.
+    const saysTrue = String(q.options?.[q.correctIndex] ?? '').toLowerCase() === 'true';
+    return trueFalseJson({ question: q.question, correctIndex: saysTrue ? 0 : 1, feedback, random });
+  }
+  const { question, options, correctIndex, correctIndexes } = q;
+  if (q.type === 'selectMany') return multipleChoiceJson({ question, options, correctIndexes, feedback, random });
+  return multipleChoiceJson({ question, options, correctIndex, feedback, random });
+}
+
+// Card content with the generated block/option IDs stripped and keys sorted, so a re-rendered
+// card compares equal to the one already in Ethos when nothing about it changed.
+function canonicalCardContent(card) {
+  const strip = (value) => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value)
+          .filter((k) => k !== 'id' && value[k] !== undefined && value[k] !== null)
+          .sort()
+          .map((k) => [k, strip(value[k])]),
+      );
+    }
+    return value;
+  };
+  let json = card?.json;
+  if (typeof json === 'string') {
+    try {
+      json = JSON.parse(json);
+    } catch {
+      // compare the raw string
+    }
+  }
+  return JSON.stringify({ title: card?.title || '', json: strip(json ?? null) });
+}
+
 export class EthosContentService {
-  constructor({ credentials }) {
+  constructor({ credentials, client }) {
     this.credentials = credentials;
-    this.client = new EthosClient(credentials);
+    this.client = client || new EthosClient(credentials);
   }
 
   sleep(ms) {
@@ -274,7 +448,53 @@ export class EthosContentService {
     return { skipped: false, learningItem: updated };
   }
 
-  async createLearningItem({ name, description, type, state = 'draft', sequenceOrder, courseId }) {
+  // The create methods take `{ idempotencyKey }`, which lets the client retry the POST when it is
+  // rate limited or the gateway fails (see EthosClient).
+  async createCourse({ title, description, state = 'draft' }, { idempotencyKey } = {}) {
+    const payload = { title, state };
+    const desc = String(description || '').trim();
+    if (desc) payload.description = desc.length <= 500 ? desc : `${desc.slice(0, 497)}...`;
+    return await this.client.post('/v1/courses', payload, { idempotencyKey });
+  }
+
+  async createLearningPlan({ name, description, courseId }, { idempotencyKey } = {}) {
+    const payload = { name, state: 'draft', courses: [await this.resolveCourseIri(courseId)] };
+    const desc = String(description || '').trim();
+    if (desc) payload.description = desc.length <= 500 ? desc : `${desc.slice(0, 497)}...`;
+    const learningPlan = await this.client.post('/v1/learning_plans', payload, { idempotencyKey });
+    return { learningPlan, created: true, attached: true };
+  }
+
+  // Adds the course to an existing learning plan, keeping the courses it already has.
+  async attachCourseToLearningPlan({ learningPlanId, courseId }) {
+    const uuidOf = (v) =>
+      String(v || '').match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i)?.[0] || null;
+    const id = uuidOf(learningPlanId) || learningPlanId;
+    const path = `/v1/learning_plans/${id}`;
+    const current = await this.client.get(path);
+    // Plans list their courses as IRIs or embedded objects; the PATCH replaces the whole list with IRIs.
+    const courses = (current?.courses || [])
+      .map((c) => (typeof c === 'string' ? c : c?.['@id'] || c?.id))
+      .filter(Boolean)
+      .map((c) =>
+        c.startsWith('http') ? c : `${this.credentials.baseUrl}${c.startsWith('/') ? c : `/v1/courses/${c}`}`,
+      );
+    const courseIri = await this.resolveCourseIri(courseId);
+    if (courses.some((c) => uuidOf(c) === uuidOf(courseIri))) {
+      return { learningPlan: current, created: false, attached: false };
+    }
+    const learningPlan = await this.client.patch(
+      path,
+      { courses: [...courses, courseIri] },
+      { headers: { 'Content-Type': 'application/merge-patch+json' } },
+    );
+    return { learningPlan: learningPlan || current, created: false, attached: true };
+  }
+
+  async createLearningItem(
+    { name, description, type, state = 'draft', sequenceOrder, courseId },
+    { idempotencyKey } = {},
+  ) {
     const normalizeDescription = (d) => {
       if (d === null || d === undefined) return undefined;
       const s = String(d).trim();
@@ -294,39 +514,220 @@ export class EthosContentService {
     const course = await this.resolveCourseIri(courseId);
     if (course) payload.course = course;
 
-    return await this.client.post('/v1/learning_items', payload);
+    return await this.client.post('/v1/learning_items', payload, { idempotencyKey });
   }
 
-  async createCardsForLearningItem({ learningItemId, cards }) {
+  async createCardsForLearningItem({ learningItemId, cards }, { idempotencyKey } = {}) {
     const payload = { cards };
-    return await this.client.post(`/v1/learning_items/${learningItemId}/cards`, payload);
+    return await this.client.post(`/v1/learning_items/${learningItemId}/cards`, payload, { idempotencyKey });
+  }
+
+  // Read-only comparison of a draft item against what is in Ethos. `cardIds[i]` is the Ethos ID
+  // recorded for draft card i (null for cards added since the last publish); `knownCardIds` are all
+  // the item's cards at the last publish, so the ones no draft card links to were deleted from it.
+  async diffLearningItem({ learningItemId, name, description, cards, cardIds, knownCardIds = [] }) {
+    const item = await this.client.get(`/v1/learning_items/${learningItemId}`);
+    const itemPatch = {};
+    if (name && item?.name !== name) itemPatch.name = name;
+    const desc = description ? String(description).trim().slice(0, 500) : '';
+    if (desc && (item?.description || '') !== desc) itemPatch.description = desc;
+
+    const patches = [];
+    const creates = [];
+    const unchanged = [];
+    const missing = [];
+    for (const [i, card] of cards.entries()) {
+      const cardId = cardIds[i] || null;
+      let current = null;
+      if (cardId) {
+        try {
+          current = await this.client.get(`/v1/cards/${cardId}`);
+        } catch {
+          missing.push(cardId);
+        }
+      }
+      if (!current) {
+        creates.push(card);
+      } else if (canonicalCardContent(current) !== canonicalCardContent(card)) {
+        patches.push({
+          cardId,
+          reason: 'content',
+          body: { title: card.title, json: card.json, sequenceOrder: card.sequenceOrder },
+        });
+      } else if (Number(current.sequenceOrder) !== card.sequenceOrder) {
+        patches.push({ cardId, reason: 'order', body: { sequenceOrder: card.sequenceOrder } });
+      } else {
+        unchanged.push(cardId);
+      }
+    }
+    const removes = knownCardIds.filter((id) => !cardIds.includes(id));
+
+    return {
+      learningItemId,
+      item,
+      wasPublished: String(item?.state || '').toLowerCase() === 'published',
+      itemPatch: Object.keys(itemPatch).length ? itemPatch : null,
+      patches,
+      creates,
+      removes,
+      unchanged,
+      missing,
+      cardIds,
+    };
   }
 
-  toLessonCards(cards) {
+  // Applies a diff from diffLearningItem. Ethos won't edit the cards of a published item, so
+  // a published item is moved back to draft for the edit and published again afterwards.
+  async updateLearningItem(
+    { learningItemId, name, description, cards, cardIds, knownCardIds, publish = false },
+    request = {},
+  ) {
+    const diff = await this.diffLearningItem({ learningItemId, name, description, cards, cardIds, knownCardIds });
+    const changed = Boolean(diff.itemPatch || diff.patches.length || diff.creates.length || diff.removes.length);
+    const update = {
+      patchedCards: diff.patches.filter((p) => p.reason === 'content').length,
+      reorderedCards: diff.patches.filter((p) => p.reason === 'order').length,
+      createdCards: diff.creates.length,
+      deactivatedCards: [],
+      unchangedCards: diff.unchanged.length,
+      missingCards: diff.missing,
+      itemFields: diff.itemPatch ? Object.keys(diff.itemPatch) : [],
+      movedToDraft: false,
+      republished: false,
+      republishError: null,
+    };
+
+    let learningItem = diff.item;
+    if (changed && diff.wasPublished) {
+      learningItem = await this.client.patch(
+        `/v1/learning_items/${learningItemId}`,
+        { state: 'draft' },
+        { headers: { 'Content-Type': 'application/merge-patch+json' } },
+      );
+      update.movedToDraft = true;
+    }
+    if (diff.itemPatch) {
+      learningItem = await this.client.patch(`/v1/learning_items/${learningItemId}`, diff.itemPatch, {
+        headers: { 'Content-Type': 'application/merge-patch+json' },
+      });
+    }
+    for (const p of diff.patches) {
+      await this.client.patch(`/v1/cards/${p.cardId}`, p.body, {
+        headers: { 'Content-Type': 'application/merge-patch+json' },
+      });
+    }
+    // Ethos can't really delete a card, and learners' answers hang off it, so cards removed from
+    // the draft are deactivated instead.
+    for (const cardId of diff.removes) {
+      try {
+        await this.client.patch(
+          `/v1/cards/${cardId}`,
+          { state: 'inactive' },
+          { headers: { 'Content-Type': 'application/merge-patch+json' } },
+        );
+        update.deactivatedCards.push(cardId);
+      } catch (e) {
+        // Already gone, e.g. removed in Ethos by hand.
+        if (e?.status !== 404) throw e;
+        update.missingCards.push(cardId);
+      }
+    }
+    const createdRes = diff.creates.length
+      ? await this.createCardsForLearningItem({ learningItemId, cards: diff.creates }, request)
+      : null;
+
+    // The edit is already made, so a failed publish is reported rather than thrown; the item is left
+    // in draft to be published in Ethos.
+    if (update.movedToDraft || (publish && !diff.wasPublished)) {
+      try {
+        const published = await this.publishLearningItem(learningItemId);
+        learningItem = published?.learningItem || learningItem;
+        update.republished = update.movedToDraft;
+      } catch (e) {
+        update.republishError = { error: e?.message, details: e?.data };
+      }
+    }
+
+    // Card references in draft order, for feedback links and for annotating the draft.
+    const createdCards = createdRes?.cards || [];
+    const cardRefs = cards.map((card, i) => {
+      const existingId = diff.missing.includes(cardIds[i]) ? null : cardIds[i];
+      const id = existingId || createdCards.find((c) => c?.sequenceOrder === card.sequenceOrder)?.id || null;
+      return { id, sequenceOrder: card.sequenceOrder };
+    });
+
+    return { learningItem: { ...learningItem, id: learningItem?.id || learningItemId }, cards: cardRefs, update };
+  }
+
+  toLessonCards(cards, { random = createRandom() } = {}) {
     return cards.map((c, idx) => ({
       sequenceOrder: idx + 1,
       type: 'lesson',
       title: c.title,
       subType: 'common',
       points: 1,
-      json: lessonCardJson({ title: c.title, body: c.body }),
+      json: lessonCardJson(c, random),
     }));
   }
 
-  toQuizCards(questions) {
+  // `resolveLessonLink(lessonRef)` returns `{ label, url }` for the card that taught a question.
+  toQuizCards(questions, { resolveLessonLink, random = createRandom() } = {}) {
     return questions.map((q, idx) => ({
       sequenceOrder: idx + 1,
       type: 'knowledge',
       title: `Question ${idx + 1}`,
       subType: 'common',
-      json: multipleChoiceJson({
-        question: q.question,
-        options: q.options,
-        correctIndex: q.correctIndex,
+      json: questionJson(q, {
+        link: q.lessonRef && resolveLessonLink ? resolveLessonLink(q.lessonRef) : null,
+        random,
       }),
     }));
   }
 
+  lessonLinkResolver(createdLessons, cardLinkTemplate) {
+    return (ref) => {
+      const lesson = createdLessons[ref?.lessonIndex];
+      if (!lesson?.learningItem) return null;
+      const learningItemId = lesson.learningItem.id;
+      const cards = lesson.cards || [];
+      const card =
+        ref.cardIndex === null || ref.cardIndex === undefined
+          ? null
+          : cards.find((c) => c?.sequenceOrder === ref.cardIndex + 1) || cards[ref.cardIndex] || null;
+
+      const label = ref.cardTitle || lesson.learningItem.name || `Lesson ${ref.lessonIndex + 1}`;
+      const needsCard = String(cardLinkTemplate || '').includes('{cardId}');
+      const url =
+        cardLinkTemplate && learningItemId && (!needsCard || card?.id)
+          ? cardLinkTemplate.replace('{learningItemId}', learningItemId).replace('{cardId}', card?.id || '')
+          : null;
+      return { label, url };
+    };
+  }
+
+  // Resolves which course and learning plan a publish uses. In update mode the IDs recorded on the
+  // draft (see withEthosIds) win over creating new ones.
+  courseSettings({ draft, courseId, mode, newCourse, learningPlanId, newLearningPlan }) {
+    const known = mode === 'update' ? draft.ethos || {} : {};
+    const title = newCourse?.title || draft.resolvedTitle || draft.topic || 'Generated course';
+    return {
+      courseId: courseId || known.courseId || null,
+      newCourse:
+        newCourse && !courseId && !known.courseId
+          ? {
+              title,
+              description: newCourse.description || `Lessons and quizzes about ${title}.`,
+              state: newCourse.state || 'draft',
+            }
+          : null,
+      learningPlanId: learningPlanId || (newLearningPlan ? known.learningPlanId : null) || null,
+      newLearningPlan:
+        newLearningPlan && !learningPlanId && !known.learningPlanId
+          ? { name: newLearningPlan.name || title, description: newLearningPlan.description || null }
+          : null,
+    };
+  }
+
   async publishDraft({
     draft,
     courseId,
@@ -337,7 +738,28 @@ export class EthosContentService {
     ethosGeneratedGroupName = 'Ethos Generated Learners',
     autoPublishCourse = false,
     autoPublishLearningItems = false,
+    cardLinkTemplate = null,
+    journal = null,
+    mode = 'create',
+    newCourse = null,
+    learningPlanId = null,
+    newLearningPlan = null,
+    onProgress = null,
+    signal = null,
   }) {
+    // Steps already recorded in the run journal are replayed from it instead of being sent again,
+    // so a resumed run picks up where the failed one stopped. A cancelled publish stops before the
+    // next write and can be resumed the same way. Each step's writes carry the idempotency key
+    // `<runId>:<step>`, so they can be retried safely.
+    const once = async (key, fn) => {
+      signal?.throwIfAborted();
+      if (!journal) return await fn({});
+      if (journal.has(key)) return journal.get(key);
+      const result = await fn({ idempotencyKey: `${journal.runId}:${key}` });
+      await journal.record(key, result);
+      return result;
+    };
+
     const created = {
       lessons: [],
       quizzes: [],
@@ -349,6 +771,32 @@ export class EthosContentService {
       const m = String(s || '').match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
       return m ? m[0] : null;
     };
+
+    // A course created by an earlier publish of this draft is reused in update mode.
+    const courseSettings = this.courseSettings({ draft, courseId, mode, newCourse, learningPlanId, newLearningPlan });
+    const hasCourse = Boolean(courseSettings.courseId || courseSettings.newCourse);
+    const hasLearningPlan = hasCourse && Boolean(courseSettings.learningPlanId || courseSettings.newLearningPlan);
+
+    // Progress counts learning items, users and each setup step.
+    const setupSteps = [courseSettings.newCourse, enableEthosGeneratedGroup, autoPublishCourse && hasCourse];
+    const total =
+      (draft.lessons || []).length +
+      (draft.quizzes || []).length +
+      (draft.users || []).length +
+      [...setupSteps, hasLearningPlan].filter(Boolean).length;
+    let done = 0;
+    const progress = (message) => {
+      done += 1;
+      onProgress?.({ done, total, message });
+    };
+
+    courseId = courseSettings.courseId;
+    if (courseSettings.newCourse) {
+      const course = await once('course', (request) => this.createCourse(courseSettings.newCourse, request));
+      courseId = course.id;
+      created.course = { id: course.id, title: course.title, state: course.state, created: true };
+      progress(`Created course "${course.title || courseSettings.newCourse.title}"`);
+    }
     created.courseRef = courseId
       ? {
           input: courseId,
@@ -361,25 +809,63 @@ export class EthosContentService {
     // So we create items in draft, add cards, then optionally publish.
     const shouldPublishItems = learningItemState === 'published' || autoPublishLearningItems;
 
+    // In update mode, items the draft already links to (`ethos.learningItemId`) are edited in place;
+    // the rest are created as usual.
+    const updateExisting = (key, item, cards, cardIdsOf) =>
+      once(key, (request) =>
+        this.updateLearningItem(
+          {
+            learningItemId: item.ethos.learningItemId,
+            name: item.name,
+            description: item.description,
+            cards,
+            cardIds: cardIdsOf.map((x) => x?.ethos?.cardId || null),
+            knownCardIds: item.ethos.cardIds,
+            publish: shouldPublishItems,
+          },
+          request,
+        ),
+      );
+    const updatedMessage = (message, { update }) =>
+      update.republishError ? `${message}, but publishing it again failed: ${update.republishError.error}` : message;
+
     // Create lessons + cards
     for (let i = 0; i < (draft.lessons || []).length; i++) {
       const lesson = draft.lessons[i];
-      const li = await this.createLearningItem({
-        name: lesson.name,
-        description: lesson.description,
-        type: 'lesson',
-        state: 'draft',
-        sequenceOrder: i + 1,
-        courseId,
-      });
+      if (mode === 'update' && lesson.ethos?.learningItemId) {
+        const updated = await updateExisting(
+          `lesson:${i}:update`,
+          lesson,
+          this.toLessonCards(lesson.cards, { random: cardIdRandom(draft, `lesson:${i}`) }),
+          lesson.cards,
+        );
+        created.lessons.push(updated);
+        progress(updatedMessage(`Updated lesson ${i + 1}/${draft.lessons.length}`, updated));
+        continue;
+      }
+      const li = await once(`lesson:${i}:item`, (request) =>
+        this.createLearningItem(
+          {
+            name: lesson.name,
+            description: lesson.description,
+            type: 'lesson',
+            state: 'draft',
+            sequenceOrder: i + 1,
+            courseId,
+          },
+          request,
+        ),
+      );
 
-      const cards = this.toLessonCards(lesson.cards);
-      const cardRes = await this.createCardsForLearningItem({ learningItemId: li.id, cards });
+      const cards = this.toLessonCards(lesson.cards, { random: cardIdRandom(draft, `lesson:${i}`) });
+      const cardRes = await once(`lesson:${i}:cards`, (request) =>
+        this.createCardsForLearningItem({ learningItemId: li.id, cards }, request),
+      );
 
       let publishResult = null;
       if (shouldPublishItems) {
         try {
-          publishResult = await this.publishLearningItem(li.id);
+          publishResult = await once(`lesson:${i}:publish`, () => this.publishLearningItem(li.id));
         } catch (e) {
           publishResult = { ok: false, error: e?.message, details: e?.data };
         }
@@ -390,27 +876,48 @@ export class EthosContentService {
         cards: cardRes?.cards || [],
         published: publishResult ? publishResult : undefined,
       });
+      progress(`Created lesson ${i + 1}/${draft.lessons.length}`);
     }
 
     // Create quizzes + cards
     for (let i = 0; i < (draft.quizzes || []).length; i++) {
       const quiz = draft.quizzes[i];
-      const li = await this.createLearningItem({
-        name: quiz.name,
-        description: quiz.description,
-        type: 'quiz',
-        state: 'draft',
-        sequenceOrder: (draft.lessons?.length || 0) + i + 1,
-        courseId,
-      });
+      if (mode === 'update' && quiz.ethos?.learningItemId) {
+        const cards = this.toQuizCards(quiz.questions, {
+          resolveLessonLink: this.lessonLinkResolver(created.lessons, cardLinkTemplate),
+          random: cardIdRandom(draft, `quiz:${i}`),
+        });
+        const updated = await updateExisting(`quiz:${i}:update`, quiz, cards, quiz.questions);
+        created.quizzes.push(updated);
+        progress(updatedMessage(`Updated quiz ${i + 1}/${draft.quizzes.length}`, updated));
+        continue;
+      }
+      const li = await once(`quiz:${i}:item`, (request) =>
+        this.createLearningItem(
+          {
+            name: quiz.name,
+            description: quiz.description,
+            type: 'quiz',
+            state: 'draft',
+            sequenceOrder: (draft.lessons?.length || 0) + i + 1,
+            courseId,
+          },
+          request,
+        ),
+      );
 
-      const cards = this.toQuizCards(quiz.questions);
-      const cardRes = await this.createCardsForLearningItem({ learningItemId: li.id, cards });
+      const cards = this.toQuizCards(quiz.questions, {
+        resolveLessonLink: this.lessonLinkResolver(created.lessons, cardLinkTemplate),
+        random: cardIdRandom(draft, `quiz:${i}`),
+      });
+      const cardRes = await once(`quiz:${i}:cards`, (request) =>
+        this.createCardsForLearningItem({ learningItemId: li.id, cards }, request),
+      );
 
       let publishResult = null;
       if (shouldPublishItems) {
         try {
-          publishResult = await this.publishLearningItem(li.id);
+          publishResult = await once(`quiz:${i}:publish`, () => this.publishLearningItem(li.id));
         } catch (e) {
           publishResult = { ok: false, error: e?.message, details: e?.data };
         }
@@ -421,16 +928,14 @@ export class EthosContentService {
         cards: cardRes?.cards || [],
         published: publishResult ? publishResult : undefined,
       });
+      progress(`Created quiz ${i + 1}/${draft.quizzes.length}`);
     }
 
     // Create users
-    for (const user of draft.users || []) {
+    const createOrReuseUser = async (user, request) => {
       if (reuseExistingUsers && user.email) {
         const existing = await this.findUserByEmail(user.email);
-        if (existing?.id) {
-          created.users.push({ ...existing, _reused: true });
-          continue;
-        }
+        if (existing?.id) return { ...existing, _reused: true };
       }
 
       const payload = {
@@ -445,20 +950,21 @@ export class EthosContentService {
       const cleaned = Array.isArray(user.roles) ? this._uniqStrings(user.roles) : [];
       payload.roles = cleaned.length ? cleaned : ['ROLE_LEARNER'];
       try {
-        const createdUser = await this.client.post('/v1/users', payload);
-        created.users.push(createdUser);
+        return await this.client.post('/v1/users', payload, request);
       } catch (e) {
         // If the user already exists, reuse them instead of failing the whole publish.
         const msg = String(e?.message || '').toLowerCase();
         if (reuseExistingUsers && user.email && msg.includes('already exists') && msg.includes('email')) {
           const existing = await this.findUserByEmail(user.email);
-          if (existing?.id) {
-            created.users.push({ ...existing, _reused: true });
-            continue;
-          }
+          if (existing?.id) return { ...existing, _reused: true };
         }
         throw e;
       }
+    };
+    for (const [i, user] of (draft.users || []).entries()) {
+      const u = await once(`user:${i}`, (request) => createOrReuseUser(user, request));
+      created.users.push(u);
+      progress(`${u?._reused ? 'Reused' : 'Created'} user ${i + 1}/${draft.users.length}`);
     }
 
     // Ensure all created/reused users actually have the Learner role in this tenant.
@@ -507,7 +1013,9 @@ export class EthosContentService {
       ];
       const association =
         learningItemIds.length > 0
-          ? await this.bulkAssociateLearningGroupToLearningItems({ learningItemIds, learningGroupId: group.id })
+          ? await once('learningItemGroups', (request) =>
+              this.bulkAssociateLearningGroupToLearningItems({ learningItemIds, learningGroupId: group.id }, request),
+            )
           : null;
 
       created.enrollmentAutomation = {
@@ -521,6 +1029,7 @@ export class EthosContentService {
         },
         learningItemGroupAssociation: association,
       };
+      progress(`Assigned the learning items to "${group.name || ethosGeneratedGroupName}"`);
     }
 
     if (autoPublishCourse && courseId) {
@@ -543,11 +1052,318 @@ export class EthosContentService {
           request: e?.method && e?.url ? { method: e.method, url: e.url } : undefined,
         };
       }
+      progress('Published the course');
+    }
+
+    // Learning plans hold courses, so there is nothing to attach without one.
+    const plan = courseSettings.learningPlanId
+      ? () => this.attachCourseToLearningPlan({ learningPlanId: courseSettings.learningPlanId, courseId })
+      : courseSettings.newLearningPlan
+        ? (request) => this.createLearningPlan({ ...courseSettings.newLearningPlan, courseId }, request)
+        : null;
+    if (plan && courseId) {
+      const result = await once('learningPlan', plan);
+      created.learningPlan = {
+        id: result.learningPlan?.id,
+        name: result.learningPlan?.name,
+        created: result.created,
+        attached: result.attached,
+      };
+      progress(result.created ? 'Created the learning plan' : 'Added the course to the learning plan');
+    } else if (plan) {
+      created.learningPlan = { skipped: true, reason: 'no_course' };
     }
 
     return created;
   }
 
+  // Dry run of publishDraft: reads the tenant to see which users, the attribute and the learning
+  // group already exist, and returns the ordered POST/PATCH requests a real publish would make.
+  // Nothing is written. Keep the step order in sync with publishDraft.
+  async planPublish({
+    draft,
+    courseId,
+    learningItemState = 'draft',
+    reuseExistingUsers = true,
+    enableEthosGeneratedGroup = true,
+    ethosGeneratedAttributeName = 'EthosGenerated',
+    ethosGeneratedGroupName = 'Ethos Generated Learners',
+    autoPublishCourse = false,
+    autoPublishLearningItems = false,
+    cardLinkTemplate = null,
+    mode = 'create',
+    newCourse = null,
+    learningPlanId = null,
+    newLearningPlan = null,
+  }) {
+    const steps = [];
+    const addStep = (method, path, resource, description, extra = {}) => {
+      steps.push({ order: steps.length + 1, method, path, resource, description, ...extra });
+    };
+    const tenant = {
+      existingUsers: [],
+      attribute: null,
+      learningGroup: null,
+      learningGroupRule: null,
+      course: null,
+      learningPlan: null,
+    };
+
+    const courseSettings = this.courseSettings({ draft, courseId, mode, newCourse, learningPlanId, newLearningPlan });
+    courseId = courseSettings.courseId;
+    if (courseSettings.newCourse) {
+      const { title, state } = courseSettings.newCourse;
+      addStep('POST', '/v1/courses', 'course', `Create course "${title}" (${state})`, { ref: '{course}' });
+    }
+
+    const shouldPublishItems = learningItemState === 'published' || autoPublishLearningItems;
+    const lessons = draft.lessons || [];
+    const quizzes = draft.quizzes || [];
+    // Items don't exist yet, so later steps refer to them by placeholder.
+    const itemRefs = [];
+    const updates = { lessons: 0, quizzes: 0 };
+    const planItem = (item, type, ref, cardCount) => {
+      itemRefs.push(ref);
+      addStep('POST', '/v1/learning_items', 'learningItem', `Create ${type} "${item.name}" (draft)`, { ref });
+      addStep('POST', `/v1/learning_items/${ref}/cards`, 'card', `Add ${cardCount} cards to "${item.name}"`, {
+        count: cardCount,
+      });
+      if (shouldPublishItems) {
+        addStep('PATCH', `/v1/learning_items/${ref}`, 'learningItem', `Publish "${item.name}"`);
+      }
+    };
+    const planUpdate = async (item, type, cards, cardIdsOf) => {
+      const id = item.ethos.learningItemId;
+      itemRefs.push(id);
+      updates[type === 'lesson' ? 'lessons' : 'quizzes'] += 1;
+      const diff = await this.diffLearningItem({
+        learningItemId: id,
+        name: item.name,
+        description: item.description,
+        cards,
+        cardIds: cardIdsOf.map((x) => x?.ethos?.cardId || null),
+        knownCardIds: item.ethos.cardIds,
+      });
+      const changed = Boolean(diff.itemPatch || diff.patches.length || diff.creates.length || diff.removes.length);
+      if (changed && diff.wasPublished) {
+        addStep('PATCH', `/v1/learning_items/${id}`, 'learningItem', `Move "${item.name}" back to draft`);
+      }
+      if (diff.itemPatch) {
+        const fields = Object.keys(diff.itemPatch).join(', ');
+        addStep('PATCH', `/v1/learning_items/${id}`, 'learningItem', `Update ${fields} of "${item.name}"`);
+      }
+      for (const p of diff.patches) {
+        const what =
+          p.reason === 'order' ? `Move card to position ${p.body.sequenceOrder}` : `Update card "${p.body.title}"`;
+        addStep('PATCH', `/v1/cards/${p.cardId}`, 'card', `${what} in "${item.name}"`);
+      }
+      for (const cardId of diff.removes) {
+        addStep('PATCH', `/v1/cards/${cardId}`, 'card', `Deactivate a card deleted from "${item.name}"`);
+      }
+      if (diff.creates.length) {
+        const count = diff.creates.length;
+        addStep('POST', `/v1/learning_items/${id}/cards`, 'card', `Add ${count} new cards to "${item.name}"`, {
+          count,
+        });
+      }
+      if ((changed && diff.wasPublished) || (shouldPublishItems && !diff.wasPublished)) {
+        addStep('PATCH', `/v1/learning_items/${id}`, 'learningItem', `Publish "${item.name}"`);
+      }
+    };
+
+    // Quiz feedback links point at lesson cards; in update mode those are already known.
+    const knownLessons = lessons.map((lesson) => ({
+      learningItem: { id: lesson.ethos?.learningItemId, name: lesson.name },
+      cards: (lesson.cards || []).map((c, j) => ({ id: c.ethos?.cardId, sequenceOrder: j + 1 })),
+    }));
+    for (const [i, lesson] of lessons.entries()) {
+      if (mode === 'update' && lesson.ethos?.learningItemId) {
+        const cards = this.toLessonCards(lesson.cards, { random: cardIdRandom(draft, `lesson:${i}`) });
+        await planUpdate(lesson, 'lesson', cards, lesson.cards);
+      } else {
+        planItem(lesson, 'lesson', `{lesson${i + 1}}`, (lesson.cards || []).length);
+      }
+    }
+    for (const [i, quiz] of quizzes.entries()) {
+      if (mode === 'update' && quiz.ethos?.learningItemId) {
+        const cards = this.toQuizCards(quiz.questions, {
+          resolveLessonLink: this.lessonLinkResolver(knownLessons, cardLinkTemplate),
+          random: cardIdRandom(draft, `quiz:${i}`),
+        });
+        await planUpdate(quiz, 'quiz', cards, quiz.questions);
+      } else {
+        planItem(quiz, 'quiz', `{quiz${i + 1}}`, (quiz.questions || []).length);
+      }
+    }
+
+    const users = [];
+    for (const [i, user] of (draft.users || []).entries()) {
+      const existing = reuseExistingUsers && user.email ? await this.findUserByEmail(user.email) : null;
+      if (existing?.id) {
+        tenant.existingUsers.push({ id: existing.id, email: existing.email || existing.emailAddress || user.email });
+        users.push({ ref: existing.id, email: user.email, existing });
+        continue;
+      }
+      const ref = `{user${i + 1}}`;
+      addStep('POST', '/v1/users', 'user', `Create user ${user.email}`, { ref });
+      users.push({ ref, email: user.email, roles: user.roles });
+    }
+
+    const isLearnerRole = (r) =>
+      ['role_learner', 'authorized_role_learner', 'learner'].includes(String(r).toLowerCase());
+    for (const u of users) {
+      if (u.existing) {
+        let roles = Array.isArray(u.existing.roles) ? u.existing.roles : null;
+        if (!roles) {
+          try {
+            roles = (await this.client.get(`/v1/users/${u.ref}`))?.roles || [];
+          } catch {
+            roles = [];
+          }
+        }
+        if (roles.some(isLearnerRole)) continue;
+      } else if (!Array.isArray(u.roles) || !u.roles.length || u.roles.some(isLearnerRole)) {
+        // New users are created with ROLE_LEARNER unless the draft says otherwise.
+        continue;
+      }
+      addStep('PATCH', `/v1/users/${u.ref}?mask=roles`, 'user', `Add the learner role to ${u.email}`);
+    }
+
+    if (enableEthosGeneratedGroup) {
+      const attribute = await this.findAttributeByName(ethosGeneratedAttributeName);
+      tenant.attribute = attribute?.id ? { id: attribute.id, name: attribute.name } : null;
+      const attributeRef = attribute?.id || '{attribute}';
+      if (!attribute?.id) {
+        addStep('POST', '/v1/attributes', 'attribute', `Create boolean attribute "${ethosGeneratedAttributeName}"`);
+      }
+
+      const group = await this.findLearningGroupByName(ethosGeneratedGroupName);
+      tenant.learningGroup = group?.id ? { id: group.id, name: group.name } : null;
+      const groupRef = group?.id || '{learningGroup}';
+      if (!group?.id) {
+        addStep(
+          'POST',
+          '/v1/learning_groups',
+          'learningGroup',
+          `Create learning group "${ethosGeneratedGroupName}" with rule ${ethosGeneratedAttributeName} = true`,
+        );
+      } else {
+        const rules = attribute?.id
+          ? (await this.client.get(`/v1/learning_groups/${group.id}`))?.learningGroupAttributes || []
+          : [];
+        const rule = rules.find((r) => r?.attribute?.id === attribute?.id || r?.attributeId === attribute?.id);
+        tenant.learningGroupRule = rule?.id ? { id: rule.id } : null;
+        if (!rule?.id) {
+          addStep(
+            'POST',
+            '/v1/learning_group_attributes',
+            'learningGroupRule',
+            `Add rule ${ethosGeneratedAttributeName} = true to "${ethosGeneratedGroupName}"`,
+          );
+        }
+      }
+
+      for (const u of users) {
+        let ua = null;
+        if (u.existing && attribute?.id) {
+          const existing = await this.listHydra('/v1/user_attributes', {
+            params: { itemsPerPage: 100, filterUserId: u.ref, filterAttributeName: ethosGeneratedAttributeName },
+          });
+          ua = existing.find((x) => x?.attribute?.id === attribute.id) || existing[0] || null;
+        }
+        if (ua?.id && String(ua.value) === 'true') continue;
+        if (ua?.id) {
+          addStep(
+            'PATCH',
+            `/v1/user_attributes/${ua.id}`,
+            'userAttribute',
+            `Set ${ethosGeneratedAttributeName} = true on ${u.email}`,
+          );
+        } else {
+          addStep(
+            'POST',
+            '/v1/user_attributes',
+            'userAttribute',
+            `Set ${ethosGeneratedAttributeName} = true on ${u.email}`,
+            {
+              userId: u.ref,
+              attributeId: attributeRef,
+            },
+          );
+        }
+      }
+
+      if (itemRefs.length) {
+        addStep(
+          'POST',
+          '/v1/learning_item/bulk_associate_learning_groups',
+          'learningItemGroup',
+          `Assign ${itemRefs.length} learning items to "${ethosGeneratedGroupName}"`,
+          { count: itemRefs.length, learningGroupId: groupRef },
+        );
+      }
+    }
+
+    if (autoPublishCourse && courseSettings.newCourse) {
+      if (courseSettings.newCourse.state !== 'published') {
+        addStep('PATCH', '/v1/courses/{course}', 'course', 'Publish the course');
+      }
+    } else if (autoPublishCourse && courseId) {
+      const id =
+        String(courseId).match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i)?.[0] || courseId;
+      let course = null;
+      try {
+        course = await this.client.get(`/v1/courses/${id}`);
+      } catch {
+        // Publish would still attempt the PATCH.
+      }
+      tenant.course = course
+        ? { id: course.id || id, title: course.title || course.name || null, state: course.state || null }
+        : null;
+      if (String(course?.state || '').toLowerCase() !== 'published') {
+        addStep('PATCH', `/v1/courses/${id}`, 'course', 'Publish the course');
+      }
+    }
+
+    const courseRef = courseSettings.newCourse ? '{course}' : courseId;
+    if (courseRef && courseSettings.learningPlanId) {
+      const uuidOf = (v) => String(v).match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i)?.[0];
+      const id = uuidOf(courseSettings.learningPlanId) || courseSettings.learningPlanId;
+      const plan = await this.client.get(`/v1/learning_plans/${id}`);
+      const courseIds = (plan?.courses || []).map((c) => uuidOf(typeof c === 'string' ? c : c?.['@id'] || c?.id));
+      tenant.learningPlan = { id: plan?.id || id, name: plan?.name || null, courses: courseIds.length };
+      if (!uuidOf(courseRef) || !courseIds.includes(uuidOf(courseRef))) {
+        const name = plan?.name || id;
+        addStep('PATCH', `/v1/learning_plans/${id}`, 'learningPlan', `Add the course to learning plan "${name}"`);
+      }
+    } else if (courseRef && courseSettings.newLearningPlan) {
+      const { name } = courseSettings.newLearningPlan;
+      addStep('POST', '/v1/learning_plans', 'learningPlan', `Create learning plan "${name}" with the course`);
+    }
+
+    // `requests` counts HTTP calls; `objects` counts what they touch (one card request adds many cards).
+    const counts = { requests: steps.length, POST: 0, PATCH: 0, objects: {} };
+    for (const step of steps) {
+      counts[step.method] += 1;
+      counts.objects[step.resource] = (counts.objects[step.resource] || 0) + (step.count ?? 1);
+    }
+
+    return {
+      dryRun: true,
+      counts,
+      creates: {
+        lessons: lessons.length - updates.lessons,
+        quizzes: quizzes.length - updates.quizzes,
+        cards: steps.filter((st) => st.resource === 'card' && st.method === 'POST').reduce((n, st) => n + st.count, 0),
+        users: users.filter((u) => !u.existing).length,
+      },
+      updates,
+      reuses: { users: tenant.existingUsers.length },
+      tenant,
+      steps,
+    };
+  }
+
   async findUserByEmail(email) {
     const tryMembers = (data) => {
       const members =
@@ -732,12 +1548,16 @@ export class EthosContentService {
     return { userAttribute: created, created: true, updated: false };
   }
 
-  async bulkAssociateLearningGroupToLearningItems({ learningItemIds, learningGroupId }) {
+  async bulkAssociateLearningGroupToLearningItems({ learningItemIds, learningGroupId }, { idempotencyKey } = {}) {
     const learningItemGroups = {};
     for (const id of learningItemIds) {
       learningItemGroups[id] = [learningGroupId];
     }
-    return await this.client.post('/v1/learning_item/bulk_associate_learning_groups', { learningItemGroups });
+    return await this.client.post(
+      '/v1/learning_item/bulk_associate_learning_groups',
+      { learningItemGroups },
+      { idempotencyKey },
+    );
   }
 }
 
@@ -1,4 +1,7 @@
+import { simulateOutcomes } from './contentGenerator.js';
 import { EthosClient } from './ethosClient.js';
+import { DEFAULT_PACING } from './personas.js';
+import { createRandom } from './random.js';
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
@@ -27,29 +30,63 @@ function parseCardJson(maybeJson) {
   return null;
 }
 
-function pickOptionIdFromCard(card, { correct }) {
-  const json = parseCardJson(card.json);
+function questionBlockOf(card) {
+  const json = parseCardJson(card?.json);
   const blocks = json?.contentBlocks || [];
-  const mc = blocks.find((b) => b?.type === 'multipleChoice' || b?.type === 'trueFalse');
-  const opts = mc?.options || [];
+  return blocks.find((b) => b?.type === 'multipleChoice' || b?.type === 'trueFalse') || null;
+}
+
+function questionKind(card) {
+  const block = questionBlockOf(card);
+  if (block?.type === 'trueFalse') return 'trueFalse';
+  return String(block?.multipleChoiceType || '').toLowerCase() === 'selectmany' ? 'selectMany' : 'selectOne';
+}
+
+// Option IDs to submit. `credit` is the fraction of the question to get right: 1 picks every
+// correct option, 0 a wrong one. Select-many questions also take partial credit by picking
+// `credit` of their correct options and nothing else.
+function pickAnswerFromCard(card, { credit }) {
+  const opts = questionBlockOf(card)?.options || [];
   if (!opts.length) return null;
   const correctOpts = opts.filter((o) => o?.isCorrect);
   const wrongOpts = opts.filter((o) => !o?.isCorrect);
-  const pool = correct ? correctOpts : wrongOpts;
+
+  if (questionKind(card) === 'selectMany' && correctOpts.length) {
+    if (credit >= 1) return correctOpts.map((o) => o.id);
+    const k = Math.round(credit * correctOpts.length);
+    if (k > 0) return correctOpts.slice(0, k).map((o) => o.id);
+    return [(wrongOpts[0] || opts[0]).id];
+  }
+
+  const pool = credit >= 1 ? correctOpts : wrongOpts;
   const chosen = pool[0] || opts[0];
-  return chosen?.id || null;
+  return chosen?.id ? [chosen.id] : null;
+}
+
+// Spreads a target score over the questions: whole questions right first, then any remainder as
+// partial credit on a select-many question (when there is one left), else rounded.
+function planQuestionCredits(kinds, targetPercentCorrect) {
+  const total = kinds.length;
+  const desired = clamp((targetPercentCorrect / 100) * total, 0, total);
+  let full = Math.floor(desired);
+  const remainder = desired - full;
+  const credits = kinds.map((_, i) => (i < full ? 1 : 0));
+  if (remainder > 0 && full < total) {
+    const partialIdx = kinds.findIndex((kind, i) => i >= full && kind === 'selectMany');
+    if (partialIdx >= 0) credits[partialIdx] = remainder;
+    else if (remainder >= 0.5) credits[full++] = 1;
+  }
+  return credits;
 }
 
 function isQuestionCard(card) {
   const json = parseCardJson(card?.json);
-  const blocks = json?.contentBlocks || [];
-  const hasQuestionBlock = blocks.some((b) => b?.type === 'multipleChoice' || b?.type === 'trueFalse');
-  return Boolean(hasQuestionBlock || json?.templateType === 'multipleChoice');
+  return Boolean(questionBlockOf(card) || json?.templateType === 'multipleChoice' || json?.templateType === 'trueFalse');
 }
 
 export class EthosSimulationService {
-  constructor({ credentials }) {
-    this.client = new EthosClient(credentials);
+  constructor({ credentials, client }) {
+    this.client = client || new EthosClient(credentials);
     this._courseEnrollmentUserCache = new Map();
   }
 
@@ -479,11 +516,12 @@ export class EthosSimulationService {
     return { enrollments: combined, strategy: 'per_learning_item' };
   }
 
-  async waitForEnrollments({ learningItemIds, userIds, courseId, timeoutMs = 60_000, pollMs = 2_000 }) {
+  async waitForEnrollments({ learningItemIds, userIds, courseId, timeoutMs = 60_000, pollMs = 2_000, signal = null }) {
     const start = Date.now();
     let last = [];
     let didEnrollKickoff = false;
     while (Date.now() - start < timeoutMs) {
+      signal?.throwIfAborted();
       try {
         last = (await this.listEnrollmentsBestEffort({ learningItemIds, userIds, courseId })).enrollments;
       } catch {
@@ -582,7 +620,19 @@ export class EthosSimulationService {
     return await this.client.get(`/v1/cards/${id}`);
   }
 
-  async answerQuizByTargetPercent({ learningItemEnrollmentId, userId, targetPercentCorrect, debug = false }) {
+  async answerQuizByTargetPercent({
+    learningItemEnrollmentId,
+    userId,
+    targetPercentCorrect,
+    // [min, max] seconds spent on each question, from the learner's persona.
+    secondsPerQuestion = DEFAULT_PACING.secondsPerQuestion,
+    // Backdates the attempt: the cards are answered back to back from `startedAt`, squeezed to fit
+    // before `completedAt` when it is given, and the enrollment gets exactly these two times.
+    startedAt = null,
+    completedAt = null,
+    random = createRandom(),
+    debug = false,
+  }) {
     const enrollmentId = learningItemEnrollmentId;
     if (!enrollmentId) {
       return { ok: false, error: 'No learning item enrollment found', learningItemEnrollmentId, userId };
@@ -622,36 +672,60 @@ export class EthosSimulationService {
       };
     }
 
-    const desiredCorrect = clamp(Math.round((targetPercentCorrect / 100) * total), 0, total);
-    const stats = { totalQuestions: total, desiredCorrect, answered: 0, correctTargeted: 0, optionNotFound: 0 };
+    const credits = planQuestionCredits(
+      questionEntries.map(({ card }) => questionKind(card)),
+      targetPercentCorrect,
+    );
+    const desiredCorrect = credits.filter((c) => c >= 1).length;
+    const stats = {
+      totalQuestions: total,
+      desiredCorrect,
+      answered: 0,
+      correctTargeted: 0,
+      partialTargeted: 0,
+      expectedCredit: 0,
+      optionNotFound: 0,
+    };
     const debugSamples = [];
-
-    // Answer first N as correct, rest incorrect (simple but deterministic)
+    const seconds = questionEntries.map(
+      () => secondsPerQuestion[0] + random.int(secondsPerQuestion[1] - secondsPerQuestion[0] + 1),
+    );
+    let clock = startedAt ? Date.parse(startedAt) : null;
+    const plannedMs = clock && completedAt ? Date.parse(completedAt) - clock : null;
+    const drawnMs = seconds.reduce((a, b) => a + b, 0) * 1000;
+    const scale = plannedMs !== null && drawnMs > plannedMs ? plannedMs / drawnMs : 1;
+
+    // Whole-credit answers first, then any partial select-many credit (deterministic)
     for (let i = 0; i < questionEntries.length; i++) {
       const { ce, card } = questionEntries[i];
-      const chooseCorrect = i < desiredCorrect;
-      const optionId = pickOptionIdFromCard(card, { correct: chooseCorrect });
-      if (!optionId) {
+      const credit = credits[i];
+      const answer = pickAnswerFromCard(card, { credit });
+      if (!answer) {
         stats.optionNotFound++;
         continue;
       }
 
+      const elapsedSec = clock ? Math.floor(seconds[i] * scale) : seconds[i];
       const now = new Date().toISOString();
+      const cardStartedAt = clock ? new Date(clock).toISOString() : ce.startedAt || now;
+      if (clock) clock += elapsedSec * 1000;
       await this.client.patch(
         `/v1/card_enrollments/${ce.id}`,
         {
-          answer: [optionId],
+          answer,
           // Confidence appears to be nullable; provide a reasonable value (optional).
           confidence: 100,
-          startedAt: ce.startedAt || now,
-          completedAt: now,
-          elapsedSec: 10 + Math.floor(Math.random() * 50),
+          startedAt: cardStartedAt,
+          completedAt: clock ? new Date(clock).toISOString() : now,
+          elapsedSec,
           progress: 100,
         },
         { headers: { 'Content-Type': 'application/merge-patch+json' } },
       );
       stats.answered++;
-      if (chooseCorrect) stats.correctTargeted++;
+      stats.expectedCredit += credit;
+      if (credit >= 1) stats.correctTargeted++;
+      else if (credit > 0) stats.partialTargeted++;
 
       // Some tenants only grade after an explicit completion/submit action.
       // Best-effort: if the endpoint exists, call it; otherwise ignore errors.
@@ -681,6 +755,12 @@ export class EthosSimulationService {
 
     // Mark complete
     await this.client.post(`/v1/learning_item_enrollments/${enrollmentId}/complete`, {});
+    const backdated = clock
+      ? await this.backdateEnrollment(enrollmentId, {
+          startedAt,
+          completedAt: completedAt || new Date(clock).toISOString(),
+        })
+      : null;
 
     // Grading/score can lag behind completion; poll briefly for non-zero/non-null score fields.
     let finalEnrollment = await this.getLearningItemEnrollment({ learningItemEnrollmentId: enrollmentId });
@@ -696,19 +776,219 @@ export class EthosSimulationService {
       ok: true,
       learningItemEnrollmentId: enrollmentId,
       finalEnrollment,
+      ...(backdated ? { backdated } : {}),
       meta: stats,
       debugSamples: debug ? debugSamples : undefined,
     };
   }
 
-  async completeLesson({ learningItemEnrollmentId, userId }) {
+  async completeLesson({ learningItemEnrollmentId, userId, startedAt = null, completedAt = null }) {
     const enrollmentId = learningItemEnrollmentId;
     if (!enrollmentId) {
       return { ok: false, error: 'No learning item enrollment found', learningItemEnrollmentId, userId };
     }
     await this.client.post(`/v1/learning_item_enrollments/${enrollmentId}/complete`, {});
+    const backdated = startedAt ? await this.backdateEnrollment(enrollmentId, { startedAt, completedAt }) : null;
     const finalEnrollment = await this.client.get(`/v1/learning_item_enrollments/${enrollmentId}`);
-    return { ok: true, learningItemEnrollmentId: enrollmentId, finalEnrollment };
+    return { ok: true, learningItemEnrollmentId: enrollmentId, finalEnrollment, ...(backdated ? { backdated } : {}) };
+  }
+
+  // Writes planned timestamps onto a completed learning item enrollment. Card enrollments take
+  // `startedAt`/`completedAt` in their answer PATCH, but not every tenant lets the enrollment itself
+  // be changed, so a refusal is reported in `enrollment: false` rather than thrown.
+  async backdateEnrollment(learningItemEnrollmentId, { startedAt, completedAt }) {
+    try {
+      await this.client.patch(
+        `/v1/learning_item_enrollments/${learningItemEnrollmentId}`,
+        { startedAt, completedAt },
+        { headers: { 'Content-Type': 'application/merge-patch+json' } },
+      );
+      return { startedAt, completedAt, enrollment: true };
+    } catch (e) {
+      return { startedAt, completedAt, enrollment: false, error: e?.message };
+    }
+  }
+
+  // Plays simulated learner activity against what a publish created: waits for the enrollments,
+  // then completes lessons and answers quizzes per user. `onProgress` gets one call per action, and
+  // `signal` stops the run between actions. The same `seed` plays out the same outcomes.
+  async runSimulation(
+    {
+      published,
+      lessonCompletionRate,
+      quizParticipationRate,
+      quizScoreMean,
+      quizScoreStd,
+      cohort,
+      timeline,
+      seed,
+      debug = false,
+    },
+    { onProgress = null, signal = null } = {},
+  ) {
+    const extractUuid = (value) => {
+      if (!value) return null;
+      const m = String(value).match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
+      return m?.[0] || null;
+    };
+
+    const publishedUsers = Array.isArray(published?.users) ? published.users : [];
+    const lessonItems = Array.isArray(published?.lessons) ? published.lessons : [];
+    const quizItems = Array.isArray(published?.quizzes) ? published.quizzes : [];
+
+    const userIds = publishedUsers.map((u) => u.id).filter(Boolean);
+    const lessonIds = lessonItems.map((x) => extractUuid(x?.learningItem?.id ?? x?.learningItem?.['@id'])).filter(Boolean);
+    const quizIds = quizItems.map((x) => extractUuid(x?.learningItem?.id ?? x?.learningItem?.['@id'])).filter(Boolean);
+    const courseIdFromRef =
+      published?.courseRef?.id ||
+      published?.courseId ||
+      (lessonItems[0]?.learningItem?.course ? String(lessonItems[0].learningItem.course).match(/[0-9a-f-]{36}/i)?.[0] : null);
+
+    const random = createRandom(seed);
+    const sim = simulateOutcomes({
+      users: publishedUsers.map((u) => ({ id: u.id, email: u.email })),
+      lessons: lessonIds.map((id) => ({ name: id })),
+      quizzes: quizIds.map((id) => ({ name: id })),
+      lessonCompletionRate,
+      quizParticipationRate,
+      quizScoreMean,
+      quizScoreStd,
+      cohort,
+      timeline,
+      random,
+    });
+
+    // One step for the enrollment wait, then one per lesson completion or quiz attempt.
+    const attempted = (r) => r?.took && typeof r.percentCorrect === 'number';
+    const total = sim.perUser.reduce(
+      (n, u) =>
+        n + (u.lessonResults || []).filter((r) => r?.completed).length + (u.quizResults || []).filter(attempted).length,
+      1,
+    );
+    let done = 0;
+    const progress = (message) => {
+      done += 1;
+      onProgress?.({ done, total, message });
+    };
+    onProgress?.({ done, total, message: `Waiting for enrollments of ${userIds.length} users` });
+
+    // Batch-poll enrollments once (avoid per-user per-item long waits).
+    const enrollmentTimeoutMs = 60_000;
+    const allItemIds = [...lessonIds, ...quizIds];
+
+    const enrollments = await this.waitForEnrollments({
+      learningItemIds: allItemIds,
+      userIds,
+      courseId: courseIdFromRef,
+      timeoutMs: enrollmentTimeoutMs,
+      pollMs: 2_000,
+      signal,
+    });
+    progress(`Found ${enrollments.length} enrollments`);
+
+    // Only run expensive diagnostics when explicitly requested, or when enrollments are missing.
+    const shouldRunDiagnostics = debug || enrollments.length === 0;
+
+    const enrollmentDebug = shouldRunDiagnostics
+      ? await this.debugEnrollmentQueries({
+          learningItemIds: allItemIds,
+          userIds,
+          courseId: courseIdFromRef,
+          mode: 'full',
+        })
+      : [{ strategy: 'skipped', reason: 'enrollments_found', foundEnrollments: enrollments.length }];
+
+    const courseEnrollmentDebug =
+      shouldRunDiagnostics && courseIdFromRef
+        ? await this.debugCourseEnrollment({ courseId: courseIdFromRef, userIds, learningItemIds: allItemIds })
+        : null;
+
+    const enrollmentMap = new Map();
+    for (const e of enrollments) {
+      // When using course-enrollment strategy, we already have a userId field.
+      if (e.userId && e.learningItemId && e.learningItemEnrollmentId) {
+        const li = extractUuid(e.learningItemId);
+        if (li) enrollmentMap.set(`${e.userId}:${li}`, e.learningItemEnrollmentId);
+        continue;
+      }
+
+      const li = extractUuid(e.learningItemId || e.learningItem?.id || e.learningItem?.['@id'] || e.learning_item_id || null);
+      if (!li || !e.id) continue;
+
+      const userIdForEnrollment = await this.getCourseEnrollmentUserId(e.courseEnrollment);
+      if (!userIdForEnrollment) continue;
+      enrollmentMap.set(`${userIdForEnrollment}:${li}`, e.id);
+    }
+
+    const perUserResults = [];
+    for (const [n, u] of sim.perUser.entries()) {
+      const userId = u.user.id;
+      const userLabel = `user ${n + 1}/${sim.perUser.length}`;
+      const completedLessons = [];
+      const completedQuizzes = [];
+      const enrollmentMisses = [];
+
+      // Lessons: complete if flagged
+      for (let i = 0; i < lessonIds.length; i++) {
+        const shouldComplete = u.lessonResults?.[i]?.completed;
+        if (!shouldComplete) continue;
+        signal?.throwIfAborted();
+        const enrollmentId = enrollmentMap.get(`${userId}:${lessonIds[i]}`) || null;
+        const planned = u.activity?.find((a) => a.type === 'lesson' && a.index === i);
+        const r = await this.completeLesson({
+          learningItemEnrollmentId: enrollmentId,
+          userId,
+          startedAt: planned?.startedAt,
+          completedAt: planned?.completedAt,
+        });
+        if (!r.ok) enrollmentMisses.push({ type: 'lesson', learningItemId: lessonIds[i] });
+        completedLessons.push(r);
+        progress(`Completed lesson ${i + 1}/${lessonIds.length} for ${userLabel}`);
+      }
+
+      // Quizzes: if took, answer to target percent
+      for (let i = 0; i < quizIds.length; i++) {
+        const took = u.quizResults?.[i]?.took;
+        const pct = u.quizResults?.[i]?.percentCorrect;
+        if (!took || typeof pct !== 'number') continue;
+        signal?.throwIfAborted();
+        const enrollmentId = enrollmentMap.get(`${userId}:${quizIds[i]}`) || null;
+        const planned = u.activity?.find((a) => a.type === 'quiz' && a.index === i);
+        const r = await this.answerQuizByTargetPercent({
+          learningItemEnrollmentId: enrollmentId,
+          userId,
+          targetPercentCorrect: pct,
+          secondsPerQuestion: u.pacing?.secondsPerQuestion,
+          startedAt: planned?.startedAt,
+          completedAt: planned?.completedAt,
+          random,
+          debug: Boolean(debug),
+        });
+        if (!r.ok) enrollmentMisses.push({ type: 'quiz', learningItemId: quizIds[i] });
+        completedQuizzes.push(r);
+        progress(`Answered quiz ${i + 1}/${quizIds.length} for ${userLabel}`);
+      }
+
+      perUserResults.push({
+        userId,
+        ...(u.persona ? { persona: u.persona } : {}),
+        ...(u.activity ? { activity: u.activity } : {}),
+        completedLessons,
+        completedQuizzes,
+        enrollmentMisses,
+      });
+    }
+
+    return {
+      ok: true,
+      seed: random.seed,
+      note: 'Enrollment is expected to be handled via EthosGenerated attribute + learning group rules (configured during publish).',
+      enrollmentWait: { timeoutMs: enrollmentTimeoutMs, foundEnrollments: enrollments.length },
+      enrollmentDebug,
+      courseEnrollmentDebug,
+      simulation: sim.summary,
+      perUserResults,
+    };
   }
 }
 
@@ -0,0 +1,263 @@
+import { EthosClient } from './ethosClient.js';
+
+// Ethos has no real deletes for most content, so teardown deactivates what a publish run created
+// and undoes the enrollment automation around it. Every step is reported per entity.
+
+const MERGE_PATCH = { headers: { 'Content-Type': 'application/merge-patch+json' } };
+const INACTIVE_ITEM_STATE = 'inactive';
+const INACTIVE_USER_STATUS = 'INACTIVE';
+
+function extractUuid(value) {
+  const m = String(value || '').match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
+  return m ? m[0] : null;
+}
+
+function listMembers(data, key) {
+  if (!data) return [];
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data['hydra:member'])) return data['hydra:member'];
+  if (Array.isArray(data[key])) return data[key];
+  return [];
+}
+
+export class EthosTeardownService {
+  constructor({ credentials, client }) {
+    this.credentials = credentials;
+    this.client = client || new EthosClient(credentials);
+  }
+
+  // What a `published` result (from publishDraft or a run journal) created.
+  targetsFrom(published, { attributeName, groupName, includeReusedUsers = false } = {}) {
+    const items = [
+      ...(published?.lessons || []).map((x) => ({ ...x, type: 'lesson' })),
+      ...(published?.quizzes || []).map((x) => ({ ...x, type: 'quiz' })),
+    ];
+    const automation = published?.enrollmentAutomation || null;
+    const course = published?.course;
+    const plan = published?.learningPlan;
+    const courseId = extractUuid(course?.id) || published?.courseRef?.id || null;
+    return {
+      learningItems: items
+        .map((x) => ({
+          id: extractUuid(x?.learningItem?.id ?? x?.learningItem?.['@id']),
+          name: x?.learningItem?.name || null,
+          type: x.type,
+        }))
+        .filter((x) => x.id),
+      users: (published?.users || [])
+        .filter((u) => u?.id)
+        .map((u) => ({ id: u.id, email: u.email || u.emailAddress || null, reused: Boolean(u._reused) })),
+      attribute: automation?.attribute?.id
+        ? { id: automation.attribute.id, name: automation.attribute.name || attributeName }
+        : { id: null, name: attributeName },
+      learningGroup: automation?.learningGroup?.id
+        ? { id: automation.learningGroup.id, name: automation.learningGroup.name || groupName }
+        : { id: null, name: groupName },
+      // Only a course the run created is deactivated; a plan the run created is deactivated, and an
+      // existing plan the run added the course to has it taken out again.
+      course: courseId ? { id: courseId, title: course?.title || null, created: Boolean(course?.created) } : null,
+      learningPlan:
+        plan?.id && (plan.created || plan.attached)
+          ? { id: extractUuid(plan.id) || plan.id, name: plan.name || null, created: Boolean(plan.created) }
+          : null,
+      includeReusedUsers,
+    };
+  }
+
+  async findByName(path, key, name) {
+    if (!name) return null;
+    for (let page = 1; page <= 25; page++) {
+      const items = listMembers(
+        await this.client.get(path, { params: { itemsPerPage: 200, page: String(page), name } }),
+        key,
+      );
+      const exact = items.find((x) => x?.name === name);
+      if (exact || !items.length) return exact || null;
+    }
+    return null;
+  }
+
+  async teardown(published, { dryRun = true, attributeName, groupName, includeReusedUsers = false } = {}) {
+    const targets = this.targetsFrom(published, { attributeName, groupName, includeReusedUsers });
+    const report = [];
+    const step = async (entity, action, fn) => {
+      const entry = { entity: entity.kind, id: entity.id, label: entity.label, action };
+      try {
+        const outcome = await fn();
+        Object.assign(entry, outcome);
+      } catch (e) {
+        Object.assign(entry, { status: 'failed', error: e?.message || String(e), details: e?.data });
+      }
+      report.push(entry);
+    };
+    // In a dry run each step reads current state and stops before writing. `fn` may return extra
+    // report fields.
+    const write = async (fn) => {
+      if (dryRun) return { status: 'planned' };
+      return { status: 'done', ...(await fn()) };
+    };
+
+    if (!targets.learningGroup.id && targets.learningGroup.name) {
+      const group = await this.findByName('/v1/learning_groups', 'learningGroups', targets.learningGroup.name).catch(
+        () => null,
+      );
+      if (group?.id) targets.learningGroup.id = group.id;
+    }
+    if (!targets.attribute.id && targets.attribute.name) {
+      const attribute = await this.findByName('/v1/attributes', 'attributes', targets.attribute.name).catch(() => null);
+      if (attribute?.id) targets.attribute.id = attribute.id;
+    }
+
+    // 1) Detach the generated learning group from each item (the reverse of the bulk association).
+    const groupId = targets.learningGroup.id;
+    for (const item of targets.learningItems) {
+      const entity = {
+        kind: 'learningItemGroup',
+        id: item.id,
+        label: `${item.name || item.id} ↔ ${targets.learningGroup.name}`,
+      };
+      await step(entity, 'detachLearningGroup', async () => {
+        if (!groupId) return { status: 'skipped', reason: 'learning_group_not_found' };
+        const current = await this.client.get(`/v1/learning_items/${item.id}`);
+        const groups = (current?.learningGroups || [])
+          .map((g) => extractUuid(g?.id ?? g?.['@id'] ?? g))
+          .filter(Boolean);
+        if (!groups.includes(groupId)) return { status: 'skipped', reason: 'not_associated' };
+        const remaining = groups.filter((g) => g !== groupId);
+        const result = await write(async () => {
+          await this.client.post('/v1/learning_item/bulk_associate_learning_groups', {
+            learningItemGroups: { [item.id]: remaining },
+          });
+        });
+        return { ...result, remainingGroups: remaining.length };
+      });
+    }
+
+    // 2) Remove the EthosGenerated attribute so the group rule no longer matches the users.
+    for (const user of targets.users) {
+      const entity = {
+        kind: 'userAttribute',
+        id: user.id,
+        label: `${user.email || user.id}: ${targets.attribute.name}`,
+      };
+      await step(entity, 'removeAttribute', async () => {
+        const existing = listMembers(
+          await this.client.get('/v1/user_attributes', {
+            params: { itemsPerPage: 100, filterUserId: user.id, filterAttributeName: targets.attribute.name },
+          }),
+          'userAttributes',
+        );
+        const ua =
+          existing.find((x) => (x?.attribute?.id ?? x?.attributeId) === targets.attribute.id) ||
+          (targets.attribute.id ? null : existing[0]) ||
+          null;
+        if (!ua?.id) return { status: 'skipped', reason: 'attribute_not_set' };
+        return await write(async () => {
+          try {
+            await this.client.delete(`/v1/user_attributes/${ua.id}`);
+            return { method: 'delete' };
+          } catch (e) {
+            // Tenants that refuse the delete still let us clear the value.
+            if (![403, 404, 405].includes(e?.status)) throw e;
+            await this.client.patch(`/v1/user_attributes/${ua.id}`, {
+              id: ua.id,
+              userId: user.id,
+              attributeId: targets.attribute.id,
+              value: 'false',
+            });
+            return { method: 'setFalse' };
+          }
+        });
+      });
+    }
+
+    // 3) Deactivate the users this run created. Reused users existed before and are left active
+    //    unless asked for.
+    for (const user of targets.users) {
+      const entity = { kind: 'user', id: user.id, label: user.email || user.id };
+      await step(entity, 'deactivate', async () => {
+        if (user.reused && !includeReusedUsers) return { status: 'skipped', reason: 'reused_existing_user' };
+        const current = await this.client.get(`/v1/users/${user.id}`);
+        if (String(current?.status || '').toUpperCase() === INACTIVE_USER_STATUS) {
+          return { status: 'skipped', reason: 'already_inactive' };
+        }
+        return await write(async () => {
+          await this.client.patch(
+            `/v1/users/${user.id}`,
+            { status: INACTIVE_USER_STATUS },
+            { ...MERGE_PATCH, params: { mask: 'status' } },
+          );
+        });
+      });
+    }
+
+    // 4) Deactivate the lessons and quizzes.
+    for (const item of targets.learningItems) {
+      const entity = { kind: 'learningItem', id: item.id, label: item.name || `${item.type} ${item.id}` };
+      await step(entity, 'deactivate', async () => {
+        const current = await this.client.get(`/v1/learning_items/${item.id}`);
+        if (String(current?.state || '').toLowerCase() === INACTIVE_ITEM_STATE) {
+          return { status: 'skipped', reason: 'already_inactive' };
+        }
+        const result = await write(async () => {
+          await this.client.patch(`/v1/learning_items/${item.id}`, { state: INACTIVE_ITEM_STATE }, MERGE_PATCH);
+        });
+        return { ...result, previousState: current?.state || null };
+      });
+    }
+
+    // 5) Deactivate the learning plan the run created, or take the course out of the existing plan
+    //    the run added it to.
+    const plan = targets.learningPlan;
+    if (plan) {
+      const entity = { kind: 'learningPlan', id: plan.id, label: plan.name || plan.id };
+      if (plan.created) {
+        await step(entity, 'deactivate', async () => {
+          const current = await this.client.get(`/v1/learning_plans/${plan.id}`);
+          if (String(current?.state || '').toLowerCase() === INACTIVE_ITEM_STATE) {
+            return { status: 'skipped', reason: 'already_inactive' };
+          }
+          const result = await write(async () => {
+            await this.client.patch(`/v1/learning_plans/${plan.id}`, { state: INACTIVE_ITEM_STATE }, MERGE_PATCH);
+          });
+          return { ...result, previousState: current?.state || null };
+        });
+      } else {
+        await step(entity, 'detachCourse', async () => {
+          if (!targets.course) return { status: 'skipped', reason: 'course_unknown' };
+          const current = await this.client.get(`/v1/learning_plans/${plan.id}`);
+          // Plans list their courses as IRIs or embedded objects; the PATCH sends back the rest as IRIs.
+          const courses = (current?.courses || []).map((c) => (typeof c === 'string' ? c : c?.['@id'] || c?.id));
+          const remaining = courses.filter((c) => c && extractUuid(c) !== targets.course.id);
+          if (remaining.length === courses.length) return { status: 'skipped', reason: 'not_attached' };
+          const iri = (c) =>
+            c.startsWith('http') ? c : `${this.credentials.baseUrl}${c.startsWith('/') ? c : `/v1/courses/${c}`}`;
+          const result = await write(async () => {
+            await this.client.patch(`/v1/learning_plans/${plan.id}`, { courses: remaining.map(iri) }, MERGE_PATCH);
+          });
+          return { ...result, remainingCourses: remaining.length };
+        });
+      }
+    }
+
+    // 6) Deactivate the course, if the run created it.
+    const course = targets.course;
+    if (course?.created) {
+      const entity = { kind: 'course', id: course.id, label: course.title || course.id };
+      await step(entity, 'deactivate', async () => {
+        const current = await this.client.get(`/v1/courses/${course.id}`);
+        if (String(current?.state || '').toLowerCase() === INACTIVE_ITEM_STATE) {
+          return { status: 'skipped', reason: 'already_inactive' };
+        }
+        const result = await write(async () => {
+          await this.client.patch(`/v1/courses/${course.id}`, { state: INACTIVE_ITEM_STATE }, MERGE_PATCH);
+        });
+        return { ...result, previousState: current?.state || null };
+      });
+    }
+
+    const summary = { dryRun, total: report.length, planned: 0, done: 0, skipped: 0, failed: 0 };
+    for (const entry of report) summary[entry.status] += 1;
+    return { summary, targets, report };
+  }
+}
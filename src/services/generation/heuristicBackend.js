@@ -0,0 +1,345 @@
+import { createRandom } from '../random.js';
+import { normalizeForMatch, SentenceSet, splitParagraphs } from '../sources/textUtils.js';
+
+function pickSentences(text, max = 30) {
+  const cleaned = String(text).replace(/\s+/g, ' ').trim();
+  const sentences = cleaned.split(/(?<=[.!?])\s+/g).map((s) => s.trim());
+  return sentences.filter(Boolean).slice(0, max);
+}
+
+// Wrap the first mention of each key term in **bold**. Key terms are the subjects of definitional
+// sentences, else names mentioned more than once.
+function boldKeyTerms(text, { limit = 3 } = {}) {
+  let terms = extractFacts(text, { limit }).map((f) => f.subject);
+  if (!terms.length) {
+    const counts = new Map();
+    for (const t of pickSentences(text, 60).flatMap(termsIn)) {
+      if (t.kind === 'entity') counts.set(t.text, (counts.get(t.text) || 0) + 1);
+    }
+    terms = [...counts].filter(([, n]) => n > 1).sort((a, b) => b[1] - a[1]).map(([t]) => t);
+  }
+  let out = text;
+  for (const term of terms.slice(0, limit)) {
+    if (term.includes('*')) continue;
+    out = replaceTerm(out, term, `**${term}**`);
+  }
+  return out;
+}
+
+const NUMBERED_LINE = /^\s*\d+[.)]\s+/;
+
+function generateLessonCards({ title, summary, extractText, minCards = 5 }) {
+  const paragraphs = splitParagraphs(extractText);
+  const cards = [];
+
+  // Card 1: title/overview (the renderer adds the source image, when there is one)
+  cards.push({
+    title,
+    layout: 'overview',
+    body: summary || (paragraphs[0] ? paragraphs[0].slice(0, 600) : `Overview of ${title}.`),
+  });
+
+  // Cards 2..N-1: chunk paragraphs; procedures that are already numbered keep their steps
+  const remaining = paragraphs.slice(0, 12);
+  const chunkSize = Math.max(1, Math.floor(remaining.length / Math.max(1, minCards - 2)));
+  for (let i = 0; i < remaining.length; i += chunkSize) {
+    const chunk = remaining.slice(i, i + chunkSize).join('\n\n').slice(0, 1200);
+    const lines = chunk.split('\n').filter((l) => l.trim());
+    const numbered = lines.filter((l) => NUMBERED_LINE.test(l)).length >= Math.max(2, lines.length / 2);
+    cards.push({
+      title: `${title} — Key concepts`,
+      layout: numbered ? 'numbered' : 'text',
+      body: numbered ? chunk : boldKeyTerms(chunk),
+    });
+    if (cards.length >= minCards - 1) break;
+  }
+
+  // Last card: takeaways
+  const sents = pickSentences(extractText.replace(/^\s*(?:[-*•]|\d+[.)])\s+/gm, ''), 12);
+  const bullets = sents.slice(0, 5).map((s) => `- ${s.replace(/\s+$/, '')}`);
+  cards.push({
+    title: `${title} — Key takeaways`,
+    layout: 'bullets',
+    body: bullets.length ? bullets.join('\n') : `- ${title} has several key concepts.\n- Review the summary and key terms.`,
+  });
+
+  while (cards.length < minCards) {
+    cards.push({
+      title: `${title} — Review`,
+      layout: 'callout',
+      body: summary || `Review the major ideas related to ${title}.`,
+    });
+  }
+
+  return cards.slice(0, Math.max(minCards, cards.length));
+}
+
+function extractFacts(text, { limit = 20, exclude } = {}) {
+  const sentences = pickSentences(text, 60);
+
+  // Try to pick definitional sentences.
+  const definitional = sentences
+    .map((s) => s.replace(/\[[^\]]*]/g, '').trim())
+    .filter((s) => s.length >= 40 && s.length <= 220)
+    .filter((s) => /\b(is|are|refers to|defined as)\b/i.test(s))
+    .filter((s) => !exclude?.has(s));
+
+  const facts = [];
+  for (const s of definitional) {
+    const m =
+      s.match(/^(.{3,80}?)\s+(is|are|refers to|is defined as|are defined as)\s+(.{8,140}?)[.?!]$/i) ||
+      s.match(/^(.{3,80}?)\s+(is|are|refers to|defined as)\s+(.{8,140}?)[.?!]$/i);
+    if (!m) continue;
+    const subject = m[1].replace(/\s*\([^)]*\)\s*/g, '').trim();
+    const predicate = m[3].trim();
+    if (subject.length < 3 || predicate.length < 8) continue;
+    facts.push({ subject, predicate, sourceSentence: s });
+    if (facts.length >= limit) break;
+  }
+  return facts;
+}
+
+// Shuffles the correct answer in with the distractors and reports where it landed.
+function shuffleOptions(correct, distractors, random) {
+  const order = random.shuffle([0, 1, 2, 3].slice(0, distractors.length + 1));
+  const all = [correct, ...distractors];
+  return { options: order.map((i) => all[i]), correctIndex: order.indexOf(0) };
+}
+
+const STOPWORDS = new Set(
+  'about above after again against because before being below between during further having other should their there these those through under until where which while would could first second'.split(
+    ' ',
+  ),
+);
+
+function keySentences(text) {
+  return pickSentences(text, 80)
+    .map((s) => s.replace(/\[[^\]]*]/g, '').trim())
+    .filter((s) => s.length >= 50 && s.length <= 220 && !s.endsWith('?'));
+}
+
+// Candidate answers found in a sentence, by kind, so distractors can be swapped in like-for-like
+// (a year for a year, a name for a name).
+function termsIn(sentence) {
+  const terms = [];
+  for (const m of sentence.matchAll(/\b(1\d{3}|20\d{2}|\d+(?:\.\d+)?%?)\b/g)) terms.push({ kind: 'number', text: m[1] });
+  for (const m of sentence.matchAll(/(?<!^)(?<![.!?]\s)\b([A-Z][a-z]+(?:\s+(?:of\s+)?[A-Z][a-z]+)*)\b/g)) {
+    terms.push({ kind: 'entity', text: m[1] });
+  }
+  for (const m of sentence.matchAll(/\b([a-z][a-z-]{6,})\b/g)) {
+    if (!STOPWORDS.has(m[1])) terms.push({ kind: 'term', text: m[1] });
+  }
+  return terms;
+}
+
+function termPool(text) {
+  const pool = { number: new Set(), entity: new Set(), term: new Set() };
+  for (const sentence of keySentences(text)) {
+    for (const t of termsIn(sentence)) pool[t.kind].add(t.text);
+  }
+  return pool;
+}
+
+function swapCandidates(term, pool, sentence) {
+  return [...pool[term.kind]].filter((t) => t.toLowerCase() !== term.text.toLowerCase() && !sentence.includes(t));
+}
+
+function replaceTerm(sentence, term, replacement) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return sentence.replace(new RegExp(`\\b${escaped}(?!\\w)`), replacement);
+}
+
+function clozeQuestion(sentence, pool, random) {
+  // Prefer numbers and names (unambiguous), then the longest content word.
+  const terms = termsIn(sentence);
+  const ranked = [
+    ...terms.filter((t) => t.kind === 'number'),
+    ...terms.filter((t) => t.kind === 'entity'),
+    ...terms.filter((t) => t.kind === 'term').sort((a, b) => b.text.length - a.text.length),
+  ];
+  for (const answer of ranked) {
+    const distractors = random.shuffle(swapCandidates(answer, pool, sentence)).slice(0, 3);
+    if (distractors.length < 3) continue;
+    const { options, correctIndex } = shuffleOptions(answer.text, distractors, random);
+    return {
+      type: 'selectOne',
+      question: `Fill in the blank: ${replaceTerm(sentence, answer.text, '_____')}`,
+      options,
+      correctIndex,
+      explanation: sentence,
+      sourceSentence: sentence,
+      strategy: 'cloze',
+    };
+  }
+  return null;
+}
+
+const NEGATIONS = [
+  [/\b(is|are|was|were|will|can|should|must|has been|have been) not\b/, (_m, v) => v],
+  [/\bcannot\b/, () => 'can'],
+  [/\b(is|are|was|were|will|should|must)\b/, (_m, v) => `${v} not`],
+  [/\bcan\b/, () => 'cannot'],
+];
+
+// A false statement: negate the main verb, or swap a name/number for another from the text.
+function falseVariant(sentence, pool, random) {
+  for (const [pattern, replace] of NEGATIONS) {
+    if (pattern.test(sentence)) return sentence.replace(pattern, replace);
+  }
+  for (const term of termsIn(sentence).filter((t) => t.kind !== 'term')) {
+    const swap = random.shuffle(swapCandidates(term, pool, sentence))[0];
+    if (swap) return replaceTerm(sentence, term.text, swap);
+  }
+  return null;
+}
+
+function trueFalseQuestion(sentence, pool, random) {
+  const falseStatement = falseVariant(sentence, pool, random);
+  if (!falseStatement) return null;
+  // Half of the items state the fact as written (answer True), half the altered version (False).
+  const asTrue = random.next() < 0.5;
+  return {
+    type: 'trueFalse',
+    question: `True or false: ${asTrue ? sentence : falseStatement}`,
+    options: ['True', 'False'],
+    correctIndex: asTrue ? 0 : 1,
+    explanation: asTrue ? sentence : `False. The source says: ${sentence}`,
+    sourceSentence: sentence,
+    strategy: 'trueFalse',
+  };
+}
+
+function selectManyQuestion(title, sentences, pool, random) {
+  // Two or three statements as written plus one or two altered ones; every true one must be picked.
+  const trueOnes = sentences.slice(0, sentences.length >= 5 ? 3 : 2);
+  const alteredFrom = [];
+  const falseOnes = [];
+  for (const sentence of sentences.slice(trueOnes.length)) {
+    const altered = falseOnes.length < 2 ? falseVariant(sentence, pool, random) : null;
+    if (!altered) continue;
+    alteredFrom.push(sentence);
+    falseOnes.push(altered);
+  }
+  if (trueOnes.length < 2 || !falseOnes.length) return null;
+
+  const all = [...trueOnes, ...falseOnes];
+  const order = random.shuffle(all.map((_, i) => i));
+  return {
+    type: 'selectMany',
+    question: `Which of the following statements about ${title} are true? (Select all that apply.)`,
+    options: order.map((i) => all[i]),
+    correctIndexes: order.map((i, pos) => (i < trueOnes.length ? pos : -1)).filter((pos) => pos >= 0),
+    explanation: `True statements: ${trueOnes.join(' ')}`,
+    sourceSentence: trueOnes[0],
+    strategy: 'selectMany',
+    // Every sentence an option was built from, so later quizzes do not reuse them.
+    usedSentences: [...trueOnes, ...alteredFrom],
+  };
+}
+
+function generateQuizQuestions({
+  title,
+  extractText,
+  distractorText,
+  usedSentences,
+  minQuestions = 5,
+  questionTypes = ['selectOne', 'trueFalse'],
+  random = createRandom(),
+}) {
+  const allowed = new Set(questionTypes);
+  const questions = [];
+  const asked = new SentenceSet();
+  const isUsed = (sentence) => usedSentences?.has(sentence) || asked.has(sentence);
+  const pool = termPool(distractorText ? `${extractText}\n\n${distractorText}` : extractText);
+  const candidates = [...new SentenceSet(keySentences(extractText))];
+
+  // Select-many items each consume several sentences, so a mixed quiz gets one per ~4 questions;
+  // a quiz of only select-many items gets all of them.
+  if (allowed.has('selectMany')) {
+    const wanted = allowed.size === 1 ? minQuestions : Math.max(1, Math.floor(minQuestions / 4));
+    const fresh = candidates.filter((s) => !isUsed(s) && s.length <= 160);
+    for (let i = 0; i + 3 <= fresh.length && questions.length < wanted; ) {
+      const q = selectManyQuestion(title, fresh.slice(i, i + 5), pool, random);
+      if (!q) {
+        i++;
+        continue;
+      }
+      const { usedSentences: consumed, ...question } = q;
+      questions.push(question);
+      for (const s of consumed) {
+        asked.add(s);
+        usedSentences?.add(s);
+      }
+      i += 5;
+    }
+  }
+
+  // Questions come only from `extractText` (the lessons this quiz assesses); wrong answers may be
+  // drawn from the wider article so small lessons still get four options.
+  if (allowed.has('selectOne')) {
+    const facts = extractFacts(extractText, { exclude: usedSentences });
+    const predicates = [
+      ...new SentenceSet(
+        [...facts, ...(distractorText ? extractFacts(distractorText, { limit: 40 }) : [])].map((f) => f.predicate),
+      ),
+    ];
+
+    for (const f of facts) {
+      if (questions.length >= minQuestions) break;
+      if (isUsed(f.sourceSentence)) continue;
+      const answer = normalizeForMatch(f.predicate);
+      const distractors = random.shuffle(predicates.filter((p) => normalizeForMatch(p) !== answer)).slice(0, 3);
+      if (distractors.length < 3) continue;
+      const { options, correctIndex } = shuffleOptions(f.predicate, distractors, random);
+
+      questions.push({
+        type: 'selectOne',
+        question: `In the context of ${title}, what best describes "${f.subject}"?`,
+        options,
+        correctIndex,
+        explanation: f.sourceSentence,
+        sourceSentence: f.sourceSentence,
+        strategy: 'definition',
+      });
+      asked.add(f.sourceSentence);
+      usedSentences?.add(f.sourceSentence);
+    }
+  }
+
+  // Second tier when there are too few definitional facts: cloze and true/false items built from
+  // this quiz's own key sentences. A quiz whose lessons run out of sentences comes back short.
+  const makers = [
+    allowed.has('selectOne') ? (sentence) => clozeQuestion(sentence, pool, random) : null,
+    allowed.has('trueFalse') ? (sentence) => trueFalseQuestion(sentence, pool, random) : null,
+  ].filter(Boolean);
+  let turn = 0;
+  for (const sentence of candidates) {
+    if (questions.length >= minQuestions || !makers.length) break;
+    if (isUsed(sentence)) continue;
+    // Alternate item types so a quiz is not all fill-in-the-blank; fall through to the other type
+    // when a sentence does not support the preferred one.
+    const ordered = [...makers.slice(turn % makers.length), ...makers.slice(0, turn % makers.length)];
+    const q = ordered.reduce((found, make) => found || make(sentence), null);
+    if (!q) continue;
+    questions.push(q);
+    asked.add(sentence);
+    usedSentences?.add(sentence);
+    turn++;
+  }
+
+  return questions.slice(0, minQuestions);
+}
+
+// Default backend: regex heuristics over the source text. Synchronous, offline, and deterministic
+// for a given `random` sequence (used for option shuffling and true/false picks).
+export const heuristicBackend = {
+  name: 'heuristic',
+
+  async generateLessonCards(args) {
+    return generateLessonCards(args);
+  },
+
+  async generateQuizQuestions(args) {
+    return generateQuizQuestions(args);
+  },
+};
@@ -0,0 +1,25 @@
+import { heuristicBackend } from './heuristicBackend.js';
+import { createOpenAiBackend } from './openAiBackend.js';
+
+export { heuristicBackend };
+
+export const GENERATION_BACKENDS = ['heuristic', 'openai'];
+
+// Draft question types. selectOne/trueFalse questions carry `correctIndex`; selectMany carries
+// `correctIndexes`.
+export const QUESTION_TYPES = ['selectOne', 'trueFalse', 'selectMany'];
+
+// Lesson card layouts. Card bodies are light Markdown ("- " bullets, "1. " steps, "> " quotes,
+// **bold**); the layout decides how the card is framed when published (image, callout...).
+export const CARD_LAYOUTS = ['overview', 'text', 'bullets', 'numbered', 'callout'];
+
+// A generation backend turns source text into draft content:
+//   generateLessonCards({ title, summary, extractText, minCards }) -> [{ title, body, layout }]
+//   generateQuizQuestions({ title, extractText, distractorText, usedSentences, minQuestions, questionTypes })
+//     -> [{ type, question, options, correctIndex | correctIndexes, explanation, sourceSentence }]
+// Both are async. Backends that call out to a model must validate output before returning it.
+export function createGenerationBackend(name = 'heuristic', config = {}) {
+  if (!name || name === 'heuristic') return heuristicBackend;
+  if (name === 'openai') return createOpenAiBackend(config);
+  throw new Error(`Unknown generation backend: ${name}`);
+}
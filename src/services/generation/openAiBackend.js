@@ -0,0 +1,201 @@
+import axios from 'axios';
+import { z } from 'zod';
+
+import { SentenceSet } from '../sources/textUtils.js';
+import { CARD_LAYOUTS, QUESTION_TYPES } from './index.js';
+
+// Model output is untrusted: it is parsed and validated against these schemas before it can reach
+// a draft. Anything that fails is reported as a GenerationOutputError. The enums are lazy because
+// index.js imports this module, so its constants are not yet defined while this one loads.
+const lessonCardsSchema = z.object({
+  cards: z
+    .array(
+      z.object({
+        title: z.string().trim().min(1).max(200),
+        body: z.string().trim().min(1).max(2000),
+        layout: z.lazy(() => z.enum(CARD_LAYOUTS)).default('text'),
+      }),
+    )
+    .min(1),
+});
+
+const quizQuestionsSchema = z.object({
+  questions: z
+    .array(
+      z
+        .object({
+          type: z.lazy(() => z.enum(QUESTION_TYPES)).default('selectOne'),
+          question: z.string().trim().min(5).max(500),
+          options: z.array(z.string().trim().min(1).max(300)).min(2).max(6),
+          correctIndex: z.number().int().min(0).optional(),
+          correctIndexes: z.array(z.number().int().min(0)).min(1).optional(),
+          explanation: z.string().trim().max(1000).nullable().optional(),
+          sourceSentence: z.string().trim().max(1000).nullable().optional(),
+        })
+        .superRefine((q, ctx) => {
+          const inRange = (i) => i < q.options.length;
+          if (q.type === 'selectMany') {
+            if (!q.correctIndexes?.every(inRange)) {
+              ctx.addIssue({ code: 'custom', message: 'correctIndexes must list valid options', path: ['correctIndexes'] });
+            }
+          } else if (q.correctIndex === undefined || !inRange(q.correctIndex)) {
+            ctx.addIssue({ code: 'custom', message: 'correctIndex is out of range', path: ['correctIndex'] });
+          }
+          if (q.type === 'trueFalse' && q.options.length !== 2) {
+            ctx.addIssue({ code: 'custom', message: 'true/false questions need exactly two options', path: ['options'] });
+          }
+          if (new Set(q.options.map((o) => o.toLowerCase())).size !== q.options.length) {
+            ctx.addIssue({ code: 'custom', message: 'options must be distinct', path: ['options'] });
+          }
+        }),
+    )
+    .min(1),
+});
+
+export class GenerationOutputError extends Error {
+  constructor(message, { issues, raw } = {}) {
+    super(message);
+    this.name = 'GenerationOutputError';
+    this.issues = issues;
+    this.raw = raw;
+  }
+}
+
+const SYSTEM_PROMPT = [
+  'You write short training content for a learning platform.',
+  'The user message is a JSON task. Use only facts stated in `text`; never invent facts.',
+  'Reply with a single JSON object and nothing else.',
+  'For task "lesson_cards" reply {"cards":[{"title":string,"body":string,"layout":string}]} with at least `minCards`' +
+    ' cards in teaching order. `body` may use "- " bullets, "1. " numbered steps, "> " quotes and **bold** key terms.' +
+    ' `layout` is one of "overview" (first card), "text", "bullets", "numbered" (steps) or "callout" (a key point).',
+  'For task "quiz_questions" reply {"questions":[{"type":string,"question":string,"options":[string,...],' +
+    '"correctIndex":number,"correctIndexes":[number],"explanation":string,"sourceSentence":string}]} with at least' +
+    ' `minQuestions` questions, using only the types listed in `questionTypes`:',
+  '- "selectOne": four distinct options, exactly one correct, given as `correctIndex`.',
+  '- "trueFalse": a statement in `question`, options ["True","False"], answer as `correctIndex`.',
+  '- "selectMany": four or five distinct statements, two or more correct, given as `correctIndexes`.',
+  'Copy `sourceSentence` verbatim from `text`, and do not reuse sentences in `excludeSentences`.',
+].join('\n');
+
+function parseJsonContent(content) {
+  const s = String(content || '').trim();
+  // Tolerate models that wrap JSON in a Markdown fence.
+  const fenced = s.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  try {
+    return JSON.parse(fenced ? fenced[1] : s);
+  } catch {
+    throw new GenerationOutputError('LLM reply was not valid JSON', { raw: s.slice(0, 500) });
+  }
+}
+
+function validate(schema, data, what) {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => ({ path: i.path.join('.'), message: i.message }));
+    const first = issues[0];
+    throw new GenerationOutputError(`LLM ${what} failed validation: ${first.path || '(root)'} ${first.message}`, {
+      issues,
+    });
+  }
+  return result.data;
+}
+
+// OpenAI-compatible chat completions backend (OpenAI, Azure OpenAI, vLLM, Ollama, the local stub...).
+export function createOpenAiBackend({ baseUrl, apiKey, model, timeoutMs = 60_000, temperature = 0.2 }) {
+  if (!baseUrl) throw new Error('LLM_BASE_URL is required for the openai generation backend');
+  if (!model) throw new Error('LLM_MODEL is required for the openai generation backend');
+
+  const http = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    timeout: timeoutMs,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+  });
+
+  // `random` picks the request's `seed`, so a seeded draft asks for the same sampling each time (on
+  // endpoints that honour it).
+  const complete = async (task, random) => {
+    let res;
+    try {
+      res = await http.post('/chat/completions', {
+        model,
+        temperature,
+        ...(random ? { seed: random.int(2 ** 31) } : {}),
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: JSON.stringify(task) },
+        ],
+      });
+    } catch (e) {
+      const status = e?.response?.status;
+      const detail = e?.response?.data?.error?.message || e?.message;
+      throw new Error(`LLM request failed${status ? ` (${status})` : ''}: ${detail}`);
+    }
+    return parseJsonContent(res.data?.choices?.[0]?.message?.content);
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generateLessonCards({ title, summary, extractText, minCards = 5, random }) {
+      const data = await complete(
+        { task: 'lesson_cards', title, summary: summary || '', text: extractText, minCards },
+        random,
+      );
+      const { cards } = validate(lessonCardsSchema, data, 'lesson cards');
+      if (cards.length < minCards) {
+        throw new GenerationOutputError(`LLM returned ${cards.length} lesson cards; expected at least ${minCards}`);
+      }
+      return cards;
+    },
+
+    async generateQuizQuestions({
+      title,
+      extractText,
+      usedSentences,
+      minQuestions = 5,
+      questionTypes = ['selectOne', 'trueFalse'],
+      random,
+    }) {
+      const data = await complete(
+        {
+          task: 'quiz_questions',
+          title,
+          text: extractText,
+          minQuestions,
+          questionTypes,
+          excludeSentences: [...(usedSentences || [])],
+        },
+        random,
+      );
+      const { questions } = validate(quizQuestionsSchema, data, 'quiz questions');
+      // Drops questions on sentences already used, including repeats within this reply.
+      const asked = new SentenceSet(usedSentences);
+      const fresh = questions.filter((q) => {
+        if (!questionTypes.includes(q.type)) return false;
+        if (!q.sourceSentence) return true;
+        if (asked.has(q.sourceSentence)) return false;
+        asked.add(q.sourceSentence);
+        return true;
+      });
+      if (fresh.length < minQuestions) {
+        throw new GenerationOutputError(`LLM returned ${fresh.length} usable questions; expected at least ${minQuestions}`);
+      }
+      const picked = fresh.slice(0, minQuestions).map((q) => ({
+        type: q.type,
+        question: q.question,
+        options: q.options,
+        ...(q.type === 'selectMany' ? { correctIndexes: [...new Set(q.correctIndexes)] } : { correctIndex: q.correctIndex }),
+        // Empty explanations and source sentences are left out rather than set to null.
+        ...(q.explanation || q.sourceSentence ? { explanation: q.explanation || q.sourceSentence } : {}),
+        ...(q.sourceSentence ? { sourceSentence: q.sourceSentence } : {}),
+      }));
+      for (const q of picked) if (q.sourceSentence) usedSentences?.add(q.sourceSentence);
+      return picked;
+    },
+  };
+}
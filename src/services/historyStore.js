@@ -0,0 +1,91 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { writeJsonAtomic } from './jsonFile.js';
+
+// Drafts and simulation runs are kept as one JSON file per record under DATA_DIR/history, so they
+// survive page reloads and server restarts. Publish runs live in their own journal (publishJournal.js).
+// Each record belongs to the Ethos tenant (`{ baseUrl, organizationId }`) it was saved under, or to
+// no tenant (null) when saved while logged out, and is only listed and loaded for that tenant.
+
+const KINDS = { drafts: 'draft', simulations: 'sim' };
+const ID_RE = /^(draft|sim)-[0-9a-f-]{36}$/;
+
+function sameTenant(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.baseUrl === b.baseUrl && a.organizationId === b.organizationId;
+}
+
+export class HistoryStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  fileFor(kind, id) {
+    if (!KINDS[kind]) throw Object.assign(new Error(`Unknown history kind: ${kind}`), { status: 400 });
+    if (!ID_RE.test(id) || !id.startsWith(`${KINDS[kind]}-`)) {
+      throw Object.assign(new Error(`Invalid ${kind} ID: ${id}`), { status: 400 });
+    }
+    return path.join(this.dir, kind, `${id}.json`);
+  }
+
+  async read(kind, id) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(kind, id), 'utf8'));
+    } catch (e) {
+      if (e?.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  // The record, or null when it does not exist or belongs to another tenant.
+  async load(kind, id, { tenant = null } = {}) {
+    const record = await this.read(kind, id);
+    return record && sameTenant(record.tenant, tenant) ? record : null;
+  }
+
+  // Creates a record, or replaces one when `id` is given. `links` ties records together (e.g. the
+  // publish run a simulation ran against). A record saved while logged out is taken over by the
+  // first tenant that saves a new version of it.
+  async save(kind, { id, tenant = null, title, summary = {}, links = {}, data }) {
+    const now = new Date().toISOString();
+    const existing = id ? await this.read(kind, id) : null;
+    if (existing?.tenant && !sameTenant(existing.tenant, tenant)) {
+      throw Object.assign(new Error('History record not found'), { status: 404 });
+    }
+    const record = {
+      id: id || `${KINDS[kind]}-${crypto.randomUUID()}`,
+      kind,
+      tenant,
+      title: title || null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      summary,
+      links: { ...existing?.links, ...links },
+      data,
+    };
+    await writeJsonAtomic(this.fileFor(kind, record.id), record);
+    return HistoryStore.summaryOf(record);
+  }
+
+  async list(kind, { tenant = null } = {}) {
+    let names = [];
+    try {
+      names = await fs.readdir(path.join(this.dir, kind));
+    } catch (e) {
+      if (e?.code === 'ENOENT') return [];
+      throw e;
+    }
+    const records = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      const record = await this.load(kind, name.slice(0, -'.json'.length), { tenant }).catch(() => null);
+      if (record) records.push(HistoryStore.summaryOf(record));
+    }
+    return records.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  static summaryOf({ id, kind, title, createdAt, updatedAt, summary, links }) {
+    return { id, kind, title, createdAt, updatedAt, summary, links };
+  }
+}
@@ -0,0 +1,136 @@
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+// Long publishes and Ethos simulations run as in-process background jobs. Each job reports step by
+// step progress, which clients follow over Server-Sent Events, and can be cancelled between steps.
+
+export class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+    this.status = 409;
+  }
+}
+
+const FINISHED = new Set(['succeeded', 'failed', 'cancelled']);
+// Progress events kept per job, so a client that connects late still sees recent steps.
+const MAX_EVENTS = 200;
+
+export class Job extends EventEmitter {
+  constructor({ type, owner, meta = {} }) {
+    super();
+    this.id = `job-${crypto.randomUUID()}`;
+    this.type = type;
+    this.owner = owner;
+    this.meta = meta;
+    this.status = 'queued';
+    this.progress = { done: 0, total: null, message: 'Queued' };
+    this.events = [];
+    this.result = null;
+    this.error = null;
+    this.createdAt = new Date().toISOString();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.controller = new AbortController();
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get finished() {
+    return FINISHED.has(this.status);
+  }
+
+  // Records one step. `total` may be left out once it is known.
+  report({ done, total, message }) {
+    this.progress = {
+      done: done ?? this.progress.done,
+      total: total ?? this.progress.total,
+      message: message ?? this.progress.message,
+    };
+    const event = { at: new Date().toISOString(), ...this.progress };
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+    this.emit('progress', event);
+  }
+
+  throwIfCancelled() {
+    if (this.signal.aborted) throw new JobCancelledError();
+  }
+
+  summary() {
+    const { id, type, status, progress, meta, createdAt, startedAt, finishedAt, error } = this;
+    return { id, type, status, progress, meta, createdAt, startedAt, finishedAt, error };
+  }
+}
+
+export class JobManager {
+  constructor({ maxFinishedJobs = 50 } = {}) {
+    this.jobs = new Map();
+    this.maxFinishedJobs = maxFinishedJobs;
+  }
+
+  // Starts `fn(job)` on the next tick and returns the job right away.
+  start(type, fn, { owner = null, meta = {} } = {}) {
+    const job = new Job({ type, owner, meta });
+    this.jobs.set(job.id, job);
+    this.prune();
+    setImmediate(() => this.run(job, fn));
+    return job;
+  }
+
+  async run(job, fn) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.report({ message: 'Started' });
+    try {
+      job.throwIfCancelled();
+      job.result = await fn(job);
+      job.status = 'succeeded';
+    } catch (e) {
+      job.status = job.signal.aborted ? 'cancelled' : 'failed';
+      job.error = {
+        message: e?.message || String(e),
+        status: e?.status,
+        details: e?.data,
+        request: e?.method && e?.url ? { method: e.method, url: e.url } : undefined,
+        publishRun: e?.publishRun,
+      };
+    }
+    job.finishedAt = new Date().toISOString();
+    job.report({ message: job.status === 'succeeded' ? 'Done' : job.error.message });
+    job.emit('finished', job.summary());
+  }
+
+  // Jobs are only visible to the session that started them.
+  get(id, owner) {
+    const job = this.jobs.get(id);
+    if (!job || (job.owner !== null && job.owner !== owner)) {
+      throw Object.assign(new Error(`Job ${id} not found`), { status: 404 });
+    }
+    return job;
+  }
+
+  list(owner) {
+    return [...this.jobs.values()]
+      .filter((job) => job.owner === null || job.owner === owner)
+      .map((job) => job.summary())
+      .reverse();
+  }
+
+  // Cancellation is cooperative: the job stops at its next step boundary.
+  cancel(id, owner) {
+    const job = this.get(id, owner);
+    if (!job.finished && !job.signal.aborted) {
+      job.controller.abort(new JobCancelledError());
+      job.report({ message: 'Cancelling...' });
+    }
+    return job;
+  }
+
+  prune() {
+    const finished = [...this.jobs.values()].filter((job) => job.finished);
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) this.jobs.delete(job.id);
+  }
+}
@@ -0,0 +1,13 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Writes `data` as JSON to a temporary file and renames it into place, so a crash never leaves a
+// half-written file behind. Each write has a temporary file of its own, so concurrent writes to
+// one file don't trip over each other; the last rename wins.
+export async function writeJsonAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
@@ -0,0 +1,140 @@
+import { z } from 'zod';
+
+// Learner personas for the simulation. Each has its own completion, participation and score
+// parameters, plus pacing: how many seconds a learner spends on a quiz question, and whether their
+// activity is spread `early`, `even` or `late` over a backdated timeline (see activityTimeline.js).
+export const PERSONAS = {
+  highPerformer: {
+    label: 'High performer',
+    lessonCompletionRate: 0.95,
+    quizParticipationRate: 0.95,
+    quizScoreMean: 0.9,
+    quizScoreStd: 0.06,
+    pacing: { secondsPerQuestion: [20, 60], spread: 'early' },
+  },
+  steady: {
+    label: 'Steady',
+    lessonCompletionRate: 0.8,
+    quizParticipationRate: 0.75,
+    quizScoreMean: 0.76,
+    quizScoreStd: 0.1,
+    pacing: { secondsPerQuestion: [15, 45], spread: 'even' },
+  },
+  struggler: {
+    label: 'Struggler',
+    lessonCompletionRate: 0.7,
+    quizParticipationRate: 0.8,
+    quizScoreMean: 0.55,
+    quizScoreStd: 0.15,
+    pacing: { secondsPerQuestion: [40, 120], spread: 'even' },
+  },
+  disengaged: {
+    label: 'Disengaged',
+    lessonCompletionRate: 0.25,
+    quizParticipationRate: 0.2,
+    quizScoreMean: 0.6,
+    quizScoreStd: 0.2,
+    pacing: { secondsPerQuestion: [5, 20], spread: 'even' },
+  },
+  // Skips much of the reading and rushes the quizzes just before the deadline.
+  crammer: {
+    label: 'Crammer',
+    lessonCompletionRate: 0.4,
+    quizParticipationRate: 0.9,
+    quizScoreMean: 0.68,
+    quizScoreStd: 0.15,
+    pacing: { secondsPerQuestion: [5, 15], spread: 'late' },
+  },
+};
+
+// Named cohorts: the share of users given to each persona. Shares are relative.
+export const COHORTS = {
+  typical: { highPerformer: 0.2, steady: 0.45, struggler: 0.15, disengaged: 0.1, crammer: 0.1 },
+  strong: { highPerformer: 0.5, steady: 0.4, struggler: 0.1 },
+  atRisk: { steady: 0.2, struggler: 0.35, disengaged: 0.3, crammer: 0.15 },
+};
+
+// Users without a persona answer at the pace the simulation always used.
+export const DEFAULT_PACING = { secondsPerQuestion: [10, 59], spread: 'even' };
+
+const rate = z.number().min(0).max(1);
+
+// A persona may leave out any parameter; the simulation's own rates fill the gaps.
+const personaSchema = z.object({
+  label: z.string().trim().min(1).max(80).optional(),
+  lessonCompletionRate: rate.optional(),
+  quizParticipationRate: rate.optional(),
+  quizScoreMean: rate.optional(),
+  quizScoreStd: rate.optional(),
+  pacing: z
+    .object({
+      secondsPerQuestion: z
+        .tuple([z.number().int().min(1), z.number().int().min(1)])
+        .refine(([min, max]) => min <= max, { message: 'secondsPerQuestion must be [min, max]' })
+        .optional(),
+      spread: z.enum(['early', 'even', 'late']).optional(),
+    })
+    .optional(),
+});
+
+// A cohort is the name of one in COHORTS, or `{ shares, personas }` where `personas` adds to or
+// overrides the built-in ones.
+export const cohortSchema = z.union([
+  z.enum(Object.keys(COHORTS)),
+  z.object({
+    shares: z
+      .record(z.string().trim().min(1).max(64), z.number().min(0))
+      .refine((shares) => Object.values(shares).some((s) => s > 0), { message: 'Give at least one persona a share' }),
+    personas: z.record(z.string().trim().min(1).max(64), personaSchema).optional(),
+  }),
+]);
+
+// The cohort's personas with every parameter filled in, and their shares.
+export function resolveCohort(cohort, defaults) {
+  const { shares, personas = {} } = typeof cohort === 'string' ? { shares: COHORTS[cohort] } : cohort;
+  const resolved = {};
+  for (const name of Object.keys(shares)) {
+    if (!PERSONAS[name] && !personas[name]) {
+      throw Object.assign(new Error(`Unknown persona: ${name}`), { status: 400 });
+    }
+    const pacing = { ...DEFAULT_PACING, ...PERSONAS[name]?.pacing, ...personas[name]?.pacing };
+    resolved[name] = { label: name, ...defaults, ...PERSONAS[name], ...personas[name], pacing };
+  }
+  return { name: typeof cohort === 'string' ? cohort : 'custom', shares, personas: resolved };
+}
+
+// Splits `count` users by share (largest remainder, so the counts add up), then shuffles who
+// gets which persona.
+export function assignPersonas(count, shares, random) {
+  const entries = Object.entries(shares).filter(([, share]) => share > 0);
+  const total = entries.reduce((sum, [, share]) => sum + share, 0);
+  const exact = entries.map(([name, share]) => ({ name, exact: (share / total) * count }));
+  const counts = exact.map((e) => ({ ...e, n: Math.floor(e.exact) }));
+  let left = count - counts.reduce((sum, c) => sum + c.n, 0);
+  for (const c of [...counts].sort((a, b) => b.exact - b.n - (a.exact - a.n))) {
+    if (left-- <= 0) break;
+    c.n += 1;
+  }
+  return random.shuffle(counts.flatMap((c) => Array(c.n).fill(c.name)));
+}
+
+const fraction = (n, of) => (of ? Math.round((n / of) * 1000) / 1000 : null);
+
+// Per-persona totals for the results: realised completion and participation, and the mean score.
+export function summarizeByPersona(perUser, personas) {
+  const byPersona = {};
+  for (const [name, persona] of Object.entries(personas)) {
+    const users = perUser.filter((u) => u.persona === name);
+    const lessons = users.flatMap((u) => u.lessonResults);
+    const quizzes = users.flatMap((u) => u.quizResults);
+    const scores = quizzes.filter((q) => q.took).map((q) => q.percentCorrect);
+    byPersona[name] = {
+      label: persona.label,
+      users: users.length,
+      lessonCompletion: fraction(lessons.filter((l) => l.completed).length, lessons.length),
+      quizParticipation: fraction(scores.length, quizzes.length),
+      averageScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+    };
+  }
+  return byPersona;
+}
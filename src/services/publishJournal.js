@@ -0,0 +1,209 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { writeJsonAtomic } from './jsonFile.js';
+
+// Publish runs are journaled to disk so a run that fails halfway can be resumed without creating
+// duplicates. A run ID is derived from the draft, the publish options and the tenant, so
+// re-submitting the same draft lands on the same journal. The tenant is also kept in the run's
+// `meta.tenant`, and only that tenant gets to see or act on the run.
+
+export class PublishRunInProgressError extends Error {
+  constructor(runId) {
+    super(`Publish run ${runId} is already in progress`);
+    this.name = 'PublishRunInProgressError';
+    this.status = 409;
+  }
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function publishRunId({ draft, options = {}, tenant = {} }) {
+  const hash = crypto.createHash('sha256').update(stableStringify({ draft, options, tenant })).digest('hex');
+  return `run-${hash.slice(0, 20)}`;
+}
+
+const RUN_ID_RE = /^run-[0-9a-z-]{8,64}$/;
+
+export class PublishRun {
+  constructor(journal, data) {
+    this.journal = journal;
+    this.data = data;
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  get status() {
+    return this.data.status;
+  }
+
+  // Runs journaled before the tenant was recorded belong to no one.
+  belongsTo(tenant) {
+    const owner = this.data.meta?.tenant;
+    if (!owner || !tenant) return false;
+    return owner.baseUrl === tenant.baseUrl && owner.organizationId === tenant.organizationId;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.data.steps, key);
+  }
+
+  get(key) {
+    return this.data.steps[key]?.result;
+  }
+
+  async record(key, result) {
+    this.data.steps[key] = { at: new Date().toISOString(), result: result ?? null };
+    await this.journal.save(this);
+  }
+
+  async fail(err) {
+    this.data.status = 'failed';
+    this.data.error = {
+      message: err?.message || String(err),
+      status: err?.status,
+      request: err?.method && err?.url ? { method: err.method, url: err.url } : undefined,
+      at: new Date().toISOString(),
+    };
+    await this.journal.save(this);
+  }
+
+  async complete(created) {
+    this.data.status = 'completed';
+    this.data.error = null;
+    this.data.created = created;
+    await this.journal.save(this);
+  }
+
+  // The publish result, or for a run that never finished, what its journal says was created.
+  createdSoFar() {
+    if (this.data.created) return this.data.created;
+    const byPrefix = (prefix) =>
+      Object.entries(this.data.steps)
+        .filter(([key]) => key.startsWith(prefix) && key.endsWith(':item'))
+        .sort(([a], [b]) => Number(a.split(':')[1]) - Number(b.split(':')[1]))
+        .map(([, step]) => ({ learningItem: step.result }));
+    const course = this.get('course');
+    const plan = this.get('learningPlan');
+    return {
+      ...(course ? { course: { id: course.id, title: course.title, state: course.state, created: true } } : {}),
+      ...(plan
+        ? {
+            learningPlan: {
+              id: plan.learningPlan?.id,
+              name: plan.learningPlan?.name,
+              created: plan.created,
+              attached: plan.attached,
+            },
+          }
+        : {}),
+      lessons: byPrefix('lesson:'),
+      quizzes: byPrefix('quiz:'),
+      users: Object.entries(this.data.steps)
+        .filter(([key]) => key.startsWith('user:'))
+        .map(([, step]) => step.result),
+      enrollmentAutomation: null,
+    };
+  }
+
+  async markTornDown(summary) {
+    this.data.status = 'tornDown';
+    this.data.teardown = { at: new Date().toISOString(), summary };
+    await this.journal.save(this);
+  }
+
+  summary() {
+    const { runId, status, createdAt, updatedAt, attempts, error, meta } = this.data;
+    return {
+      runId,
+      status,
+      createdAt,
+      updatedAt,
+      attempts,
+      completedSteps: Object.keys(this.data.steps).length,
+      error,
+      meta,
+    };
+  }
+}
+
+export class PublishJournal {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.active = new Set();
+  }
+
+  fileFor(runId) {
+    if (!RUN_ID_RE.test(runId)) throw Object.assign(new Error(`Invalid publish run ID: ${runId}`), { status: 400 });
+    return path.join(this.dir, `${runId}.json`);
+  }
+
+  async load(runId) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.fileFor(runId), 'utf8'));
+      return new PublishRun(this, data);
+    } catch (e) {
+      if (e?.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  // Opens (or creates) the run and marks it active in this process until `release` is called.
+  async begin(runId, meta = {}) {
+    if (this.active.has(runId)) throw new PublishRunInProgressError(runId);
+    this.active.add(runId);
+    try {
+      const now = new Date().toISOString();
+      const run =
+        (await this.load(runId)) ||
+        new PublishRun(this, { runId, status: 'new', createdAt: now, updatedAt: now, attempts: 0, meta, steps: {} });
+      if (run.status !== 'completed' && run.status !== 'tornDown') {
+        run.data.status = 'running';
+        run.data.attempts += 1;
+        await this.save(run);
+      }
+      return run;
+    } catch (e) {
+      this.active.delete(runId);
+      throw e;
+    }
+  }
+
+  release(run) {
+    this.active.delete(run.runId);
+  }
+
+  async save(run) {
+    run.data.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(this.fileFor(run.runId), run.data);
+  }
+
+  // Summaries of the runs, newest first; only `tenant`'s when it is given.
+  async list({ tenant } = {}) {
+    let names = [];
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (e) {
+      if (e?.code === 'ENOENT') return [];
+      throw e;
+    }
+    const runs = [];
+    for (const name of names.filter((n) => n.endsWith('.json'))) {
+      const run = await this.load(name.slice(0, -'.json'.length)).catch(() => null);
+      if (run && (!tenant || run.belongsTo(tenant))) runs.push(run.summary());
+    }
+    return runs.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+}
@@ -0,0 +1,43 @@
+import { withEthosIds } from './draftSchema.js';
+import { publishRunId } from './publishJournal.js';
+
+// The journaled publish flow shared by the web server and the CLI: pick the run for a draft, then
+// publish (or replay) it.
+
+// The same draft + options + tenant always maps to the same run, so re-submitting resumes it.
+export async function choosePublishRunId(journal, { draft, publishOptions, tenant, runId, newRun }) {
+  const baseRunId = publishRunId({ draft, options: publishOptions, tenant });
+  if (runId && !runId.startsWith(baseRunId)) {
+    throw Object.assign(new Error(`Run ${runId} was started for a different draft or different options`), {
+      status: 409,
+    });
+  }
+  const chosen = newRun ? `${baseRunId}-${Date.now().toString(36)}` : runId || baseRunId;
+  // Content from a torn-down run is inactive, so publishing the draft again starts a new run.
+  if ((await journal.load(chosen))?.status === 'tornDown') return `${baseRunId}-${Date.now().toString(36)}`;
+  return chosen;
+}
+
+// Publishes into a run opened with `journal.begin`, and releases it when done. A completed run is
+// replayed from its journal instead. Errors carry the run summary as `publishRun`.
+export async function runPublish({ journal, run, service, options, onProgress, signal }) {
+  try {
+    if (run.status === 'completed') {
+      return {
+        ...run.data.created,
+        draft: withEthosIds(options.draft, run.data.created),
+        publishRun: { ...run.summary(), replayed: true },
+      };
+    }
+    const created = await service.publishDraft({ ...options, journal: run, onProgress, signal });
+    await run.complete(created);
+    // The returned draft carries the Ethos IDs, ready to be edited and published in update mode.
+    return { ...created, draft: withEthosIds(options.draft, created), publishRun: run.summary() };
+  } catch (e) {
+    await run.fail(e).catch(() => {});
+    e.publishRun = run.summary();
+    throw e;
+  } finally {
+    journal.release(run);
+  }
+}
@@ -0,0 +1,63 @@
+import crypto from 'node:crypto';
+
+// Seedable pseudo-random numbers for generation and simulation, so a draft or a simulated run can be
+// reproduced from its seed. Not for anything security-related.
+
+// Runs without a seed get a fresh one, which results echo so they can be reproduced too.
+export function randomSeed() {
+  return crypto.randomInt(2 ** 31);
+}
+
+// 32-bit hash of the seed's string form, so 42 and "42" give the same sequence.
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h = Math.imul(h ^ ch.codePointAt(0), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast and good enough for shuffling and sampling.
+export function createRandom(seed = randomSeed()) {
+  let state = hashSeed(seed);
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+  const int = (n) => Math.floor(next() * n);
+
+  return {
+    seed,
+    next,
+    int,
+
+    // Standard normal (Box-Muller).
+    normal() {
+      let u = 0;
+      let v = 0;
+      while (u === 0) u = next();
+      while (v === 0) v = next();
+      return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    },
+
+    shuffle(arr) {
+      const a = arr.slice();
+      for (let i = a.length - 1; i > 0; i--) {
+        const j = int(i + 1);
+        [a[i], a[j]] = [a[j], a[i]];
+      }
+      return a;
+    },
+
+    // Version 4 UUID layout, drawn from this sequence.
+    uuid() {
+      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = int(16);
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+      });
+    },
+  };
+}
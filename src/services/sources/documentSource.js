@@ -0,0 +1,160 @@
+import path from 'node:path';
+
+import mammoth from 'mammoth';
+
+import { htmlToMarkdown } from './htmlSource.js';
+import { MIN_PARAGRAPH_CHARS, SKIPPED_SECTIONS, parseMarkdown } from './textUtils.js';
+
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)*)\.?\s+[A-Z][^.]{2,80}$/;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function readPdfLines(buffer) {
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    useSystemFonts: false,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+  let title = null;
+  try {
+    const meta = await pdf.getMetadata();
+    title = String(meta?.info?.Title || '').trim() || null;
+  } catch {
+    // metadata is optional
+  }
+
+  // Rebuild text lines from positioned glyph runs: items sharing a baseline form a line.
+  const lines = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    let current = null;
+    for (const item of content.items) {
+      if (typeof item.str !== 'string') continue;
+      const y = Math.round(item.transform[5]);
+      const size = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10;
+      if (!current || Math.abs(current.y - y) > 2) {
+        if (current) lines.push(current);
+        current = { page: pageNumber, y, size, text: '' };
+      }
+      current.text += item.str;
+      current.size = Math.max(current.size, size);
+      if (item.hasEOL) {
+        lines.push(current);
+        current = null;
+      }
+    }
+    if (current) lines.push(current);
+    page.cleanup();
+  }
+  await pdf.destroy();
+
+  return { title, lines: lines.map((l) => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() })).filter((l) => l.text) };
+}
+
+// PDFs have no structure, so headings are inferred: lines set noticeably larger than body text,
+// or short numbered lines ("2 Scope", "3.1 Inspections"). Paragraphs break on vertical gaps.
+export function sectionsFromPdfLines(lines, { leadTitle = 'Overview' } = {}) {
+  const bodySize = median(lines.filter((l) => l.text.length > 40).map((l) => l.size)) || median(lines.map((l) => l.size));
+  const isHeading = (l) =>
+    l.text.length <= 100 &&
+    !/[.,;:]$/.test(l.text) &&
+    (l.size >= bodySize * 1.15 || NUMBERED_HEADING.test(l.text));
+
+  const sections = [];
+  let current = { title: leadTitle, paragraphs: [] };
+  let para = null;
+  const flush = () => {
+    if (para && para.text.length >= MIN_PARAGRAPH_CHARS) current.paragraphs.push(para);
+    para = null;
+  };
+
+  let prev = null;
+  for (const line of lines) {
+    if (isHeading(line)) {
+      flush();
+      // Headings split across two lines (same size, same page) are joined.
+      if (prev && prev.heading && prev.page === line.page && prev.size === line.size && !current.paragraphs.length) {
+        current.title = `${current.title} ${line.text}`;
+      } else {
+        sections.push(current);
+        current = { title: line.text, paragraphs: [] };
+      }
+      prev = { ...line, heading: true };
+      continue;
+    }
+
+    const gap = prev && prev.page === line.page ? prev.y - line.y : 0;
+    if (!para || prev?.heading || prev.page !== line.page || gap > line.size * 1.8) {
+      // A page break mid-sentence continues the paragraph.
+      const continues = para && prev && !prev.heading && prev.page !== line.page && !/[.!?:]$/.test(para.text);
+      if (!continues) {
+        flush();
+        para = { text: '', page: line.page };
+      }
+    }
+    para.text = para.text ? `${para.text.replace(/-$/, '')}${para.text.endsWith('-') ? '' : ' '}${line.text}` : line.text;
+    prev = line;
+  }
+  flush();
+  sections.push(current);
+
+  return sections
+    .filter((s) => s.paragraphs.length && !SKIPPED_SECTIONS.has(s.title.toLowerCase()))
+    .map((s) => ({
+      title: s.title,
+      paragraphs: s.paragraphs.map((p) => p.text),
+      paragraphPages: s.paragraphs.map((p) => p.page),
+    }));
+}
+
+async function loadPdf(buffer) {
+  const { title, lines } = await readPdfLines(buffer);
+  const sections = sectionsFromPdfLines(lines);
+  const headingTitle = sections.find((s) => s.title !== 'Overview')?.title;
+  return { title: title || headingTitle, sections };
+}
+
+async function loadDocx(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const { text } = htmlToMarkdown(html);
+  const firstHeading = html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  const { sections } = parseMarkdown(text);
+  return { title: firstHeading ? firstHeading[1].replace(/<[^>]+>/g, '').trim() : null, sections };
+}
+
+export const documentSource = {
+  type: 'document',
+
+  // Uploaded PDF/DOCX files (`buffer` + `fileName`); everything is parsed locally.
+  async load({ buffer, fileName, mimeType }) {
+    const ext = path.extname(fileName || '').toLowerCase();
+    const isPdf = ext === '.pdf' || mimeType === 'application/pdf';
+    const isDocx =
+      ext === '.docx' || mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    if (!isPdf && !isDocx) throw new Error('Only PDF and DOCX files are supported');
+
+    let parsed;
+    try {
+      parsed = isPdf ? await loadPdf(buffer) : await loadDocx(buffer);
+    } catch (e) {
+      throw new Error(`Could not read ${fileName || 'document'}: ${e?.message || e}`);
+    }
+    if (!parsed.sections.length) throw new Error(`No usable text found in ${fileName || 'document'}`);
+
+    return {
+      title: parsed.title || path.basename(fileName || 'Document', ext),
+      summary: '',
+      url: null,
+      fileName: fileName || null,
+      sections: parsed.sections,
+    };
+  },
+};
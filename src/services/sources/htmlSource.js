@@ -0,0 +1,63 @@
+import { parseMarkdown } from './textUtils.js';
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function stripTags(s) {
+  return decodeEntities(s.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Converts an HTML page to Markdown-style text: h1/h2 become section headings, h3+ subsections,
+// block elements paragraph breaks. Scripts, styles and page chrome are dropped.
+export function htmlToMarkdown(html) {
+  let s = String(html);
+  const pageTitle = s.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  s = s
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<head\b[\s\S]*?<\/head>/gi, '');
+
+  s = s.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_m, level, inner) => {
+    const text = stripTags(inner);
+    return text ? `\n\n${'#'.repeat(Number(level) <= 2 ? 2 : 3)} ${text}\n\n` : '';
+  });
+  s = s.replace(/<li\b[^>]*>/gi, '\n- ');
+  s = s.replace(/<br\s*\/?>/gi, '\n');
+  s = s.replace(/<\/?(p|div|section|article|main|ul|ol|table|tr|blockquote|pre|dl|dd|dt|figure|figcaption)\b[^>]*>/gi, '\n\n');
+
+  const lines = s.split('\n').map((line) => (/^#{2,3} /.test(line) ? line : stripTags(line)));
+  const text = lines.join('\n').replace(/\n{3,}/g, '\n\n');
+  return { title: pageTitle ? stripTags(pageTitle[1]) : null, text };
+}
+
+export const htmlSource = {
+  type: 'html',
+
+  async load({ html, fileName, url }) {
+    const { title: pageTitle, text } = htmlToMarkdown(html);
+    const { sections } = parseMarkdown(text);
+    if (!sections.length) throw new Error('The HTML page has no usable text');
+
+    const firstHeading = String(html).match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+    const title =
+      pageTitle || (firstHeading ? stripTags(firstHeading[1]) : null) || (fileName ? fileName.replace(/\.html?$/i, '') : null);
+
+    return {
+      title: title || 'Uploaded page',
+      summary: '',
+      url: url || null,
+      fileName: fileName || null,
+      sections,
+    };
+  },
+};
@@ -0,0 +1,20 @@
+import { documentSource } from './documentSource.js';
+import { htmlSource } from './htmlSource.js';
+import { localDirectorySource } from './localDirectorySource.js';
+import { textSource } from './textSource.js';
+import { wikipediaSource } from './wikipediaSource.js';
+
+// A source provider turns a `source: { type, ... }` option into a document:
+//   { title, summary, url, sections: [{ title, paragraphs, paragraphPages? }] }
+// Sections are in reading order; lessons are planned from them. `paragraphPages` (page number per
+// paragraph) is set by paginated formats so lessons can cite pages.
+const PROVIDERS = new Map([wikipediaSource, localDirectorySource, htmlSource, textSource, documentSource].map((p) => [p.type, p]));
+
+export const SOURCE_TYPES = [...PROVIDERS.keys()];
+
+export async function loadSource(source, { localDirectoryRoot } = {}) {
+  const provider = PROVIDERS.get(source?.type);
+  if (!provider) throw new Error(`Unknown source type: ${source?.type}`);
+  const document = await provider.load(source, { rootDir: localDirectoryRoot });
+  return { ...document, type: provider.type };
+}
@@ -0,0 +1,86 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { parseMarkdown } from './textUtils.js';
+
+const TEXT_EXTENSIONS = new Set(['.md', '.markdown', '.txt']);
+const MAX_FILES = 200;
+
+const isInside = (root, target) => target === root || target.startsWith(`${root}${path.sep}`);
+
+// Symlinks are followed only while they stay inside `root` (a real path).
+async function listTextFiles(root, dir, out = []) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  for (const entry of entries) {
+    if (out.length >= MAX_FILES) break;
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    let stat = entry;
+    if (entry.isSymbolicLink()) {
+      const real = await fs.realpath(full).catch(() => null);
+      if (!real || !isInside(root, real)) continue;
+      stat = await fs.stat(real);
+    }
+    if (stat.isDirectory()) await listTextFiles(root, full, out);
+    else if (stat.isFile() && TEXT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out;
+}
+
+function titleFromFileName(file) {
+  return path
+    .basename(file, path.extname(file))
+    .replace(/^\d+[-_. ]+/, '')
+    .replace(/[-_]+/g, ' ')
+    .trim();
+}
+
+export const localDirectorySource = {
+  type: 'localDirectory',
+
+  // `path` is resolved inside `rootDir` (SOURCE_DOCS_DIR); anything outside it is rejected, including
+  // paths that only get out through a symlink.
+  async load({ path: relPath = '.' }, { rootDir } = {}) {
+    if (!rootDir) throw new Error('Local directory sources are disabled (set SOURCE_DOCS_DIR in config.env)');
+
+    const root = await fs.realpath(path.resolve(rootDir));
+    const outside = () => new Error('Source path must be inside SOURCE_DOCS_DIR');
+    if (!isInside(root, path.resolve(root, relPath))) throw outside();
+
+    let target;
+    let stat;
+    try {
+      target = await fs.realpath(path.resolve(root, relPath));
+      stat = await fs.stat(target);
+    } catch {
+      throw new Error(`Source path not found: ${relPath}`);
+    }
+    if (!isInside(root, target)) throw outside();
+    const files = stat.isDirectory() ? await listTextFiles(root, target) : [target];
+    if (!files.length) throw new Error(`No .md or .txt files found in ${relPath}`);
+
+    // Each file contributes its own sections; a file without headings becomes one section
+    // named after the file, so a directory of SOPs reads as a lesson sequence in file order.
+    const sections = [];
+    let title = null;
+    for (const file of files) {
+      const text = await fs.readFile(file, 'utf8');
+      const fileTitle = titleFromFileName(file);
+      const parsed = parseMarkdown(text, { leadTitle: fileTitle, leadFromTitle: true });
+      if (!title) title = parsed.title;
+      for (const section of parsed.sections) {
+        sections.push({ ...section, file: path.relative(root, file) });
+      }
+    }
+    if (!sections.length) throw new Error(`No usable text found in ${relPath}`);
+
+    const dirTitle = titleFromFileName(stat.isDirectory() ? target : files[0]);
+    return {
+      title: (files.length > 1 ? dirTitle : title) || title || dirTitle || 'Local documents',
+      summary: '',
+      url: null,
+      sections,
+    };
+  },
+};
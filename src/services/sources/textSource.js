@@ -0,0 +1,22 @@
+import path from 'node:path';
+
+import { parseMarkdown } from './textUtils.js';
+
+export const textSource = {
+  type: 'text',
+
+  // Pasted text may use Markdown headings; without them it is split by paragraph ranges. A text
+  // file read by the CLI (`fileName`) is named after its `# Title`, or else after the file.
+  async load({ text, title, fileName }) {
+    const parsed = parseMarkdown(text);
+    if (!parsed.sections.length) throw new Error('The pasted text has no usable paragraphs (60+ characters each)');
+
+    return {
+      title: title || parsed.title || (fileName ? path.basename(fileName, path.extname(fileName)) : 'Pasted text'),
+      summary: '',
+      url: null,
+      sections: parsed.sections,
+      fileName: fileName || null,
+    };
+  },
+};
@@ -0,0 +1,127 @@
+// Shorter paragraphs are usually captions, list fragments or page furniture.
+export const MIN_PARAGRAPH_CHARS = 60;
+
+export function splitParagraphs(text) {
+  return String(text)
+    .split(/\n{2,}/g)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .filter((p) => p.length >= MIN_PARAGRAPH_CHARS);
+}
+
+// Sentence text for comparison: no citation marks, Markdown emphasis or list markers, collapsed
+// whitespace, lower case.
+export function normalizeForMatch(s) {
+  return String(s || '')
+    .replace(/\[[^\]]*]/g, '')
+    .replace(/\*\*/g, '')
+    .replace(/^\s*(?:[-*>]|\d+[.)])\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// A set of sentences that treats two as the same when their normalized text matches, so a sentence
+// repeated across sections (or re-cited) is only used once. Iterating yields the first spelling seen.
+export class SentenceSet extends Set {
+  #keys = new Set();
+
+  constructor(sentences = []) {
+    super();
+    for (const s of sentences) this.add(s);
+  }
+
+  add(sentence) {
+    const key = normalizeForMatch(sentence);
+    if (!this.#keys.has(key)) {
+      this.#keys.add(key);
+      super.add(sentence);
+    }
+    return this;
+  }
+
+  has(sentence) {
+    return this.#keys.has(normalizeForMatch(sentence));
+  }
+}
+
+// Trailing reference sections carry no teachable material.
+export const SKIPPED_SECTIONS = new Set([
+  'see also',
+  'references',
+  'notes',
+  'external links',
+  'further reading',
+  'bibliography',
+  'sources',
+  'citations',
+  'footnotes',
+]);
+
+// Groups lines into `{ title, paragraphs }` sections. `matchHeading(line)` returns `{ level, title }`
+// for heading lines: level 1 starts a new section, deeper headings stay inside their parent section
+// as paragraph breaks. Text before the first heading becomes the `leadTitle` section.
+export function groupSections(lines, matchHeading, { leadTitle = 'Overview' } = {}) {
+  const sections = [];
+  let current = { title: leadTitle, lines: [] };
+  for (const line of lines) {
+    const heading = matchHeading(line);
+    if (heading?.level === 1) {
+      sections.push(current);
+      current = { title: heading.title, lines: [] };
+      continue;
+    }
+    current.lines.push(heading ? '' : line);
+  }
+  sections.push(current);
+
+  return sections
+    .filter((s) => !SKIPPED_SECTIONS.has(s.title.toLowerCase()))
+    .map((s) => ({ title: s.title, paragraphs: splitParagraphs(s.lines.join('\n')) }))
+    .filter((s) => s.paragraphs.length);
+}
+
+function stripMarkdownInline(line) {
+  return line
+    .replace(/!\[([^\]]*)]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)]\([^)]*\)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?=\W|$)/g, '$1$2');
+}
+
+// Parses Markdown (or plain text with Markdown-style headings). A leading "# Title" line names the
+// document; "#"/"##" headings after it start sections and "###" or deeper stay inside them.
+// With `leadFromTitle`, text before the first section is filed under the document title.
+export function parseMarkdown(text, { leadTitle = 'Overview', leadFromTitle = false } = {}) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+
+  let title = null;
+  const firstIdx = lines.findIndex((l) => l.trim());
+  const first = firstIdx >= 0 ? lines[firstIdx].match(/^#\s+(.+?)\s*#*\s*$/) : null;
+  if (first) {
+    title = stripMarkdownInline(first[1]);
+    lines.splice(firstIdx, 1);
+  }
+
+  let inFence = false;
+  const body = [];
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    body.push(inFence ? line : stripMarkdownInline(line));
+  }
+
+  const sections = groupSections(
+    body,
+    (line) => {
+      const m = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (!m) return null;
+      return { level: m[1].length <= 2 ? 1 : 2, title: m[2] };
+    },
+    { leadTitle: (leadFromTitle && title) || leadTitle },
+  );
+  return { title, sections };
+}
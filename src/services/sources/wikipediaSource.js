@@ -0,0 +1,105 @@
+import { groupSections } from './textUtils.js';
+
+async function fetchWithRetry(url, options = {}, { retries = 3, baseDelayMs = 400 } = {}) {
+  let lastErr;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const res = await fetch(url, options);
+      if (res.status === 429 || res.status === 503) {
+        const retryAfter = Number(res.headers.get('retry-after') || '');
+        const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : baseDelayMs * Math.pow(2, attempt);
+        await new Promise((r) => setTimeout(r, delay));
+        continue;
+      }
+      return res;
+    } catch (e) {
+      lastErr = e;
+      const delay = baseDelayMs * Math.pow(2, attempt);
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+  throw lastErr || new Error('fetch failed');
+}
+
+const WIKI_HEADERS = {
+  // Wikipedia strongly prefers a descriptive UA.
+  'User-Agent': 'ethos-content-creator-demo/1.0 (demo-purpose)',
+  Accept: 'application/json',
+};
+
+async function wikiSearch(topic) {
+  const url = new URL('https://en.wikipedia.org/w/api.php');
+  url.searchParams.set('action', 'query');
+  url.searchParams.set('list', 'search');
+  url.searchParams.set('srsearch', topic);
+  url.searchParams.set('format', 'json');
+  url.searchParams.set('origin', '*');
+
+  const res = await fetchWithRetry(url, { headers: WIKI_HEADERS });
+  if (!res.ok) throw new Error(`Wikipedia search failed (${res.status})`);
+  const data = await res.json();
+  const first = data?.query?.search?.[0];
+  if (!first?.title) throw new Error('Wikipedia search returned no results');
+  return first.title;
+}
+
+async function wikiSummary(title) {
+  const url = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(title)}`;
+  const res = await fetchWithRetry(url, { headers: WIKI_HEADERS });
+  if (!res.ok) throw new Error(`Wikipedia summary failed (${res.status})`);
+  return await res.json();
+}
+
+async function wikiExtractPlain(title) {
+  const url = new URL('https://en.wikipedia.org/w/api.php');
+  url.searchParams.set('action', 'query');
+  url.searchParams.set('prop', 'extracts');
+  url.searchParams.set('explaintext', '1');
+  url.searchParams.set('exsectionformat', 'wiki');
+  url.searchParams.set('titles', title);
+  url.searchParams.set('format', 'json');
+  url.searchParams.set('origin', '*');
+
+  const res = await fetchWithRetry(url, { headers: WIKI_HEADERS });
+  if (!res.ok) throw new Error(`Wikipedia extract failed (${res.status})`);
+  const data = await res.json();
+  const pages = data?.query?.pages || {};
+  const page = Object.values(pages)[0];
+  const extract = page?.extract;
+  if (!extract) throw new Error('Wikipedia extract returned empty content');
+  return extract;
+}
+
+function splitWikiSections(text) {
+  // Expects `exsectionformat=wiki` extracts: "== Heading ==" starts a section; deeper
+  // headings ("=== Sub ===") stay inside their parent section as paragraph breaks.
+  return groupSections(String(text).split('\n'), (line) => {
+    const m = line.match(/^(={2,6})\s*(.+?)\s*\1\s*$/);
+    return m ? { level: m[1].length - 1, title: m[2] } : null;
+  });
+}
+
+export const wikipediaSource = {
+  type: 'wikipedia',
+
+  async load({ topic }) {
+    const title = await wikiSearch(topic);
+    const summary = await wikiSummary(title);
+    const extractText = await wikiExtractPlain(title);
+
+    return {
+      title,
+      summary: summary?.extract || '',
+      url: summary?.content_urls?.desktop?.page || `https://en.wikipedia.org/wiki/${encodeURIComponent(title)}`,
+      image: summary?.thumbnail?.source
+        ? {
+            url: summary.thumbnail.source,
+            width: summary.thumbnail.width,
+            height: summary.thumbnail.height,
+            alt: summary.description || title,
+          }
+        : null,
+      sections: splitWikiSections(extractText),
+    };
+  },
+};
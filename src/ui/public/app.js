@@ -3,6 +3,9 @@ const $ = (id) => document.getElementById(id);
 const state = {
   organizations: [],
   draft: null,
+  // History record of the current draft (see /api/history).
+  draftId: null,
+  pendingPublish: null,
   published: null,
 };
 
@@ -10,23 +13,83 @@ function pretty(obj) {
   return JSON.stringify(obj, null, 2);
 }
 
+// Shows a draft and, above it, what generation could not do as asked (a failed LLM reply, a quiz
+// with fewer than 5 questions).
+function showDraft(draft) {
+  const notes = (draft?.generation?.fallbacks || []).map((f) => `${f.item}: ${f.reason}`);
+  $('draftNotes').textContent = notes.join('\n');
+  $('draftNotes').hidden = !notes.length;
+  $('draftOutput').textContent = pretty(draft);
+}
+
 async function api(path, { method = 'GET', body } = {}) {
+  // FormData bodies (file uploads) let the browser set the multipart boundary.
+  const isForm = body instanceof FormData;
   const res = await fetch(path, {
     method,
-    headers: body ? { 'Content-Type': 'application/json' } : undefined,
-    body: body ? JSON.stringify(body) : undefined,
+    headers: body && !isForm ? { 'Content-Type': 'application/json' } : undefined,
+    body: body && !isForm ? JSON.stringify(body) : body,
   });
   const text = await res.text();
   const data = text ? JSON.parse(text) : null;
-  if (!res.ok) {
-    const msg = data?.error || data?.message || `Request failed (${res.status})`;
-    const details = data?.details ? `\n\nDetails:\n${JSON.stringify(data.details, null, 2)}` : '';
-    const reqInfo = data?.request ? `\n\nRequest:\n${JSON.stringify(data.request, null, 2)}` : '';
-    throw new Error(`${msg}${reqInfo}${details}`);
-  }
+  if (!res.ok) throw new Error(errorText(data, res.status));
   return data;
 }
 
+// Same shape for API error responses and failed jobs.
+function errorText(data, status) {
+  const msg = data?.error || data?.message || `Request failed (${status})`;
+  const details = data?.details ? `\n\nDetails:\n${JSON.stringify(data.details, null, 2)}` : '';
+  const reqInfo = data?.request ? `\n\nRequest:\n${JSON.stringify(data.request, null, 2)}` : '';
+  const run = data?.publishRun
+    ? `\n\nPublish run ${data.publishRun.runId} stopped after ${data.publishRun.completedSteps} steps; publish again to resume it.`
+    : '';
+  return `${msg}${run}${reqInfo}${details}`;
+}
+
+// Starts a background job and follows its progress stream in the `${prefix}Job` panel until it
+// finishes. Resolves with the job's result; rejects if it failed or was cancelled.
+async function runJob(path, body, prefix) {
+  const { jobId } = await api(path, { method: 'POST', body: { ...body, background: true } });
+  const panel = $(`${prefix}Job`);
+  const bar = $(`${prefix}Progress`);
+  const label = $(`${prefix}ProgressText`);
+  const cancel = $(`${prefix}Cancel`);
+  panel.hidden = false;
+  cancel.disabled = false;
+  bar.removeAttribute('value');
+  label.textContent = 'Starting...';
+  cancel.onclick = async () => {
+    cancel.disabled = true;
+    await api(`/api/jobs/${jobId}/cancel`, { method: 'POST' }).catch(() => {});
+  };
+
+  await new Promise((resolve) => {
+    const events = new EventSource(`/api/jobs/${jobId}/events`);
+    events.addEventListener('progress', (e) => {
+      const { done, total, message } = JSON.parse(e.data);
+      if (total) {
+        bar.max = total;
+        bar.value = done;
+      }
+      label.textContent = total ? `${message} (${done}/${total})` : message;
+    });
+    const stop = () => {
+      events.close();
+      resolve();
+    };
+    events.addEventListener('finished', stop);
+    // The stream drops if the server restarts; the job status below says what happened.
+    events.onerror = stop;
+  });
+
+  const job = await api(`/api/jobs/${jobId}`);
+  cancel.disabled = true;
+  if (job.status === 'succeeded') return job.result;
+  if (job.status === 'running' || job.status === 'queued') throw new Error(`Lost the progress stream for job ${jobId}.`);
+  throw new Error(errorText(job.error, job.error?.status));
+}
+
 function setOrgs(orgs) {
   state.organizations = orgs;
   const select = $('orgSelect');
@@ -110,7 +173,8 @@ $('login').addEventListener('click', async () => {
       body: { email, password, organizationId },
     });
     $('authStatus').textContent = pretty(data);
-    await refreshMe();
+    await syncSourceFields();
+refreshMe();
   } catch (e) {
     $('authStatus').textContent = String(e.message || e);
   }
@@ -125,63 +189,246 @@ $('logout').addEventListener('click', async () => {
   }
 });
 
+function syncSourceFields() {
+  const type = $('sourceType').value;
+  for (const el of document.querySelectorAll('[data-source]')) {
+    el.hidden = el.dataset.source !== type;
+  }
+}
+
+$('sourceType').addEventListener('change', syncSourceFields);
+
+async function readSource() {
+  const type = $('sourceType').value;
+  if (type === 'wikipedia') return { type, topic: $('topic').value.trim() };
+  if (type === 'localDirectory') return { type, path: $('sourcePath').value.trim() };
+  if (type === 'html') {
+    const file = $('sourceHtmlFile').files?.[0];
+    if (!file) throw new Error('Choose an HTML file first.');
+    return { type, html: await file.text(), fileName: file.name };
+  }
+  if (type === 'document') {
+    const file = $('sourceDocumentFile').files?.[0];
+    if (!file) throw new Error('Choose a PDF or DOCX file first.');
+    return { type, file };
+  }
+  const title = $('sourceTitle').value.trim();
+  const source = { type, text: $('sourceText').value };
+  if (title) source.title = title;
+  return source;
+}
+
+function toFormData({ source, ...fields }) {
+  const form = new FormData();
+  form.append('file', source.file, source.file.name);
+  for (const [key, value] of Object.entries(fields)) {
+    for (const v of Array.isArray(value) ? value : [value]) form.append(key, String(v));
+  }
+  return form;
+}
+
 $('generate').addEventListener('click', async () => {
-  $('draftOutput').textContent = 'Generating draft (Wikipedia)...';
+  const sourceLabel = $('sourceType').selectedOptions[0]?.textContent || 'source';
+  $('draftOutput').textContent = `Generating draft (${sourceLabel})...`;
   try {
-    const topic = $('topic').value.trim();
+    const source = await readSource();
     const lessonsCount = Number($('lessonsCount').value || 0);
     const quizzesCount = Number($('quizzesCount').value || 0);
     const usersCount = Number($('usersCount').value || 0);
     const userEmailBase = $('userEmailBase').value.trim();
     const userEmailDomain = $('userEmailDomain').value.trim();
     const userEmailStartIndex = Number($('userEmailStartIndex').value || 1);
-    const body = { topic, lessonsCount, quizzesCount, usersCount, userEmailStartIndex };
+    const seed = $('generateSeed').value.trim();
+    const generator = $('generator').value;
+    const questionTypes = [...document.querySelectorAll('input[name="questionType"]:checked')].map((el) => el.value);
+    if (!questionTypes.length) throw new Error('Pick at least one question type.');
+    const body = { source, questionTypes, lessonsCount, quizzesCount, usersCount, userEmailStartIndex };
+    if (source.type === 'wikipedia') body.topic = source.topic;
+    if (generator) body.generator = generator;
     if (userEmailBase) body.userEmailBase = userEmailBase;
     if (userEmailDomain) body.userEmailDomain = userEmailDomain;
-    const draft = await api('/api/generate', {
-      method: 'POST',
-      body,
-    });
+    if (seed) body.seed = seed;
+    const draft =
+      source.type === 'document'
+        ? await api('/api/generate/upload', { method: 'POST', body: toFormData(body) })
+        : await api('/api/generate', { method: 'POST', body });
     state.draft = draft;
-    $('draftOutput').textContent = pretty(draft);
+    state.draftId = (await api('/api/history/drafts', { method: 'POST', body: { draft } })).id;
+    // A plan made for the previous draft no longer applies.
+    state.pendingPublish = null;
+    $('confirmPublish').hidden = true;
+    $('publishMode').value = 'create';
+    showDraft(draft);
+  } catch (e) {
+    $('draftNotes').hidden = true;
+    $('draftOutput').textContent = String(e.message || e);
+  }
+});
+
+// Drafts can be edited (or pasted) as JSON; edits are validated by the server before use.
+$('editDraft').addEventListener('click', () => {
+  $('draftEditor').value = state.draft ? pretty(state.draft) : '';
+  $('draftEditor').hidden = false;
+  $('applyDraft').hidden = false;
+});
+
+$('applyDraft').addEventListener('click', async () => {
+  try {
+    let draft;
+    try {
+      draft = JSON.parse($('draftEditor').value);
+    } catch (e) {
+      throw new Error(`Draft is not valid JSON: ${e.message}`);
+    }
+    const result = await api('/api/drafts/validate', { method: 'POST', body: { draft } });
+    state.draft = result.draft;
+    state.draftId = (await api('/api/history/drafts', { method: 'POST', body: { id: state.draftId, draft } })).id;
+    state.pendingPublish = null;
+    $('confirmPublish').hidden = true;
+    showDraft(result.draft);
+    $('draftEditor').hidden = true;
+    $('applyDraft').hidden = true;
   } catch (e) {
     $('draftOutput').textContent = String(e.message || e);
   }
 });
 
+function publishRequestBody() {
+  if (!state.draft) throw new Error('Generate a draft first.');
+  return {
+    draft: state.draft,
+    draftId: state.draftId || undefined,
+    courseId: $('createCourse').value === 'true' ? null : $('courseId').value.trim() || null,
+    createCourse: $('createCourse').value === 'true',
+    courseTitle: $('courseTitle').value.trim() || undefined,
+    learningPlanId: $('createLearningPlan').value === 'true' ? null : $('learningPlanId').value.trim() || null,
+    createLearningPlan: $('createLearningPlan').value === 'true',
+    learningItemState: $('learningItemState').value,
+    autoPublishCourse: $('autoPublishCourse').value === 'true',
+    autoPublishLearningItems: $('autoPublishLearningItems').value === 'true',
+    reuseExistingUsers: $('reuseExistingUsers').value === 'true',
+    enableEthosGeneratedGroup: $('enableEthosGeneratedGroup').value === 'true',
+    ethosGeneratedAttributeName: $('ethosGeneratedAttributeName').value.trim() || 'EthosGenerated',
+    ethosGeneratedGroupName: $('ethosGeneratedGroupName').value.trim() || 'Ethos Generated Learners',
+    mode: $('publishMode').value,
+  };
+}
+
+function publishRunNote(run) {
+  if (!run || run.status === 'new') return [];
+  if (run.status === 'completed') {
+    return [`This draft was already published (run ${run.runId}); confirming returns that result without writing.`];
+  }
+  return [`Run ${run.runId} is ${run.status} after ${run.completedSteps} steps; confirming resumes it and skips those steps.`];
+}
+
+function formatPlan(plan) {
+  const { counts, creates, reuses } = plan;
+  const lines = [
+    `Dry run: ${counts.requests} write requests (${counts.POST} POST, ${counts.PATCH} PATCH). Nothing has been written yet.`,
+    `Creates ${creates.lessons} lessons, ${creates.quizzes} quizzes, ${creates.cards} cards and ${creates.users} users; reuses ${reuses.users} existing users.`,
+    ...(plan.updates?.lessons || plan.updates?.quizzes
+      ? [`Updates ${plan.updates.lessons} lessons and ${plan.updates.quizzes} quizzes in place.`]
+      : []),
+    ...publishRunNote(plan.publishRun),
+    '',
+    ...plan.steps.map((s) => `${String(s.order).padStart(3)}. ${s.method.padEnd(5)} ${s.path}  ${s.description}`),
+    '',
+    'Tenant:',
+    pretty(plan.tenant),
+  ];
+  return lines.join('\n');
+}
+
+// Publishing is two steps: a dry run shows the plan, then "Confirm" sends the same request for real.
 $('publish').addEventListener('click', async () => {
+  $('publishOutput').textContent = 'Planning publish (dry run)...';
+  $('confirmPublish').hidden = true;
+  state.pendingPublish = null;
+  try {
+    const body = publishRequestBody();
+    const plan = await api('/api/ethos/publish', { method: 'POST', body: { ...body, dryRun: true } });
+    state.pendingPublish = body;
+    $('publishOutput').textContent = formatPlan(plan);
+    $('confirmPublish').hidden = false;
+  } catch (e) {
+    $('publishOutput').textContent = String(e.message || e);
+  }
+});
+
+$('confirmPublish').addEventListener('click', async () => {
+  if (!state.pendingPublish) return;
+  const body = state.pendingPublish;
+  state.pendingPublish = null;
+  $('confirmPublish').hidden = true;
   $('publishOutput').textContent = 'Publishing...';
   try {
-    if (!state.draft) throw new Error('Generate a draft first.');
-    const courseId = $('courseId').value.trim() || null;
-    const learningItemState = $('learningItemState').value;
-    const autoPublishCourse = $('autoPublishCourse').value === 'true';
-    const autoPublishLearningItems = $('autoPublishLearningItems').value === 'true';
-    const reuseExistingUsers = $('reuseExistingUsers').value === 'true';
-    const enableEthosGeneratedGroup = $('enableEthosGeneratedGroup').value === 'true';
-    const ethosGeneratedAttributeName = $('ethosGeneratedAttributeName').value.trim() || 'EthosGenerated';
-    const ethosGeneratedGroupName = $('ethosGeneratedGroupName').value.trim() || 'Ethos Generated Learners';
-    const created = await api('/api/ethos/publish', {
-      method: 'POST',
-      body: {
-        draft: state.draft,
-        courseId,
-        learningItemState,
-        autoPublishCourse,
-        autoPublishLearningItems,
-        reuseExistingUsers,
-        enableEthosGeneratedGroup,
-        ethosGeneratedAttributeName,
-        ethosGeneratedGroupName,
-      },
-    });
+    const created = await runJob('/api/ethos/publish', body, 'publish');
     state.published = created;
     $('publishOutput').textContent = pretty(created);
+    // The returned draft carries the Ethos IDs, so the next publish of it edits those items in place.
+    if (created.draft) {
+      state.draft = created.draft;
+      showDraft(created.draft);
+      $('publishMode').value = 'update';
+    }
   } catch (e) {
     $('publishOutput').textContent = String(e.message || e);
   }
 });
 
+function teardownRequestBody() {
+  if (!state.published) throw new Error('Publish a draft first.');
+  const runId = state.published.publishRun?.runId;
+  return {
+    ...(runId ? { runId } : { published: state.published }),
+    includeReusedUsers: $('teardownReusedUsers').value === 'true',
+    ethosGeneratedAttributeName: $('ethosGeneratedAttributeName').value.trim() || 'EthosGenerated',
+    ethosGeneratedGroupName: $('ethosGeneratedGroupName').value.trim() || 'Ethos Generated Learners',
+  };
+}
+
+function formatTeardown(result) {
+  const { summary } = result;
+  const head = summary.dryRun
+    ? `Dry run: ${summary.planned} changes planned, ${summary.skipped} skipped, ${summary.failed} failed. Nothing has been changed yet.`
+    : `Teardown: ${summary.done} done, ${summary.skipped} skipped, ${summary.failed} failed.`;
+  const rows = result.report.map(
+    (r) => `${r.status.padEnd(8)} ${r.action.padEnd(20)} ${r.label}${r.reason ? ` (${r.reason})` : ''}${r.error ? ` — ${r.error}` : ''}`,
+  );
+  return [head, '', ...rows].join('\n');
+}
+
+$('teardown').addEventListener('click', async () => {
+  $('teardownOutput').textContent = 'Planning teardown (dry run)...';
+  $('confirmTeardown').hidden = true;
+  try {
+    const body = teardownRequestBody();
+    const result = await api('/api/ethos/teardown', { method: 'POST', body: { ...body, dryRun: true } });
+    $('teardownOutput').textContent = formatTeardown(result);
+    $('confirmTeardown').hidden = result.summary.planned === 0;
+  } catch (e) {
+    $('teardownOutput').textContent = String(e.message || e);
+  }
+});
+
+$('confirmTeardown').addEventListener('click', async () => {
+  $('confirmTeardown').hidden = true;
+  $('teardownOutput').textContent = 'Tearing down...';
+  try {
+    const result = await api('/api/ethos/teardown', { method: 'POST', body: { ...teardownRequestBody(), dryRun: false } });
+    $('teardownOutput').textContent = formatTeardown(result);
+  } catch (e) {
+    $('teardownOutput').textContent = String(e.message || e);
+  }
+});
+
+// Weekday-heavy activity in working hours over the chosen number of past days.
+function timelineOption() {
+  const windowDays = Number($('timelineDays').value || 0);
+  return windowDays > 0 ? { windowDays } : undefined;
+}
+
 $('simulate').addEventListener('click', async () => {
   $('simulateOutput').textContent = 'Simulating...';
   try {
@@ -194,10 +441,14 @@ $('simulate').addEventListener('click', async () => {
       method: 'POST',
       body: {
         draft: state.draft,
+        draftId: state.draftId || undefined,
         lessonCompletionRate,
         quizParticipationRate,
         quizScoreMean,
         quizScoreStd,
+        cohort: $('simulateCohort').value || undefined,
+        timeline: timelineOption(),
+        seed: $('simulateSeed').value.trim() || undefined,
       },
     });
     $('simulateOutput').textContent = pretty(results);
@@ -207,12 +458,8 @@ $('simulate').addEventListener('click', async () => {
 });
 
 $('simulateEthos').addEventListener('click', async () => {
-  const startedAt = Date.now();
-  $('simulateOutput').textContent = 'Simulating in Ethos...';
-  const ticker = setInterval(() => {
-    const sec = Math.floor((Date.now() - startedAt) / 1000);
-    $('simulateOutput').textContent = `Simulating in Ethos... (${sec}s elapsed)\n\n(If enrollments do not exist yet, this can take up to ~60s.)`;
-  }, 500);
+  $('simulateOutput').textContent =
+    'Simulating in Ethos...\n\n(If enrollments do not exist yet, waiting for them can take up to ~60s.)';
   try {
     if (!state.published) throw new Error('Publish to Ethos first.');
     const lessonCompletionRate = Number($('lessonCompletionRate').value);
@@ -220,24 +467,100 @@ $('simulateEthos').addEventListener('click', async () => {
     const quizScoreMean = Number($('quizScoreMean').value);
     const quizScoreStd = Number($('quizScoreStd').value);
     const debug = Boolean($('includeDebug')?.checked);
-    const results = await api('/api/ethos/simulate', {
-      method: 'POST',
-      body: {
-        published: state.published,
-        lessonCompletionRate,
-        quizParticipationRate,
-        quizScoreMean,
-        quizScoreStd,
-        debug,
-      },
-    });
-    clearInterval(ticker);
+    // Journaled runs are loaded on the server, which also links the simulation to the run.
+    const runId = state.published.publishRun?.runId;
+    const body = {
+      ...(runId ? { runId } : { published: state.published }),
+      lessonCompletionRate,
+      quizParticipationRate,
+      quizScoreMean,
+      quizScoreStd,
+      cohort: $('simulateCohort').value || undefined,
+      timeline: timelineOption(),
+      seed: $('simulateSeed').value.trim() || undefined,
+      debug,
+    };
+    const results = await runJob('/api/ethos/simulate', body, 'simulate');
     $('simulateOutput').textContent = pretty(results);
   } catch (e) {
-    clearInterval(ticker);
     $('simulateOutput').textContent = String(e.message || e);
   }
 });
 
+function historyOption(value, label) {
+  const opt = document.createElement('option');
+  opt.value = value;
+  opt.textContent = label;
+  return opt;
+}
+
+$('loadHistory').addEventListener('click', async () => {
+  $('historyOutput').textContent = 'Loading history...';
+  try {
+    const { drafts, publishRuns, simulations } = await api('/api/history');
+    const groups = [
+      ['Drafts', drafts, (d) => [`draft:${d.id}`, `${d.title}: ${d.summary.lessons} lessons`]],
+      ['Publish runs', publishRuns, (r) => [`run:${r.runId}`, `${r.meta?.topic || r.runId}: ${r.status}`]],
+      ['Simulations', simulations, (x) => [`sim:${x.id}`, x.title]],
+    ];
+    const select = $('historySelect');
+    select.innerHTML = '';
+    for (const [label, items, option] of groups) {
+      const group = document.createElement('optgroup');
+      group.label = `${label} (${items.length})`;
+      for (const item of items) {
+        const [value, text] = option(item);
+        group.appendChild(historyOption(value, `${text} (${item.updatedAt || item.createdAt})`));
+      }
+      select.appendChild(group);
+    }
+    $('historyOutput').textContent = pretty({
+      drafts: drafts.length,
+      publishRuns: publishRuns.length,
+      simulations: simulations.length,
+    });
+  } catch (e) {
+    $('historyOutput').textContent = String(e.message || e);
+  }
+});
+
+async function openDraft(id) {
+  const record = await api(`/api/history/drafts/${id}`);
+  state.draft = record.data.draft;
+  state.draftId = record.id;
+  state.pendingPublish = null;
+  $('confirmPublish').hidden = true;
+  // A draft that was published carries Ethos IDs, so publishing it again should update in place.
+  const published = [...state.draft.lessons, ...state.draft.quizzes].some((x) => x.ethos);
+  $('publishMode').value = published ? 'update' : 'create';
+  showDraft(state.draft);
+}
+
+// Opening a publish run makes it the target of "Simulate in Ethos" and "Preview teardown".
+$('openHistory').addEventListener('click', async () => {
+  const [type, id] = ($('historySelect').value || '').split(/:(.*)/s);
+  try {
+    if (type === 'draft') {
+      await openDraft(id);
+      $('historyOutput').textContent = `Opened draft ${id}.`;
+    } else if (type === 'run') {
+      const run = await api(`/api/ethos/publish/runs/${id}`);
+      state.published = { ...run.created, publishRun: { runId: run.runId, status: run.status } };
+      if (run.meta?.draftId) await openDraft(run.meta.draftId).catch(() => {});
+      $('publishOutput').textContent = pretty(run);
+      $('historyOutput').textContent = `Opened publish run ${id} (${run.status}). Simulate it or tear it down above.`;
+    } else if (type === 'sim') {
+      const record = await api(`/api/history/simulations/${id}`);
+      $('simulateOutput').textContent = pretty(record.data.results);
+      $('historyOutput').textContent = `Opened ${record.title}.`;
+    } else {
+      throw new Error('Load the history and pick an entry first.');
+    }
+  } catch (e) {
+    $('historyOutput').textContent = String(e.message || e);
+  }
+});
+
+syncSourceFields();
 refreshMe();
 
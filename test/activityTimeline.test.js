@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { planTimeline } from '../src/services/activityTimeline.js';
+import { createRandom } from '../src/services/random.js';
+
+const end = '2026-03-31T15:00:00Z';
+const windowStart = Date.parse('2026-03-01T00:00:00Z');
+const windowEnd = Date.parse('2026-03-31T00:00:00Z');
+
+// Users who complete every lesson and take every quiz.
+const keen = (count, pacing) =>
+  Array.from({ length: count }, () => ({
+    ...(pacing && { pacing }),
+    lessonResults: [
+      { lessonName: 'L1', completed: true },
+      { lessonName: 'L2', completed: true },
+    ],
+    quizResults: [{ quizName: 'Q1', took: true, percentCorrect: 80 }],
+  }));
+const lessons = [{ cards: [{}, {}, {}] }, { cards: [{}, {}, {}, {}, {}] }];
+const quizzes = [{ questions: [{}, {}, {}, {}] }];
+
+describe('planTimeline', () => {
+  test('plans each user in course order, within the window and working hours', () => {
+    const { summary, activity } = planTimeline(keen(50), {
+      lessons,
+      quizzes,
+      timeline: { end },
+      random: createRandom(1),
+    });
+
+    assert.deepEqual(summary, {
+      windowDays: 30,
+      from: '2026-03-01T00:00:00.000Z',
+      to: '2026-03-31T00:00:00.000Z',
+      activities: 150,
+      weekendActivities: summary.weekendActivities,
+    });
+    for (const items of activity) {
+      assert.deepEqual(
+        items.map((a) => `${a.type}${a.index}`),
+        ['lesson0', 'lesson1', 'quiz0'],
+      );
+      let previousEnd = 0;
+      for (const a of items) {
+        const [started, completed] = [Date.parse(a.startedAt), Date.parse(a.completedAt)];
+        assert.ok(started >= windowStart && started < windowEnd, a.startedAt);
+        assert.ok(started >= previousEnd, 'items do not overlap');
+        assert.ok(completed > started);
+        previousEnd = completed;
+      }
+      // The first item of a day starts in working hours; later ones may follow on from it.
+      const hour = new Date(items[0].startedAt).getUTCHours();
+      assert.ok(hour >= 9 && hour < 17, items[0].startedAt);
+    }
+  });
+
+  test('leans on weekdays', () => {
+    const { summary } = planTimeline(keen(100), { timeline: { end }, random: createRandom(2) });
+    // March 2026 has 8 weekend days out of 30; at a weight of 0.2 far fewer than 8/30 of items land on one.
+    assert.ok(summary.weekendActivities / summary.activities < 0.15, JSON.stringify(summary));
+    const none = planTimeline(keen(100), { timeline: { end, weekendWeight: 0 }, random: createRandom(2) });
+    assert.equal(none.summary.weekendActivities, 0);
+  });
+
+  test('sizes items by cards, questions and pace', () => {
+    const { activity } = planTimeline(keen(20, { secondsPerQuestion: [30, 30], spread: 'even' }), {
+      lessons,
+      quizzes,
+      timeline: { end },
+      random: createRandom(3),
+    });
+    for (const [lesson, , quiz] of activity) {
+      const minutes = (Date.parse(lesson.completedAt) - Date.parse(lesson.startedAt)) / 60_000;
+      assert.ok(minutes >= 3 && minutes <= 6, `three cards took ${minutes} minutes`);
+      assert.equal(Date.parse(quiz.completedAt) - Date.parse(quiz.startedAt), 4 * 30 * 1000);
+    }
+  });
+
+  test('puts early and late learners at either end of the window', () => {
+    const mean = (spread) => {
+      const { activity } = planTimeline(keen(100, { secondsPerQuestion: [10, 59], spread }), {
+        timeline: { end },
+        random: createRandom(4),
+      });
+      const starts = activity.flat().map((a) => Date.parse(a.startedAt));
+      return starts.reduce((a, b) => a + b, 0) / starts.length;
+    };
+    assert.ok(mean('early') < mean('even'));
+    assert.ok(mean('even') < mean('late'));
+  });
+
+  test('never plans anything after the end of the window', () => {
+    // A one-day window with hours of reading: back to back, the items would run into the next day.
+    const busy = [
+      {
+        lessonResults: Array.from({ length: 20 }, (_, i) => ({ lessonName: `L${i}`, completed: true })),
+        quizResults: [{ quizName: 'Q1', took: true, percentCorrect: 80 }],
+      },
+    ];
+    const long = Array.from({ length: 20 }, () => ({ cards: Array(30).fill({}) }));
+    for (let seed = 0; seed < 20; seed++) {
+      const { summary, activity } = planTimeline(busy, {
+        lessons: long,
+        quizzes,
+        timeline: { end, windowDays: 1 },
+        random: createRandom(seed),
+      });
+      let previousEnd = 0;
+      for (const a of activity[0]) {
+        assert.ok(Date.parse(a.startedAt) >= previousEnd, 'items do not overlap');
+        assert.ok(a.completedAt <= summary.to, `${a.type}${a.index} ends ${a.completedAt}`);
+        previousEnd = Date.parse(a.completedAt);
+      }
+    }
+  });
+
+  test('keeps every timestamp in working hours inside the window', () => {
+    const many = (count, spread) =>
+      Array.from({ length: count }, () => ({
+        pacing: { secondsPerQuestion: [20, 60], spread },
+        lessonResults: Array.from({ length: 12 }, (_, i) => ({ lessonName: `L${i}`, completed: true })),
+        quizResults: [{ quizName: 'Q1', took: true, percentCorrect: 80 }],
+      }));
+    const long = Array.from({ length: 12 }, () => ({ cards: Array(20).fill({}) }));
+    const cases = [
+      { users: keen(50), timeline: { end } },
+      // More reading than fits in the window's working hours: the pull-back runs out of room.
+      { users: many(5, 'late'), timeline: { end, windowDays: 1 } },
+      { users: many(20, 'early'), timeline: { end, windowDays: 3, workingHours: [13, 15] } },
+      { users: many(20, 'even'), timeline: { end, windowDays: 5, workingHours: [0, 24] } },
+    ];
+    for (const [c, { users, timeline }] of cases.entries()) {
+      for (let seed = 0; seed < 5; seed++) {
+        const { summary, activity } = planTimeline(users, {
+          lessons: long,
+          quizzes,
+          timeline,
+          random: createRandom(seed),
+        });
+        const [fromHour, toHour] = timeline.workingHours || [9, 17];
+        for (const items of activity) {
+          let previous = 0;
+          for (const a of items) {
+            for (const at of [a.startedAt, a.completedAt]) {
+              const ms = Date.parse(at);
+              const hours = (ms % 86_400_000) / 3_600_000;
+              assert.ok(at >= summary.from && at <= summary.to, `case ${c}: ${at} is outside the window`);
+              assert.ok(hours >= fromHour && hours <= toHour, `case ${c}: ${at} is outside working hours`);
+              assert.ok(ms >= previous, `case ${c}: items do not overlap`);
+              previous = ms;
+            }
+          }
+        }
+      }
+    }
+  });
+
+  test('plans nothing for users who did nothing', () => {
+    const idle = [{ lessonResults: [{ lessonName: 'L1', completed: false }], quizResults: [] }];
+    const { summary, activity } = planTimeline(idle, { timeline: { end }, random: createRandom(5) });
+    assert.deepEqual(activity, [[]]);
+    assert.equal(summary.activities, 0);
+  });
+});
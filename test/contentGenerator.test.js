@@ -0,0 +1,294 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { generateDraft, simulateOutcomes } from '../src/services/contentGenerator.js';
+import { parseDraft } from '../src/services/draftSchema.js';
+import { stubWikipedia } from './helpers/wikipedia.js';
+
+describe('generateDraft from Wikipedia', () => {
+  test('builds lessons in article order and quizzes scoped to them', async (t) => {
+    const { requests } = stubWikipedia(t, 'photosynthesis');
+    const draft = await generateDraft({ topic: 'photosynthesis', lessonsCount: 3, quizzesCount: 2, usersCount: 2 });
+
+    assert.equal(requests.length, 3);
+    assert.equal(requests[0].searchParams.get('srsearch'), 'photosynthesis');
+    assert.equal(draft.resolvedTitle, 'Photosynthesis');
+    assert.equal(draft.sources[0].url, 'https://en.wikipedia.org/wiki/Photosynthesis');
+    assert.deepEqual(draft.generation, {
+      backend: 'heuristic',
+      model: null,
+      seed: draft.generation.seed,
+      fallbacks: [],
+    });
+    assert.ok(Number.isInteger(draft.generation.seed), 'an unseeded draft records the seed it got');
+
+    assert.equal(draft.lessons.length, 3);
+    assert.deepEqual(
+      draft.lessons.map((l) => l.name),
+      [
+        'Photosynthesis — Lesson 1: Overview & History',
+        'Photosynthesis — Lesson 2: Light-dependent reactions & Calvin cycle',
+        'Photosynthesis — Lesson 3: C4 and CAM plants',
+      ],
+    );
+    const overview = draft.lessons[0].cards[0];
+    assert.equal(overview.layout, 'overview');
+    assert.match(overview.image.url, /Leaf_1_web\.jpg$/);
+    assert.ok(draft.lessons.slice(1).every((l) => l.cards.every((c) => !c.image)));
+    assert.ok(draft.lessons.every((l) => l.cards.length >= 5));
+
+    assert.deepEqual(
+      draft.quizzes.map((q) => q.assessesLessons.map((a) => a.lessonIndex)),
+      [[0], [1, 2]],
+    );
+    const sentences = draft.quizzes.flatMap((q) => q.questions.map((x) => x.sourceSentence));
+    assert.equal(new Set(sentences).size, sentences.length, 'quizzes do not repeat questions');
+    for (const q of draft.quizzes.flatMap((quiz) => quiz.questions)) {
+      if (!q.lessonRef) continue;
+      const { lessonIndex, cardIndex, cardTitle } = q.lessonRef;
+      if (cardIndex !== null) assert.equal(draft.lessons[lessonIndex].cards[cardIndex].title, cardTitle);
+    }
+
+    // The draft round-trips through the schema the publish endpoint validates against.
+    assert.doesNotThrow(() => parseDraft(draft));
+  });
+
+  test('names users from the email template', async (t) => {
+    stubWikipedia(t, 'photosynthesis');
+    const draft = await generateDraft({
+      topic: 'photosynthesis',
+      usersCount: 3,
+      userEmailBase: 'qa',
+      userEmailDomain: 'example.com',
+      userEmailStartIndex: 7,
+    });
+
+    assert.deepEqual(
+      draft.users.map((u) => u.email),
+      ['qa+user7@example.com', 'qa+user8@example.com', 'qa+user9@example.com'],
+    );
+    assert.ok(draft.users.every((u) => u.roles.includes('ROLE_LEARNER') && u.shouldNotify === false));
+    assert.equal(draft.userEmailTemplate, 'qa+user{N}@example.com');
+  });
+
+  test('falls back to example.com addresses without a template', async (t) => {
+    stubWikipedia(t, 'photosynthesis');
+    const draft = await generateDraft({ topic: 'photosynthesis', usersCount: 1 });
+    assert.equal(draft.users[0].email, 'demo+photosynthesis-1@example.com');
+    assert.equal(draft.userEmailTemplate, null);
+  });
+
+  test('gives the same draft for the same seed', async (t) => {
+    stubWikipedia(t, 'photosynthesis');
+    const options = { topic: 'photosynthesis', lessonsCount: 2, quizzesCount: 2, usersCount: 1, seed: 'repeat-me' };
+    const first = await generateDraft(options);
+    const second = await generateDraft(options);
+
+    assert.equal(first.generation.seed, 'repeat-me');
+    assert.deepEqual(second, first);
+    const other = await generateDraft({ ...options, seed: 'something-else' });
+    assert.notDeepEqual(
+      other.quizzes.map((q) => q.questions.map((x) => x.options)),
+      first.quizzes.map((q) => q.questions.map((x) => x.options)),
+    );
+  });
+});
+
+describe('generateDraft from pasted text', () => {
+  // Every section repeats the same reminder, the way procedures often do, but not always spelled the same.
+  const repeated = 'Operators are required to record every reading in the maintenance log before the shift ends.';
+  const shouted = repeated.replace('maintenance log', 'Maintenance Log');
+  const text = [
+    '# Plant safety',
+    '## Inspection',
+    `A pressure inspection is a documented check used by technicians to verify that vessels are safe. ${repeated}`,
+    'The inspection checklist covers valves, gauges and seals, and technicians sign each page once it is complete.',
+    '## Lockout',
+    `Lockout is the practice of isolating energy sources before maintenance begins on any machine. ${shouted}`,
+    'Each technician fits a personal padlock to the isolation point and keeps the only key until the work is done.',
+    '## Escalation',
+    `An anomaly is a reading that falls outside the tolerance printed on the equipment data sheet. ${repeated}`,
+    'The safety officer reviews anomalies every week and escalates them to the plant manager within a day.',
+    '## Audits',
+    `A site audit is an annual review of safety records carried out by an external inspector.  ${shouted}`,
+    'Auditors sample the maintenance log at random and compare readings against the calibration records.',
+  ].join('\n\n');
+
+  test('keeps every question within the lessons its quiz assesses', async () => {
+    const draft = await generateDraft({
+      source: { type: 'text', text },
+      lessonsCount: 4,
+      quizzesCount: 2,
+      usersCount: 1,
+      seed: 7,
+    });
+
+    assert.equal(draft.lessons.length, 4);
+    assert.doesNotThrow(() => parseDraft(draft));
+    const asked = [];
+    for (const quiz of draft.quizzes) {
+      assert.ok(quiz.questions.length > 0);
+      const assessed = quiz.assessesLessons.map((l) => l.lessonIndex);
+      for (const q of quiz.questions) {
+        if (q.lessonRef) assert.ok(assessed.includes(q.lessonRef.lessonIndex), q.question);
+        if (q.sourceSentence) asked.push(q.sourceSentence.toLowerCase());
+      }
+    }
+    assert.equal(new Set(asked).size, asked.length);
+    assert.ok(asked.filter((s) => s === repeated.toLowerCase()).length <= 1);
+  });
+
+  test('notes a quiz that its lessons leave short of 5 questions', async () => {
+    const short = [
+      '# Valves',
+      '## Relief valves',
+      'A relief valve is a safety device that opens when the pressure in a vessel exceeds its set point.',
+      'Technicians test each relief valve every spring and tag it with the date of the test.',
+    ].join('\n\n');
+    const draft = await generateDraft({ source: { type: 'text', text: short }, usersCount: 0, seed: 3 });
+
+    const [quiz] = draft.quizzes;
+    assert.ok(quiz.questions.length > 0 && quiz.questions.length < 5);
+    assert.deepEqual(
+      draft.generation.fallbacks.map((f) => f.item),
+      [quiz.name],
+    );
+    assert.match(draft.generation.fallbacks[0].reason, new RegExp(`^Only ${quiz.questions.length} of 5 questions`));
+    assert.doesNotThrow(() => parseDraft(draft));
+  });
+});
+
+describe('simulateOutcomes', () => {
+  const users = [{ email: 'a@example.com' }, { email: 'b@example.com' }];
+  const lessons = [{ name: 'L1' }, { name: 'L2' }];
+  const quizzes = [{ name: 'Q1' }];
+
+  test('everyone completes and scores the mean when the spread is zero', () => {
+    const { summary, perUser } = simulateOutcomes({
+      users,
+      lessons,
+      quizzes,
+      lessonCompletionRate: 1,
+      quizParticipationRate: 1,
+      quizScoreMean: 0.85,
+      quizScoreStd: 0,
+    });
+
+    assert.deepEqual(summary, {
+      users: 2,
+      lessons: 2,
+      quizzes: 1,
+      lessonCompletionRate: 1,
+      quizParticipationRate: 1,
+    });
+    for (const u of perUser) {
+      assert.deepEqual(
+        u.lessonResults.map((r) => r.completed),
+        [true, true],
+      );
+      assert.deepEqual(u.quizResults, [{ quizName: 'Q1', took: true, percentCorrect: 85 }]);
+    }
+  });
+
+  test('nobody takes a quiz at zero participation', () => {
+    const { perUser } = simulateOutcomes({
+      users,
+      lessons,
+      quizzes,
+      lessonCompletionRate: 0,
+      quizParticipationRate: 0,
+    });
+    for (const u of perUser) {
+      assert.ok(u.lessonResults.every((r) => !r.completed));
+      assert.deepEqual(u.quizResults, [{ quizName: 'Q1', took: false, percentCorrect: null }]);
+    }
+  });
+
+  test('keeps scores between 0 and 100', () => {
+    const many = Array.from({ length: 200 }, (_, i) => ({ email: `u${i}@example.com` }));
+    const { perUser } = simulateOutcomes({
+      users: many,
+      lessons: [],
+      quizzes,
+      quizParticipationRate: 1,
+      quizScoreMean: 0.9,
+      quizScoreStd: 1,
+    });
+    const scores = perUser.map((u) => u.quizResults[0].percentCorrect);
+    assert.ok(scores.every((s) => Number.isInteger(s) && s >= 0 && s <= 100));
+    assert.ok(scores.includes(100), 'a wide spread hits the ceiling');
+  });
+
+  test('draws each user from their persona and reports by persona', () => {
+    const many = Array.from({ length: 40 }, (_, i) => ({ email: `u${i}@example.com` }));
+    const { summary, perUser } = simulateOutcomes({
+      users: many,
+      lessons,
+      quizzes,
+      cohort: {
+        shares: { keen: 3, absent: 1 },
+        personas: {
+          keen: { lessonCompletionRate: 1, quizParticipationRate: 1, quizScoreMean: 0.9, quizScoreStd: 0 },
+          absent: { label: 'Absent', lessonCompletionRate: 0, quizParticipationRate: 0 },
+        },
+      },
+      seed: 1,
+    });
+
+    assert.deepEqual(summary, {
+      users: 40,
+      lessons: 2,
+      quizzes: 1,
+      cohort: 'custom',
+      byPersona: {
+        keen: { label: 'keen', users: 30, lessonCompletion: 1, quizParticipation: 1, averageScore: 90 },
+        absent: { label: 'Absent', users: 10, lessonCompletion: 0, quizParticipation: 0, averageScore: null },
+      },
+    });
+    for (const u of perUser.filter((x) => x.persona === 'absent')) {
+      assert.ok(u.quizResults.every((q) => !q.took));
+    }
+    assert.deepEqual(perUser[0].pacing, { secondsPerQuestion: [10, 59], spread: 'even' });
+  });
+
+  test('spreads a named cohort across the built-in personas', () => {
+    const many = Array.from({ length: 20 }, (_, i) => ({ email: `u${i}@example.com` }));
+    const { summary } = simulateOutcomes({ users: many, lessons, quizzes, cohort: 'typical', seed: 2 });
+    const perPersona = Object.fromEntries(Object.entries(summary.byPersona).map(([name, p]) => [name, p.users]));
+    assert.deepEqual(perPersona, { highPerformer: 4, steady: 9, struggler: 3, disengaged: 2, crammer: 2 });
+  });
+
+  test('adds a backdated activity plan without changing the outcomes', () => {
+    const options = { users, lessons, quizzes, lessonCompletionRate: 1, quizParticipationRate: 1, seed: 9 };
+    const plain = simulateOutcomes(options);
+    const { summary, perUser } = simulateOutcomes({
+      ...options,
+      timeline: { windowDays: 7, end: '2026-05-08T12:00:00Z' },
+    });
+
+    assert.deepEqual(summary.timeline, {
+      windowDays: 7,
+      from: '2026-05-01T00:00:00.000Z',
+      to: '2026-05-08T00:00:00.000Z',
+      activities: 6,
+      weekendActivities: summary.timeline.weekendActivities,
+    });
+    for (const [i, u] of perUser.entries()) {
+      assert.deepEqual(u.quizResults, plain.perUser[i].quizResults);
+      assert.deepEqual(
+        u.activity.map((a) => a.name),
+        ['L1', 'L2', 'Q1'],
+      );
+    }
+  });
+
+  test('repeats a run for the same seed and echoes it', () => {
+    const options = { users, lessons, quizzes, lessonCompletionRate: 0.5, quizParticipationRate: 0.5, seed: 42 };
+    const first = simulateOutcomes(options);
+
+    assert.equal(first.seed, 42);
+    assert.deepEqual(simulateOutcomes(options), first);
+    assert.deepEqual(simulateOutcomes({ ...options, seed: '42' }).perUser, first.perUser);
+    assert.ok(Number.isInteger(simulateOutcomes({ users, lessons, quizzes }).seed));
+  });
+});
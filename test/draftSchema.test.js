@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { DRAFT_SCHEMA_VERSION, DraftValidationError, parseDraft } from '../src/services/draftSchema.js';
+
+// A draft as the first release wrote it: no schemaVersion, card layouts or question types, and
+// `sourceSentence: null` on the fallback recall questions.
+const v1Draft = {
+  topic: 'photosynthesis',
+  resolvedTitle: 'Photosynthesis',
+  sources: [{ title: 'Photosynthesis', url: 'https://en.wikipedia.org/wiki/Photosynthesis', summary: '' }],
+  lessons: [
+    {
+      name: 'Photosynthesis — Lesson',
+      description: 'Photosynthesis is a process used by plants.',
+      cards: [
+        { title: 'Photosynthesis — Lesson', body: 'Photosynthesis is a process used by plants.' },
+        { title: 'Photosynthesis — Lesson — Key concepts', body: 'Most plants perform photosynthesis.' },
+        { title: 'Photosynthesis — Lesson — Key takeaways', body: '- Plants use light.\n- Oxygen is released.' },
+      ],
+      sources: [{ title: 'Photosynthesis', url: 'https://en.wikipedia.org/wiki/Photosynthesis' }],
+    },
+  ],
+  quizzes: [
+    {
+      name: 'Photosynthesis — Quiz',
+      description: 'Quiz on Photosynthesis.',
+      questions: [
+        {
+          question: 'In the context of Photosynthesis, what best describes "Photosynthesis"?',
+          options: ['a process used by plants', 'a kind of rock', 'a unit of length', 'a river in Spain'],
+          correctIndex: 0,
+          explanation: 'Photosynthesis is a process used by plants.',
+          sourceSentence: 'Photosynthesis is a process used by plants.',
+        },
+        {
+          question: 'Which statement is most accurate about Photosynthesis?',
+          options: [
+            'It relates to Photosynthesis and its key ideas.',
+            'It is unrelated to Photosynthesis.',
+            'It is always the same as any other topic.',
+            'It can never be defined or described.',
+          ],
+          correctIndex: 0,
+          explanation: 'Generated fallback question for demo purposes.',
+          sourceSentence: null,
+        },
+      ],
+      sources: [{ title: 'Photosynthesis', url: 'https://en.wikipedia.org/wiki/Photosynthesis' }],
+    },
+  ],
+  users: [
+    {
+      firstName: 'Alex',
+      lastName: 'Nguyen',
+      email: 'demo+photosynthesis-1@example.com',
+      shouldNotify: false,
+      roles: ['ROLE_LEARNER'],
+    },
+  ],
+  userEmailTemplate: null,
+};
+
+describe('parseDraft', () => {
+  test('migrates a v1 draft with null source sentences', () => {
+    const { draft, fromVersion } = parseDraft(v1Draft);
+
+    assert.equal(fromVersion, 1);
+    assert.equal(draft.schemaVersion, DRAFT_SCHEMA_VERSION);
+    assert.deepEqual(
+      draft.lessons[0].cards.map((c) => c.layout),
+      ['overview', 'text', 'bullets'],
+    );
+    assert.deepEqual(
+      draft.quizzes[0].questions.map((q) => q.type),
+      ['selectOne', 'selectOne'],
+    );
+    assert.equal(draft.quizzes[0].questions[1].sourceSentence, null);
+  });
+
+  test('rejects unknown keys instead of dropping them', () => {
+    const misspelled = { ...v1Draft, quizes: v1Draft.quizzes };
+    assert.throws(() => parseDraft(misspelled), (e) => {
+      assert.ok(e instanceof DraftValidationError);
+      assert.deepEqual(e.issues, [{ path: '(root)', message: 'Unrecognized key: "quizes"' }]);
+      return true;
+    });
+
+    const [lesson] = v1Draft.lessons;
+    const nested = { ...v1Draft, lessons: [{ ...lesson, cards: [{ ...lesson.cards[0], boby: 'Typo' }] }] };
+    assert.throws(() => parseDraft(nested), { message: /lessons\[0\]\.cards\[0\]: Unrecognized key: "boby"/ });
+  });
+});
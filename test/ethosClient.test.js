@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { EthosAuthService } from '../src/services/ethosAuthService.js';
+import { EthosClient } from '../src/services/ethosClient.js';
+import { loginToMock, startMockEthos } from './helpers/mockEthos.js';
+
+describe('EthosClient retries against the mock Ethos API', () => {
+  let mock;
+  let credentials;
+
+  before(async () => {
+    mock = await startMockEthos();
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    await mock.reset();
+    credentials = await loginToMock(mock.baseUrl);
+  });
+
+  // The client's waits are recorded instead of slept through.
+  const clientWithRetry = (t, retry) => {
+    const client = new EthosClient({ ...credentials, retry });
+    const delays = [];
+    t.mock.method(client, 'sleep', async (ms) => {
+      delays.push(ms);
+    });
+    return { client, delays };
+  };
+
+  test('backs off exponentially on 429 and 503', async (t) => {
+    const { client, delays } = clientWithRetry(t, { retries: 3, baseDelayMs: 100, maxDelayMs: 10_000 });
+    await mock.fault({ method: 'GET', path: '/v1/courses', status: 429, times: 1 });
+    await mock.fault({ method: 'GET', path: '/v1/courses', status: 503, times: 2 });
+
+    await client.get('/v1/courses');
+    assert.equal(delays.length, 3);
+    // Each wait is between half and all of base * 2^attempt.
+    for (const [attempt, delay] of delays.entries()) {
+      const ceiling = 100 * 2 ** attempt;
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt} waited ${delay}ms`);
+    }
+  });
+
+  test('waits as long as Retry-After asks, up to maxDelayMs', async (t) => {
+    const { client, delays } = clientWithRetry(t, { retries: 2, baseDelayMs: 1, maxDelayMs: 5_000 });
+    await mock.fault({ method: 'GET', path: '/v1/courses', status: 429, times: 1, retryAfter: 2 });
+    await mock.fault({ method: 'GET', path: '/v1/courses', status: 503, times: 1, retryAfter: 3600 });
+
+    await client.get('/v1/courses');
+    assert.deepEqual(delays, [2_000, 5_000]);
+  });
+
+  test('does not retry a POST without an idempotency key', async (t) => {
+    const { client, delays } = clientWithRetry(t, { retries: 3, baseDelayMs: 1 });
+    await mock.fault({ method: 'POST', path: '/v1/courses', status: 503, times: 1 });
+
+    await assert.rejects(client.post('/v1/courses', { title: 'Once' }), { status: 503, attempts: 1 });
+    assert.deepEqual(delays, []);
+    assert.equal((await mock.state()).courses.length, 0);
+
+    await mock.fault({ method: 'POST', path: '/v1/courses', status: 503, times: 1 });
+    await client.post('/v1/courses', { title: 'Keyed' }, { idempotencyKey: 'course:1' });
+    assert.equal(delays.length, 1);
+    assert.deepEqual(
+      (await mock.state()).courses.map((c) => c.title),
+      ['Keyed'],
+    );
+  });
+
+  test('gives up after the last retry', async (t) => {
+    const { client, delays } = clientWithRetry(t, { retries: 2, baseDelayMs: 1 });
+    await mock.fault({ method: 'GET', path: '/v1/courses', status: 503, times: 5 });
+
+    await assert.rejects(client.get('/v1/courses'), { name: 'EthosApiError', status: 503, attempts: 3 });
+    assert.equal(delays.length, 2);
+    assert.equal((await mock.state()).faults[0].times, 2, 'no request is sent after the last retry');
+  });
+
+  test('does not retry errors that will not clear up', async (t) => {
+    const { client, delays } = clientWithRetry(t, { retries: 3, baseDelayMs: 1 });
+    await assert.rejects(client.get('/v1/courses/00000000-0000-0000-0000-000000000000'), { status: 404, attempts: 1 });
+    assert.deepEqual(delays, []);
+  });
+});
+
+describe('EthosClient token refresh against the mock Ethos API', () => {
+  let mock;
+  let credentials;
+
+  // Tokens last a second, well inside the client's refresh margin.
+  before(async () => {
+    mock = await startMockEthos({ tokenTtlSec: 1 });
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    await mock.reset();
+    credentials = await loginToMock(mock.baseUrl);
+  });
+
+  const refresher = (t) => {
+    const auth = new EthosAuthService({ baseUrl: mock.baseUrl, stubAuth: true });
+    return t.mock.fn(async () => Object.assign(credentials, await auth.refresh(credentials)));
+  };
+
+  test('refreshes a token that is about to expire before sending the request', async (t) => {
+    const refreshCredentials = refresher(t);
+    const client = new EthosClient({ ...credentials, retry: { retries: 0 }, refreshCredentials });
+    const before = credentials.apiKey;
+
+    await client.get('/v1/courses');
+    assert.equal(refreshCredentials.mock.callCount(), 1);
+    assert.notEqual(credentials.apiKey, before);
+    assert.equal(client.client.defaults.headers.Authorization, `Bearer ${credentials.apiKey}`);
+  });
+
+  test('refreshes once on a 401 and sends the request again', async (t) => {
+    const refreshCredentials = refresher(t);
+    // Without an expiry the client can't see it coming, so the first request gets the 401.
+    const client = new EthosClient({ ...credentials, expiresIn: null, retry: { retries: 0 }, refreshCredentials });
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+
+    const course = await client.post('/v1/courses', { title: 'After refresh' });
+    assert.equal(course.title, 'After refresh');
+    assert.equal(refreshCredentials.mock.callCount(), 1);
+    assert.equal((await mock.state()).courses.length, 1);
+  });
+
+  test('fails with 401 when the refreshed token is refused too', async (t) => {
+    const refreshCredentials = t.mock.fn(async () => ({ apiKey: 'revoked', contextToken: credentials.contextToken }));
+    const client = new EthosClient({ ...credentials, expiresIn: null, retry: { retries: 0 }, refreshCredentials });
+    client.setCredentials({ apiKey: 'stale', contextToken: credentials.contextToken });
+
+    await assert.rejects(client.get('/v1/courses'), { status: 401 });
+    assert.equal(refreshCredentials.mock.callCount(), 1);
+  });
+
+  test('shares one refresh between concurrent requests', async (t) => {
+    const refreshCredentials = refresher(t);
+    const client = new EthosClient({ ...credentials, retry: { retries: 0 }, refreshCredentials });
+
+    const pending = [client.get('/v1/courses'), client.get('/v1/courses'), client.get('/v1/users')];
+    assert.ok(client._refreshing, 'the first request starts a refresh the others wait on');
+    await Promise.all(pending);
+    assert.equal(refreshCredentials.mock.callCount(), 1);
+    assert.equal(client._refreshing, null);
+  });
+
+  test('reports a refresh that fails as an expired session', async (t) => {
+    const refreshCredentials = t.mock.fn(async () => {
+      throw new Error('Refresh Token has been revoked');
+    });
+    const client = new EthosClient({ ...credentials, retry: { retries: 0 }, refreshCredentials });
+
+    await assert.rejects(Promise.all([client.get('/v1/courses'), client.get('/v1/courses')]), {
+      status: 401,
+      message: 'Ethos session expired and could not be refreshed: Refresh Token has been revoked',
+    });
+    assert.equal(refreshCredentials.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,298 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { withEthosIds } from '../src/services/draftSchema.js';
+import { EthosClient } from '../src/services/ethosClient.js';
+import { EthosContentService } from '../src/services/ethosContentService.js';
+import { PublishJournal } from '../src/services/publishJournal.js';
+import { loginToMock, mockClient, startMockEthos } from './helpers/mockEthos.js';
+
+const card = (title) => ({ title, body: `${title} body.` });
+const question = (text) => ({
+  type: 'selectOne',
+  question: text,
+  options: ['Right', 'Wrong', 'Also wrong', 'Still wrong'],
+  correctIndex: 0,
+});
+
+const draft = {
+  lessons: [{ name: 'Lesson 1', description: 'First lesson.', cards: [card('Intro'), card('Details')] }],
+  quizzes: [{ name: 'Quiz 1', description: 'First quiz.', questions: [question('Q1?'), question('Q2?')] }],
+  users: [
+    { firstName: 'Alex', lastName: 'Lee', email: 'alex@example.com', roles: ['ROLE_LEARNER'] },
+    { firstName: 'Sam', lastName: 'Patel', email: 'sam@example.com', roles: ['ROLE_LEARNER'] },
+  ],
+};
+
+describe('EthosContentService against the mock Ethos API', () => {
+  let mock;
+  let service;
+
+  before(async () => {
+    mock = await startMockEthos();
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    await mock.reset();
+    const credentials = await loginToMock(mock.baseUrl);
+    service = new EthosContentService({ credentials, client: mockClient(credentials) });
+  });
+
+  describe('publishDraft', () => {
+    test('creates the content, users and enrollment group', async () => {
+      const progress = [];
+      const created = await service.publishDraft({
+        draft,
+        newCourse: { title: 'Mock course' },
+        autoPublishLearningItems: true,
+        autoPublishCourse: true,
+        onProgress: (p) => progress.push(p),
+      });
+
+      assert.equal(created.course.title, 'Mock course');
+      assert.equal(created.lessons.length, 1);
+      assert.equal(created.quizzes.length, 1);
+      assert.deepEqual(
+        created.users.map((u) => u.email),
+        ['alex@example.com', 'sam@example.com'],
+      );
+      assert.ok(created.users.every((u) => !u._reused));
+      assert.equal(created.enrollmentAutomation.userAttributes.usersTagged, 2);
+      assert.equal(created.coursePublished.ok, true);
+      assert.deepEqual(
+        progress.map((p) => p.done),
+        progress.map((_, i) => i + 1),
+      );
+      assert.equal(progress.at(-1).done, progress.at(-1).total);
+
+      const state = await mock.state();
+      assert.equal(state.cards.length, 4);
+      assert.ok(state.learning_items.every((i) => i.state === 'published'));
+      assert.ok(state.learning_items.every((i) => i.learningGroupIds.includes(state.learning_groups[0].id)));
+      assert.equal(state.user_attributes.length, 2);
+    });
+
+    test('reuses users that already exist', async () => {
+      await service.publishDraft({ draft });
+      const second = await service.publishDraft({ draft });
+
+      assert.ok(second.users.every((u) => u._reused));
+      assert.equal((await mock.state()).users.length, 2);
+    });
+
+    test('reuses a user whose lookup failed when creating them reports a duplicate', async () => {
+      await service.publishDraft({ draft: { ...draft, users: draft.users.slice(0, 1) } });
+      // The lookups before creating the user fail, so the POST hits "already exists" and is retried as a lookup.
+      await mock.fault({ method: 'GET', path: '/v1/users?', status: 500, times: 2 });
+      await mock.fault({ method: 'POST', path: '/v1/users/list', status: 500, times: 1 });
+
+      const created = await service.publishDraft({ draft: { ...draft, users: draft.users.slice(0, 1) } });
+      assert.equal(created.users[0]._reused, true);
+      assert.equal(created.users[0].email, 'alex@example.com');
+    });
+
+    test('renders the same card block IDs for a seeded draft', async () => {
+      const seeded = { ...draft, generation: { backend: 'heuristic', seed: 7 } };
+      await service.publishDraft({ draft: seeded, enableEthosGeneratedGroup: false });
+      await service.publishDraft({ draft: seeded, enableEthosGeneratedGroup: false });
+      await service.publishDraft({ draft, enableEthosGeneratedGroup: false });
+
+      const blockIds = (await mock.state()).cards.map((c) => c.json.contentBlocks.map((b) => b.id).join());
+      assert.equal(blockIds.length, 12);
+      assert.deepEqual(blockIds.slice(4, 8), blockIds.slice(0, 4));
+      assert.notDeepEqual(blockIds.slice(8), blockIds.slice(0, 4));
+      assert.equal(new Set(blockIds.slice(0, 4)).size, 4, 'each card gets IDs of its own');
+    });
+
+    test('retries journaled creates that were rate limited', async (t) => {
+      const dir = await mkdtemp(path.join(os.tmpdir(), 'ethos-journal-test-'));
+      t.after(() => rm(dir, { recursive: true, force: true }));
+      const journal = new PublishJournal({ dir });
+      const run = await journal.begin('run-retry-test');
+      const credentials = await loginToMock(mock.baseUrl);
+      // The Retry-After is longer than the max delay, so the client waits the max delay instead.
+      const client = new EthosClient({ ...credentials, retry: { retries: 1, baseDelayMs: 1, maxDelayMs: 5 } });
+      await mock.fault({ method: 'POST', path: '/v1/learning_items', status: 429, times: 1, retryAfter: 60 });
+      await mock.fault({ method: 'POST', path: '/v1/users', status: 503, times: 1 });
+
+      const created = await new EthosContentService({ credentials, client }).publishDraft({ draft, journal: run });
+      journal.release(run);
+
+      assert.equal(created.lessons.length, 1);
+      assert.equal(created.users.length, 2);
+      const state = await mock.state();
+      assert.equal(state.learning_items.length, 2);
+      assert.equal(state.users.length, 2);
+    });
+
+    test('updates the published items in place and deactivates cards deleted from the draft', async () => {
+      const first = await service.publishDraft({ draft, autoPublishLearningItems: true });
+      const published = withEthosIds(draft, first);
+      const [lesson] = published.lessons;
+      const removedId = lesson.cards[0].ethos.cardId;
+      const edited = {
+        ...published,
+        lessons: [{ ...lesson, cards: [lesson.cards[1], card('Summary')] }],
+      };
+
+      const plan = await service.planPublish({ draft: edited, mode: 'update', autoPublishLearningItems: true });
+      assert.ok(plan.steps.some((s) => s.method === 'PATCH' && s.path === `/v1/cards/${removedId}`));
+      assert.ok(plan.steps.every((s) => s.method !== 'DELETE'));
+
+      const second = await service.publishDraft({ draft: edited, mode: 'update', autoPublishLearningItems: true });
+      const { update } = second.lessons[0];
+      assert.deepEqual(update.deactivatedCards, [removedId]);
+      assert.equal(update.createdCards, 1);
+      assert.equal(update.republished, true);
+      assert.deepEqual(second.quizzes[0].update.deactivatedCards, []);
+      const state = await mock.state();
+      const lessonCards = state.cards.filter((c) => c.learningItemId === lesson.ethos.learningItemId);
+      assert.equal(lessonCards.length, 3, 'nothing is deleted');
+      assert.equal(lessonCards.find((c) => c.id === removedId).state, 'inactive');
+      assert.deepEqual(
+        lessonCards
+          .filter((c) => c.state !== 'inactive')
+          .map((c) => [c.title, Number(c.sequenceOrder)])
+          .sort((a, b) => a[1] - b[1]),
+        [
+          ['Details', 1],
+          ['Summary', 2],
+        ],
+      );
+      assert.ok(state.learning_items.every((i) => i.state === 'published'));
+
+      // The draft annotated from the update no longer lists the removed card, so it is not deactivated again.
+      assert.deepEqual(
+        withEthosIds(edited, second).lessons[0].ethos.cardIds,
+        second.lessons[0].cards.map((c) => c.id),
+      );
+      assert.ok(!second.lessons[0].cards.some((c) => c.id === removedId));
+    });
+
+    test('reports an item it could not publish again instead of failing the update', async (t) => {
+      const published = withEthosIds(draft, await service.publishDraft({ draft, autoPublishLearningItems: true }));
+      const [lesson] = published.lessons;
+      const edited = { ...published, lessons: [{ ...lesson, cards: [...lesson.cards, card('Summary')] }] };
+      t.mock.method(service, 'publishLearningItem', async () => {
+        throw Object.assign(new Error('Publishing is locked'), { status: 423 });
+      });
+      const progress = [];
+
+      const second = await service.publishDraft({
+        draft: edited,
+        mode: 'update',
+        autoPublishLearningItems: true,
+        onProgress: (p) => progress.push(p.message),
+      });
+      const { update } = second.lessons[0];
+      assert.equal(update.movedToDraft, true);
+      assert.equal(update.republished, false);
+      assert.equal(update.republishError.error, 'Publishing is locked');
+      assert.ok(progress.some((m) => /Updated lesson 1\/1, but publishing it again failed/.test(m)));
+      assert.equal(second.quizzes.length, 1, 'the rest of the update still runs');
+      const item = (await mock.state()).learning_items.find((i) => i.id === lesson.ethos.learningItemId);
+      assert.equal(item.state, 'draft');
+    });
+
+    test('fails on a duplicate user when reuse is turned off', async () => {
+      await service.publishDraft({ draft });
+      await assert.rejects(service.publishDraft({ draft, reuseExistingUsers: false }), {
+        status: 422,
+        message: /already exists/,
+      });
+    });
+  });
+
+  describe('findUserByEmail', () => {
+    test('finds a user by email', async () => {
+      await service.publishDraft({ draft, enableEthosGeneratedGroup: false });
+      const user = await service.findUserByEmail('sam@example.com');
+      assert.equal(user.email, 'sam@example.com');
+    });
+
+    test('returns null for an unknown email', async () => {
+      assert.equal(await service.findUserByEmail('nobody@example.com'), null);
+    });
+
+    test('falls back to the email filter and then to the list endpoint', async () => {
+      await service.publishDraft({ draft, enableEthosGeneratedGroup: false });
+
+      await mock.fault({ method: 'GET', path: '/v1/users?itemsPerPage=5&matchEmail=', status: 400, times: 1 });
+      assert.equal((await service.findUserByEmail('sam@example.com')).email, 'sam@example.com');
+
+      await mock.fault({ method: 'GET', path: '/v1/users?', status: 500, times: 2 });
+      assert.equal((await service.findUserByEmail('sam@example.com')).email, 'sam@example.com');
+      assert.ok(
+        (await mock.state()).faults.every((f) => f.times === 0),
+        'both GET lookups were tried',
+      );
+    });
+
+    test('returns null when every lookup fails', async () => {
+      await mock.fault({ method: 'GET', path: '/v1/users?', status: 500, times: 2 });
+      await mock.fault({ method: 'POST', path: '/v1/users/list', status: 500, times: 1 });
+      assert.equal(await service.findUserByEmail('sam@example.com'), null);
+    });
+
+    test('reads v1 list responses', async () => {
+      const v1 = await startMockEthos({ listShape: 'v1' });
+      try {
+        const credentials = await loginToMock(v1.baseUrl);
+        const v1Service = new EthosContentService({ credentials, client: mockClient(credentials) });
+        await v1Service.publishDraft({ draft, enableEthosGeneratedGroup: false });
+        assert.equal((await v1Service.findUserByEmail('alex@example.com')).email, 'alex@example.com');
+      } finally {
+        await v1.close();
+      }
+    });
+  });
+
+  describe('ensureUserHasLearnerRole', () => {
+    const createUser = (roles) =>
+      service.client.post('/v1/users', { firstName: 'Pat', lastName: 'Kim', email: 'pat@example.com', roles });
+
+    test('leaves learners alone', async () => {
+      const user = await createUser(['ROLE_LEARNER']);
+      const result = await service.ensureUserHasLearnerRole({ userId: user.id });
+      assert.deepEqual(result, { ok: true, skipped: true, roles: ['ROLE_LEARNER'] });
+    });
+
+    test('adds the learner role and keeps existing roles', async () => {
+      const user = await createUser(['ROLE_MANAGER']);
+      const result = await service.ensureUserHasLearnerRole({ userId: user.id });
+
+      assert.equal(result.ok, true);
+      assert.deepEqual(result.roles, ['ROLE_MANAGER', 'ROLE_LEARNER']);
+      assert.deepEqual((await service.client.get(`/v1/users/${user.id}`)).roles, ['ROLE_MANAGER', 'ROLE_LEARNER']);
+    });
+
+    test('tries the next role name when the tenant rejects one', async () => {
+      const user = await createUser([]);
+      await mock.fault({ method: 'PATCH', path: `/v1/users/${user.id}`, status: 422, times: 1 });
+
+      const result = await service.ensureUserHasLearnerRole({ userId: user.id });
+      assert.equal(result.ok, true);
+      assert.deepEqual(result.roles, ['AUTHORIZED_ROLE_LEARNER']);
+    });
+
+    test('reports failure when every role name is rejected', async () => {
+      const user = await createUser([]);
+      await mock.fault({ method: 'PATCH', path: `/v1/users/${user.id}`, status: 422, times: 4 });
+
+      const result = await service.ensureUserHasLearnerRole({ userId: user.id });
+      assert.equal(result.ok, false);
+      assert.ok(result.error);
+    });
+
+    test('skips users without an ID', async () => {
+      assert.deepEqual(await service.ensureUserHasLearnerRole({ userId: null }), {
+        ok: false,
+        skipped: true,
+        reason: 'missing_user_id',
+      });
+    });
+  });
+});
@@ -0,0 +1,260 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { EthosContentService } from '../src/services/ethosContentService.js';
+import { EthosSimulationService } from '../src/services/ethosSimulationService.js';
+import { loginToMock, mockClient, startMockEthos } from './helpers/mockEthos.js';
+
+const draft = {
+  lessons: [{ name: 'Lesson 1', description: 'First lesson.', cards: [{ title: 'Intro', body: 'Intro body.' }] }],
+  quizzes: [
+    {
+      name: 'Quiz 1',
+      description: 'First quiz.',
+      questions: [
+        { type: 'selectOne', question: 'Q1?', options: ['Right', 'Wrong', 'No', 'Nope'], correctIndex: 0 },
+        { type: 'trueFalse', question: 'Q2?', options: ['True', 'False'], correctIndex: 1 },
+      ],
+    },
+  ],
+  users: [
+    { firstName: 'Alex', lastName: 'Lee', email: 'alex@example.com', roles: ['ROLE_LEARNER'] },
+    { firstName: 'Sam', lastName: 'Patel', email: 'sam@example.com', roles: ['ROLE_LEARNER'] },
+  ],
+};
+
+// Publishes the draft into a new course and returns what the simulation needs.
+async function publish(credentials) {
+  const content = new EthosContentService({ credentials, client: mockClient(credentials) });
+  const published = await content.publishDraft({
+    draft,
+    newCourse: { title: 'Simulated course' },
+    autoPublishLearningItems: true,
+  });
+  const learningItemIds = [...published.lessons, ...published.quizzes].map((x) => x.learningItem.id);
+  const userIds = published.users.map((u) => u.id);
+  return { published, learningItemIds, userIds, courseId: published.course.id };
+}
+
+describe('EthosSimulationService against the mock Ethos API', () => {
+  let mock;
+  let credentials;
+
+  before(async () => {
+    mock = await startMockEthos();
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    await mock.reset();
+    credentials = await loginToMock(mock.baseUrl);
+  });
+
+  const simulation = (client = mockClient(credentials)) => new EthosSimulationService({ credentials, client });
+
+  describe('listEnrollmentsBestEffort', () => {
+    test('maps enrollments through the course enrollments', async () => {
+      const { learningItemIds, userIds, courseId } = await publish(credentials);
+      const { enrollments, strategy } = await simulation().listEnrollmentsBestEffort({
+        learningItemIds,
+        userIds,
+        courseId,
+      });
+
+      assert.equal(strategy, 'via_course_enrollments');
+      assert.equal(enrollments.length, 4);
+      for (const e of enrollments) {
+        assert.ok(userIds.includes(e.userId));
+        assert.ok(learningItemIds.includes(e.learningItemId));
+      }
+    });
+
+    test('filters the unfiltered enrollment list locally when enrollments cannot be read one by one', async () => {
+      const { learningItemIds, userIds, courseId } = await publish(credentials);
+      await mock.fault({ method: 'GET', path: '/v1/learning_item_enrollments/', status: 500, times: 4 });
+
+      const { enrollments, strategy } = await simulation().listEnrollmentsBestEffort({
+        learningItemIds,
+        userIds,
+        courseId,
+      });
+      assert.equal(strategy, 'paged_unfiltered_local_filter');
+      assert.equal(enrollments.length, 4);
+    });
+
+    test('uses the bulk filters when course enrollments cannot be listed', async () => {
+      const { learningItemIds, userIds, courseId } = await publish(credentials);
+      await mock.fault({ method: 'GET', path: '/v1/course_enrollments', status: 500, times: 4 });
+
+      const { enrollments, strategy } = await simulation().listEnrollmentsBestEffort({
+        learningItemIds,
+        userIds,
+        courseId,
+      });
+      assert.equal(strategy, 'bulk_filters');
+      assert.equal(enrollments.length, 4);
+    });
+
+    test('queries each learning item when the bulk filters return nothing', async () => {
+      const { learningItemIds, userIds } = await publish(credentials);
+      // Some tenants answer the repeated `learningItemId[]` filter with an empty list.
+      const client = mockClient(credentials);
+      const get = client.get.bind(client);
+      client.get = async (path, options) =>
+        String(options?.params || '').includes('learningItemId%5B%5D') ? { 'hydra:member': [] } : get(path, options);
+
+      const { enrollments, strategy } = await simulation(client).listEnrollmentsBestEffort({
+        learningItemIds,
+        userIds,
+      });
+      assert.equal(strategy, 'per_learning_item');
+      assert.equal(enrollments.length, 4);
+    });
+  });
+
+  test('waitForEnrollments accepts pending course invitations', async () => {
+    const invitationMock = await startMockEthos({ invitations: true });
+    try {
+      const invitationCredentials = await loginToMock(invitationMock.baseUrl);
+      const { learningItemIds, userIds, courseId } = await publish(invitationCredentials);
+      const sim = new EthosSimulationService({
+        credentials: invitationCredentials,
+        client: mockClient(invitationCredentials),
+      });
+
+      const enrollments = await sim.waitForEnrollments({
+        learningItemIds,
+        userIds,
+        courseId,
+        timeoutMs: 5_000,
+        pollMs: 20,
+      });
+      assert.equal(enrollments.length, 4);
+      assert.ok((await invitationMock.state()).invitations.every((inv) => inv.acceptedAt));
+    } finally {
+      await invitationMock.close();
+    }
+  });
+
+  describe('runSimulation', () => {
+    test('completes lessons and answers quizzes at the target score', async () => {
+      const { published } = await publish(credentials);
+      const progress = [];
+
+      const results = await simulation().runSimulation(
+        {
+          published,
+          lessonCompletionRate: 1,
+          quizParticipationRate: 1,
+          quizScoreMean: 0.5,
+          quizScoreStd: 0,
+          seed: 'sim',
+        },
+        { onProgress: (p) => progress.push(p) },
+      );
+
+      assert.equal(results.seed, 'sim');
+      assert.equal(results.enrollmentWait.foundEnrollments, 4);
+      assert.equal(results.perUserResults.length, 2);
+      for (const user of results.perUserResults) {
+        assert.deepEqual(user.enrollmentMisses, []);
+        assert.ok(user.completedLessons.every((r) => r.ok));
+        assert.equal(user.completedQuizzes[0].meta.desiredCorrect, 1);
+        assert.equal(user.completedQuizzes[0].finalEnrollment.percentCorrect, 50);
+      }
+      // One step for the enrollment wait, then a lesson and a quiz per user.
+      assert.deepEqual(
+        progress.map((p) => [p.done, p.total]),
+        [
+          [0, 5],
+          [1, 5],
+          [2, 5],
+          [3, 5],
+          [4, 5],
+          [5, 5],
+        ],
+      );
+
+      const state = await mock.state();
+      assert.ok(state.learning_item_enrollments.every((e) => e.completedAt));
+    });
+
+    test('plays each user as their persona', async () => {
+      const { published } = await publish(credentials);
+      const cohort = {
+        shares: { rushed: 1 },
+        personas: {
+          rushed: { lessonCompletionRate: 0, quizParticipationRate: 1, pacing: { secondsPerQuestion: [3, 4] } },
+        },
+      };
+
+      const results = await simulation().runSimulation({ published, quizScoreMean: 1, quizScoreStd: 0, cohort });
+      assert.equal(results.simulation.byPersona.rushed.users, 2);
+      for (const user of results.perUserResults) {
+        assert.equal(user.persona, 'rushed');
+        assert.deepEqual(user.completedLessons, []);
+        assert.equal(user.completedQuizzes[0].finalEnrollment.percentCorrect, 100);
+      }
+      const answered = (await mock.state()).card_enrollments.filter((ce) => ce.answer);
+      assert.equal(answered.length, 4);
+      assert.ok(answered.every((ce) => ce.elapsedSec >= 3 && ce.elapsedSec <= 4));
+    });
+
+    test('backdates the answers along the planned timeline', async () => {
+      const { published } = await publish(credentials);
+      const timeline = { windowDays: 10, end: '2026-06-11T08:00:00Z' };
+
+      const results = await simulation().runSimulation({
+        published,
+        lessonCompletionRate: 1,
+        quizParticipationRate: 1,
+        quizScoreMean: 1,
+        quizScoreStd: 0,
+        timeline,
+      });
+      assert.equal(results.simulation.timeline.activities, 4);
+      const windows = [];
+      for (const user of results.perUserResults) {
+        // The mock, like some tenants, does not let the enrollment itself be changed.
+        assert.equal(user.completedLessons[0].backdated.enrollment, false);
+        const planned = user.activity.find((a) => a.type === 'quiz');
+        const { backdated } = user.completedQuizzes[0];
+        assert.deepEqual(
+          { startedAt: backdated.startedAt, completedAt: backdated.completedAt },
+          { startedAt: planned.startedAt, completedAt: planned.completedAt },
+        );
+        assert.ok(planned.startedAt >= '2026-06-01' && planned.completedAt <= '2026-06-11', JSON.stringify(planned));
+        windows.push(planned);
+      }
+
+      // Each answer falls inside its user's planned quiz attempt.
+      const answered = (await mock.state()).card_enrollments.filter((ce) => ce.answer);
+      assert.equal(answered.length, 4);
+      for (const ce of answered) {
+        assert.ok(
+          windows.some((w) => ce.startedAt >= w.startedAt && ce.completedAt <= w.completedAt),
+          `${ce.startedAt} - ${ce.completedAt}`,
+        );
+        assert.equal(Date.parse(ce.completedAt) - Date.parse(ce.startedAt), ce.elapsedSec * 1000);
+        // ...and so in working hours: 09:00 to 17:00 UTC by default.
+        for (const at of [ce.startedAt, ce.completedAt]) {
+          assert.ok(at.slice(11, 19) >= '09:00:00' && at.slice(11, 19) <= '17:00:00', at);
+        }
+      }
+    });
+
+    test('stops when the signal is aborted', async () => {
+      const { published } = await publish(credentials);
+      const controller = new AbortController();
+
+      await assert.rejects(
+        simulation().runSimulation(
+          { published, lessonCompletionRate: 1, quizParticipationRate: 1, quizScoreMean: 0.5, quizScoreStd: 0 },
+          { onProgress: (p) => p.done === 1 && controller.abort(), signal: controller.signal },
+        ),
+        { name: 'AbortError' },
+      );
+      const completed = (await mock.state()).learning_item_enrollments.filter((e) => e.completedAt);
+      assert.equal(completed.length, 0);
+    });
+  });
+});
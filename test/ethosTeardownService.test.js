@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { EthosContentService } from '../src/services/ethosContentService.js';
+import { EthosTeardownService } from '../src/services/ethosTeardownService.js';
+import { loginToMock, mockClient, startMockEthos } from './helpers/mockEthos.js';
+
+const draft = {
+  lessons: [{ name: 'Lesson 1', description: 'First lesson.', cards: [{ title: 'Intro', body: 'Intro body.' }] }],
+  quizzes: [],
+  users: [{ firstName: 'Alex', lastName: 'Lee', email: 'alex@example.com', roles: ['ROLE_LEARNER'] }],
+};
+
+describe('EthosTeardownService against the mock Ethos API', () => {
+  let mock;
+  let content;
+  let teardown;
+
+  before(async () => {
+    mock = await startMockEthos();
+  });
+  after(() => mock.close());
+  beforeEach(async () => {
+    await mock.reset();
+    const credentials = await loginToMock(mock.baseUrl);
+    const client = mockClient(credentials);
+    content = new EthosContentService({ credentials, client });
+    teardown = new EthosTeardownService({ credentials, client });
+  });
+
+  const options = { attributeName: 'EthosGenerated', groupName: 'Ethos Generated Learners' };
+  const byKind = (report, kind) => report.filter((r) => r.entity === kind);
+
+  test('deactivates the course and learning plan the run created', async () => {
+    const published = await content.publishDraft({
+      draft,
+      newCourse: { title: 'Teardown course' },
+      newLearningPlan: { name: 'Teardown plan' },
+    });
+
+    const plan = await teardown.teardown(published, options);
+    assert.deepEqual(
+      [...byKind(plan.report, 'learningPlan'), ...byKind(plan.report, 'course')].map((r) => [r.action, r.status]),
+      [
+        ['deactivate', 'planned'],
+        ['deactivate', 'planned'],
+      ],
+    );
+
+    const { summary } = await teardown.teardown(published, { ...options, dryRun: false });
+    assert.equal(summary.failed, 0);
+    const state = await mock.state();
+    assert.equal(state.courses[0].state, 'inactive');
+    assert.equal(state.learning_plans[0].state, 'inactive');
+    assert.ok(state.learning_items.every((i) => i.state === 'inactive'));
+  });
+
+  test('takes the course out of an existing learning plan without deactivating either', async () => {
+    const existing = await content.createCourse({ title: 'Existing course' });
+    const { learningPlan } = await content.createLearningPlan({ name: 'Existing plan', courseId: existing.id });
+    const published = await content.publishDraft({ draft, courseId: existing.id, learningPlanId: learningPlan.id });
+    const second = await content.createCourse({ title: 'Second course' });
+    const withSecond = await content.publishDraft({
+      draft: { ...draft, users: [] },
+      courseId: second.id,
+      learningPlanId: learningPlan.id,
+    });
+
+    const { report, summary } = await teardown.teardown(withSecond, { ...options, dryRun: false });
+    assert.equal(summary.failed, 0);
+    assert.deepEqual(
+      byKind(report, 'learningPlan').map((r) => [r.action, r.status, r.remainingCourses]),
+      [['detachCourse', 'done', 1]],
+    );
+    assert.equal(byKind(report, 'course').length, 0);
+    const [plan] = (await mock.state()).learning_plans;
+    assert.equal(plan.state, 'draft');
+    assert.deepEqual(
+      plan.courses.map((c) => c.split('/').pop()),
+      [existing.id],
+    );
+    // The first publish only reused the plan's own course, so there is nothing to take out.
+    assert.equal(published.learningPlan.attached, false);
+    const again = await teardown.teardown(published, options);
+    assert.deepEqual(byKind(again.report, 'learningPlan'), []);
+  });
+});
@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+import { createMockEthosApp } from '../../src/dev/mockEthosServer.js';
+import { EthosAuthService } from '../../src/services/ethosAuthService.js';
+import { EthosClient } from '../../src/services/ethosClient.js';
+
+// Starts the mock Ethos API on a free port. Enrollment and grading happen right away unless the
+// options say otherwise.
+export async function startMockEthos(options = {}) {
+  const app = createMockEthosApp({ enrollmentDelayMs: 0, gradingDelayMs: 0, ...options });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    baseUrl,
+    state: async () => (await axios.get(`${baseUrl}/mock/state`)).data,
+    reset: () => axios.post(`${baseUrl}/mock/reset`),
+    // `{ method, path, status, times, retryAfter }`: see /mock/faults.
+    fault: (fault) => axios.post(`${baseUrl}/mock/faults`, fault),
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+// Logs in through the stubbed auth flow, the same way the server and CLI do.
+export async function loginToMock(baseUrl, email = 'tester@example.com') {
+  const authService = new EthosAuthService({ baseUrl, stubAuth: true });
+  const [organization] = await authService.getOrganizations(email);
+  const credentials = await authService.authenticate({ email, password: 'x', organizationId: organization.id });
+  return { ...credentials, email };
+}
+
+// Failures come back at once instead of after the production backoff.
+export function mockClient(credentials) {
+  return new EthosClient({ ...credentials, retry: { retries: 0 } });
+}
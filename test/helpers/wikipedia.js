@@ -0,0 +1,29 @@
+import { readFileSync } from 'node:fs';
+
+// Recorded Wikipedia API responses live in test/fixtures/wikipedia/<name>.json as
+// `{ search, summary, extract }`, one per request wikipediaSource makes.
+export function loadWikipediaFixture(name) {
+  return JSON.parse(readFileSync(new URL(`../fixtures/wikipedia/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// Answers Wikipedia requests from a fixture for the rest of test `t`; any other request fails, so
+// tests never reach the network.
+export function stubWikipedia(t, name) {
+  const fixture = loadWikipediaFixture(name);
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (input) => {
+    const url = new URL(String(input));
+    requests.push(url);
+    const body =
+      url.searchParams.get('list') === 'search'
+        ? fixture.search
+        : url.pathname.startsWith('/api/rest_v1/page/summary/')
+          ? fixture.summary
+          : url.searchParams.get('prop') === 'extracts'
+            ? fixture.extract
+            : null;
+    if (!body) throw new Error(`Unexpected request in test: ${url}`);
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  });
+  return { fixture, requests };
+}
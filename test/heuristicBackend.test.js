@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { heuristicBackend } from '../src/services/generation/index.js';
+import { loadWikipediaFixture } from './helpers/wikipedia.js';
+
+const fixture = loadWikipediaFixture('photosynthesis');
+const article = Object.values(fixture.extract.query.pages)[0].extract;
+
+// The text of one "== Heading ==" section of the fixture article.
+function section(title) {
+  const start = article.indexOf(`== ${title} ==`);
+  const end = article.indexOf('\n== ', start + 1);
+  return article
+    .slice(start, end < 0 ? undefined : end)
+    .replace(/^== .+ ==\n/, '')
+    .trim();
+}
+
+describe('generateLessonCards', () => {
+  test('opens with an overview, covers the text and ends with takeaways', async () => {
+    const cards = await heuristicBackend.generateLessonCards({
+      title: 'Calvin cycle',
+      summary: 'The second stage of photosynthesis.',
+      extractText: section('Calvin cycle'),
+      minCards: 5,
+    });
+
+    assert.ok(cards.length >= 5);
+    assert.deepEqual(cards[0], {
+      title: 'Calvin cycle',
+      layout: 'overview',
+      body: 'The second stage of photosynthesis.',
+    });
+    assert.ok(cards.some((c) => c.layout === 'text' && c.body.includes('ribulose bisphosphate')));
+    const takeaways = cards.find((c) => c.title === 'Calvin cycle — Key takeaways');
+    assert.equal(takeaways.layout, 'bullets');
+    assert.match(takeaways.body, /^- The Calvin cycle is the second stage/);
+  });
+
+  test('bolds the subjects of definitional sentences', async () => {
+    const cards = await heuristicBackend.generateLessonCards({
+      title: 'Light',
+      extractText: section('Light-dependent reactions'),
+    });
+    const body = cards.map((c) => c.body).join('\n');
+    assert.match(body, /\*\*Chlorophyll\*\* is the green pigment/);
+    assert.match(body, /\*\*Photosystem II\*\* is the protein complex/);
+  });
+
+  test('keeps numbered procedures as numbered cards', async () => {
+    const cards = await heuristicBackend.generateLessonCards({
+      title: 'Experiment',
+      extractText: '1. Place a leaf in the dark for a day.\n2. Cover half of it with foil.\n3. Expose it to light.',
+    });
+    assert.equal(cards[1].layout, 'numbered');
+    assert.match(cards[1].body, /^1\. Place a leaf/);
+  });
+
+  test('pads short texts to the minimum card count', async () => {
+    const cards = await heuristicBackend.generateLessonCards({ title: 'Tiny', extractText: 'One line.', minCards: 6 });
+    assert.equal(cards.length, 6);
+    assert.equal(cards.at(-1).layout, 'callout');
+  });
+});
+
+describe('generateQuizQuestions', () => {
+  const extractText = [section('Light-dependent reactions'), section('Calvin cycle')].join('\n\n');
+
+  test('builds the requested number of well-formed questions', async () => {
+    const questions = await heuristicBackend.generateQuizQuestions({ title: 'Photosynthesis', extractText });
+
+    assert.equal(questions.length, 5);
+    for (const q of questions) {
+      assert.ok(['selectOne', 'trueFalse'].includes(q.type), q.type);
+      assert.equal(new Set(q.options).size, q.options.length, 'options are distinct');
+      assert.ok(q.correctIndex >= 0 && q.correctIndex < q.options.length);
+      assert.ok(extractText.includes(q.sourceSentence), 'questions come from the source text');
+      if (q.type === 'trueFalse') assert.deepEqual(q.options, ['True', 'False']);
+      else assert.equal(q.options.length, 4);
+    }
+  });
+
+  test('definition questions have the predicate as the answer', async () => {
+    const questions = await heuristicBackend.generateQuizQuestions({ title: 'Photosynthesis', extractText });
+    const definitions = questions.filter((q) => q.strategy === 'definition');
+
+    assert.ok(definitions.length >= 3);
+    const chlorophyll = definitions.find((q) => q.question.includes('"Chlorophyll"'));
+    assert.equal(
+      chlorophyll.options[chlorophyll.correctIndex],
+      'the green pigment that absorbs mostly blue and red light and reflects green light',
+    );
+  });
+
+  test('only uses the allowed question types', async () => {
+    const trueFalse = await heuristicBackend.generateQuizQuestions({
+      title: 'Photosynthesis',
+      extractText,
+      questionTypes: ['trueFalse'],
+    });
+    assert.ok(trueFalse.length > 0);
+    assert.ok(trueFalse.every((q) => q.type === 'trueFalse'));
+
+    const selectMany = await heuristicBackend.generateQuizQuestions({
+      title: 'Photosynthesis',
+      extractText: article,
+      questionTypes: ['selectMany'],
+      minQuestions: 2,
+    });
+    assert.equal(selectMany.length, 2);
+    const flattened = article.replace(/\s+/g, ' ');
+    for (const q of selectMany) {
+      assert.equal(q.type, 'selectMany');
+      assert.ok(q.correctIndexes.length >= 2 && q.correctIndexes.length < q.options.length);
+      for (const i of q.correctIndexes) assert.ok(flattened.includes(q.options[i]), 'true statements are verbatim');
+    }
+  });
+
+  test('skips sentences already used by an earlier quiz', async () => {
+    const usedSentences = new Set();
+    const first = await heuristicBackend.generateQuizQuestions({ title: 'Photosynthesis', extractText, usedSentences });
+    const second = await heuristicBackend.generateQuizQuestions({
+      title: 'Photosynthesis',
+      extractText,
+      usedSentences,
+    });
+
+    const firstSentences = new Set(first.map((q) => q.sourceSentence));
+    assert.ok(second.every((q) => !firstSentences.has(q.sourceSentence)));
+  });
+
+  test('returns no questions when the text has nothing to ask about', async () => {
+    const questions = await heuristicBackend.generateQuizQuestions({ title: 'Empty', extractText: 'Too short.' });
+    assert.deepEqual(questions, []);
+  });
+});
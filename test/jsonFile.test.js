@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { writeJsonAtomic } from '../src/services/jsonFile.js';
+
+test('writeJsonAtomic survives concurrent writes to one file', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ethos-json-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'nested', 'record.json');
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => writeJsonAtomic(file, { write: i })));
+
+  const { write } = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.ok(Number.isInteger(write) && write >= 0 && write < 20);
+  assert.deepEqual(await fs.readdir(path.dirname(file)), ['record.json'], 'no temporary files are left behind');
+});
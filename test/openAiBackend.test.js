@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { createLlmStubApp } from '../src/dev/llmStubServer.js';
+import { generateDraft } from '../src/services/contentGenerator.js';
+import { parseDraft } from '../src/services/draftSchema.js';
+import { GenerationOutputError, createOpenAiBackend } from '../src/services/generation/openAiBackend.js';
+
+const text = [
+  '# Pumps',
+  '## Centrifugal pumps',
+  'A centrifugal pump is a machine that moves liquid by converting rotational energy into flow.',
+  'The impeller spins inside the casing and throws the liquid outward toward the discharge nozzle.',
+  'Cavitation happens when the suction pressure drops below the vapour pressure of the liquid.',
+  'Operators prevent cavitation by keeping the suction strainer clean and the tank level high.',
+  'Mechanical seals stop the pumped liquid from leaking along the rotating shaft of the pump.',
+  'Bearings support the shaft and are lubricated with grease every three months of service.',
+  'A priming chamber keeps liquid in the casing so that the pump can start without running dry.',
+].join('\n\n');
+
+describe('openAiBackend against the LLM stub', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = await new Promise((resolve) => {
+      const s = createLlmStubApp().listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+  after(() => new Promise((resolve) => server.close(() => resolve())));
+
+  const draftFrom = (model) =>
+    generateDraft({
+      source: { type: 'text', text },
+      generator: createOpenAiBackend({ baseUrl, model }),
+      usersCount: 0,
+      seed: 1,
+    });
+  // Heuristic questions record how they were made; the model's do not.
+  const fromHeuristics = (quiz) => quiz.questions.every((q) => q.strategy);
+
+  test('uses a valid reply as it is', async () => {
+    const draft = await draftFrom('stub');
+
+    assert.equal(draft.generation.backend, 'openai');
+    assert.deepEqual(draft.generation.fallbacks, []);
+    assert.equal(draft.lessons[0].cards.length, 5);
+    assert.equal(draft.quizzes[0].questions.length, 5);
+    assert.ok(draft.quizzes[0].questions.every((q) => !q.strategy && text.includes(q.sourceSentence)));
+    assert.doesNotThrow(() => parseDraft(draft));
+  });
+
+  const failures = [
+    ['stub-invalid', 'a reply that fails the schema', /^LLM (lesson cards|quiz questions) failed validation: /],
+    ['stub-garbage', 'a reply that is not JSON', /^LLM reply was not valid JSON$/],
+    ['stub-error', 'an HTTP 500', /^LLM request failed \(500\): stub failure$/],
+  ];
+  for (const [model, what, reason] of failures) {
+    test(`falls back to the heuristics on ${what}`, async () => {
+      const draft = await draftFrom(model);
+
+      assert.deepEqual(
+        draft.generation.fallbacks.map((f) => f.item),
+        ['Pumps — Lesson', 'Pumps — Quiz'],
+      );
+      for (const f of draft.generation.fallbacks) assert.match(f.reason, reason);
+      assert.ok(fromHeuristics(draft.quizzes[0]));
+      assert.equal(draft.quizzes[0].questions.length, 5);
+      assert.doesNotThrow(() => parseDraft(draft));
+    });
+  }
+
+  test('reports schema issues on the error it throws', async () => {
+    const backend = createOpenAiBackend({ baseUrl, model: 'stub-invalid' });
+    await assert.rejects(backend.generateQuizQuestions({ title: 'Pumps', extractText: text }), (e) => {
+      assert.ok(e instanceof GenerationOutputError);
+      assert.ok(e.issues.some((i) => i.path === 'questions.0.options'));
+      return true;
+    });
+  });
+});
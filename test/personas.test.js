@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { COHORTS, PERSONAS, assignPersonas, cohortSchema, resolveCohort } from '../src/services/personas.js';
+import { createRandom } from '../src/services/random.js';
+
+const defaults = { lessonCompletionRate: 0.8, quizParticipationRate: 0.7, quizScoreMean: 0.78, quizScoreStd: 0.12 };
+
+describe('resolveCohort', () => {
+  test('resolves a named cohort to the built-in personas', () => {
+    const { name, shares, personas } = resolveCohort('typical', defaults);
+    assert.equal(name, 'typical');
+    assert.deepEqual(shares, COHORTS.typical);
+    assert.deepEqual(personas.struggler, PERSONAS.struggler);
+  });
+
+  test('fills custom personas in from the simulation rates and overrides built-in ones', () => {
+    const { name, personas } = resolveCohort(
+      {
+        shares: { slow: 1, steady: 1 },
+        personas: {
+          slow: { quizScoreMean: 0.4, pacing: { secondsPerQuestion: [60, 90] } },
+          steady: { label: 'Consistent', pacing: { spread: 'late' } },
+        },
+      },
+      defaults,
+    );
+    assert.equal(name, 'custom');
+    assert.deepEqual(personas.slow, {
+      ...defaults,
+      label: 'slow',
+      quizScoreMean: 0.4,
+      pacing: { secondsPerQuestion: [60, 90], spread: 'even' },
+    });
+    assert.deepEqual(personas.steady, {
+      ...PERSONAS.steady,
+      label: 'Consistent',
+      pacing: { secondsPerQuestion: [15, 45], spread: 'late' },
+    });
+  });
+
+  test('rejects unknown personas', () => {
+    assert.throws(() => resolveCohort({ shares: { nobody: 1 } }, defaults), { status: 400, message: /nobody/ });
+  });
+
+  test('validates cohort definitions', () => {
+    assert.equal(cohortSchema.safeParse('atRisk').success, true);
+    assert.equal(cohortSchema.safeParse('unheard-of').success, false);
+    assert.equal(cohortSchema.safeParse({ shares: { steady: 0 } }).success, false);
+    const backwards = { shares: { slow: 1 }, personas: { slow: { pacing: { secondsPerQuestion: [30, 10] } } } };
+    assert.equal(cohortSchema.safeParse(backwards).success, false);
+  });
+});
+
+describe('assignPersonas', () => {
+  const count = (names) => names.reduce((n, name) => ({ ...n, [name]: (n[name] || 0) + 1 }), {});
+
+  test('splits users by share and accounts for every user', () => {
+    const names = assignPersonas(10, { a: 0.5, b: 0.3, c: 0.2 }, createRandom(1));
+    assert.deepEqual(count(names), { a: 5, b: 3, c: 2 });
+  });
+
+  test('gives the leftover users to the largest remainders', () => {
+    const names = assignPersonas(7, { a: 1, b: 1, c: 1, none: 0 }, createRandom(1));
+    assert.equal(names.length, 7);
+    assert.deepEqual(Object.values(count(names)).sort(), [2, 2, 3]);
+    assert.ok(!names.includes('none'));
+  });
+
+  test('shuffles who gets which persona by seed', () => {
+    const shares = { a: 1, b: 1 };
+    assert.deepEqual(assignPersonas(20, shares, createRandom(5)), assignPersonas(20, shares, createRandom(5)));
+    assert.notDeepEqual(assignPersonas(20, shares, createRandom(5)), assignPersonas(20, shares, createRandom(6)));
+  });
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createRandom } from '../src/services/random.js';
+
+describe('createRandom', () => {
+  const draw = (random, n = 20) => Array.from({ length: n }, () => random.next());
+
+  test('repeats the sequence for the same seed', () => {
+    assert.deepEqual(draw(createRandom(42)), draw(createRandom(42)));
+    assert.deepEqual(draw(createRandom(42)), draw(createRandom('42')), 'numbers and their strings match');
+    assert.notDeepEqual(draw(createRandom(42)), draw(createRandom(43)));
+  });
+
+  test('picks and echoes a seed when none is given', () => {
+    const random = createRandom();
+    assert.ok(Number.isInteger(random.seed));
+    assert.deepEqual(draw(createRandom(random.seed)), draw(random));
+  });
+
+  test('draws numbers in range', () => {
+    const random = createRandom('range');
+    const values = draw(random, 1000);
+    assert.ok(values.every((v) => v >= 0 && v < 1));
+    const ints = Array.from({ length: 1000 }, () => random.int(6));
+    assert.deepEqual([...new Set(ints)].sort(), [0, 1, 2, 3, 4, 5]);
+    const normals = Array.from({ length: 2000 }, () => random.normal());
+    const mean = normals.reduce((a, b) => a + b, 0) / normals.length;
+    assert.ok(Math.abs(mean) < 0.1, `mean ${mean} is near 0`);
+  });
+
+  test('shuffles into a permutation without touching the input', () => {
+    const input = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = createRandom(1).shuffle(input);
+    assert.deepEqual(input, [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepEqual([...shuffled].sort(), input);
+    assert.deepEqual(createRandom(1).shuffle(input), shuffled);
+  });
+
+  test('makes version 4 UUIDs', () => {
+    const random = createRandom('ids');
+    const ids = Array.from({ length: 50 }, () => random.uuid());
+    assert.ok(ids.every((id) => /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(id)));
+    assert.equal(new Set(ids).size, ids.length);
+  });
+});
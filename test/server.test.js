@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { DRAFT_SCHEMA_VERSION } from '../src/services/draftSchema.js';
+import { HistoryStore } from '../src/services/historyStore.js';
+import { PublishJournal } from '../src/services/publishJournal.js';
+import { startMockEthos } from './helpers/mockEthos.js';
+
+const draft = {
+  schemaVersion: DRAFT_SCHEMA_VERSION,
+  topic: 'Route test',
+  lessons: [{ name: 'Lesson 1', cards: [{ title: 'Intro', body: 'Intro body.' }] }],
+  quizzes: [
+    {
+      name: 'Quiz 1',
+      questions: [
+        { type: 'selectOne', question: 'Q1?', options: ['Right', 'Wrong', 'No', 'Nope'], correctIndex: 0 },
+        { type: 'trueFalse', question: 'Q2?', options: ['True', 'False'], correctIndex: 0 },
+      ],
+    },
+  ],
+  users: [{ firstName: 'Alex', lastName: 'Lee', email: 'alex@example.com' }],
+};
+
+describe('POST /api/ethos/simulate', () => {
+  let mock;
+  let server;
+  let dataDir;
+  let baseUrl;
+  let cookie = '';
+
+  // JSON requests against the app, keeping the session cookie between them.
+  const api = async (method, url, body) => {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(cookie && { Cookie: cookie }) },
+      body: body && JSON.stringify(body),
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    mock = await startMockEthos();
+    dataDir = await mkdtemp(path.join(os.tmpdir(), 'ethos-content-test-'));
+    // config.js reads these when the server module loads.
+    Object.assign(process.env, { ETHOS_BASE_URL: mock.baseUrl, ETHOS_STUB_AUTH: 'true', DATA_DIR: dataDir });
+    const { app } = await import('../src/server.js');
+    server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await mock.close();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('requires a login', async () => {
+    const res = await api('POST', '/api/ethos/simulate', { published: {} });
+    assert.equal(res.status, 401);
+  });
+
+  describe('when logged in', () => {
+    let runId;
+
+    before(async () => {
+      const email = 'tester@example.com';
+      const { body } = await api('POST', '/api/auth/organizations', { email });
+      const login = await api('POST', '/api/auth/login', {
+        email,
+        password: 'x',
+        organizationId: body.organizations[0].id,
+      });
+      assert.equal(login.status, 200);
+
+      const publish = await api('POST', '/api/ethos/publish', {
+        draft,
+        createCourse: true,
+        autoPublishCourse: false,
+        autoPublishLearningItems: true,
+      });
+      assert.equal(publish.status, 200, JSON.stringify(publish.body));
+      runId = publish.body.publishRun.runId;
+    });
+
+    test('rejects a request without a run or a published result', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      const res = await api('POST', '/api/ethos/simulate', {});
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /Provide a publish runId or a published result/);
+    });
+
+    test('returns 404 for an unknown run', async () => {
+      const res = await api('POST', '/api/ethos/simulate', { runId: 'run-0000000000000000' });
+      assert.equal(res.status, 404);
+    });
+
+    test("keeps another tenant's publish runs out of reach", async () => {
+      const journal = new PublishJournal({ dir: path.join(dataDir, 'publish-runs') });
+      const other = await journal.begin('run-other-tenant-1', {
+        tenant: { baseUrl: 'https://other.example.com', organizationId: 'org-other' },
+      });
+      journal.release(other);
+
+      const runs = (await api('GET', '/api/ethos/publish/runs')).body.runs.map((r) => r.runId);
+      assert.ok(runs.includes(runId));
+      assert.ok(!runs.includes(other.runId));
+      assert.ok(!(await api('GET', '/api/history')).body.publishRuns.some((r) => r.runId === other.runId));
+      assert.equal((await api('GET', `/api/ethos/publish/runs/${other.runId}`)).status, 404);
+      assert.equal((await api('GET', `/api/ethos/publish/runs/${runId}`)).status, 200);
+      assert.equal((await api('POST', '/api/ethos/simulate', { runId: other.runId })).status, 404);
+      assert.equal((await api('POST', '/api/ethos/teardown', { runId: other.runId })).status, 404);
+    });
+
+    test("keeps another tenant's history out of reach", async (t) => {
+      t.mock.method(console, 'error', () => {});
+      const history = new HistoryStore({ dir: path.join(dataDir, 'history') });
+      const tenant = { baseUrl: 'https://other.example.com', organizationId: 'org-other' };
+      const other = await history.save('drafts', { tenant, title: 'Other draft', data: { draft } });
+      const own = await api('POST', '/api/history/drafts', { draft });
+      assert.equal(own.status, 200);
+
+      const drafts = (await api('GET', '/api/history')).body.drafts.map((d) => d.id);
+      assert.ok(drafts.includes(own.body.id));
+      assert.ok(!drafts.includes(other.id));
+      assert.equal((await api('GET', `/api/history/drafts/${own.body.id}`)).status, 200);
+      assert.equal((await api('GET', `/api/history/drafts/${other.id}`)).status, 404);
+      assert.equal((await api('POST', '/api/history/drafts', { id: other.id, draft })).status, 404);
+      assert.equal((await history.load('drafts', other.id, { tenant })).title, 'Other draft');
+    });
+
+    test('simulates a journaled publish run and saves it to the history', async () => {
+      const res = await api('POST', '/api/ethos/simulate', {
+        runId,
+        lessonCompletionRate: 1,
+        quizParticipationRate: 1,
+        quizScoreMean: 1,
+        quizScoreStd: 0,
+        seed: 1234,
+      });
+
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      assert.equal(res.body.seed, 1234);
+      assert.equal(res.body.enrollmentWait.foundEnrollments, 2);
+      const [user] = res.body.perUserResults;
+      assert.equal(user.completedLessons.length, 1);
+      assert.equal(user.completedQuizzes[0].finalEnrollment.percentCorrect, 100);
+
+      const saved = await api('GET', `/api/history/simulations/${res.body.simulationId}`);
+      assert.equal(saved.status, 200);
+      assert.equal(saved.body.links.runId, runId);
+      assert.equal(saved.body.data.options.seed, 1234);
+    });
+
+    test('runs in the background as a job', async () => {
+      const start = await api('POST', '/api/ethos/simulate', {
+        runId,
+        lessonCompletionRate: 1,
+        quizParticipationRate: 0,
+        background: true,
+      });
+      assert.equal(start.status, 202);
+      assert.deepEqual(start.body.job.meta, { users: 1, runId });
+
+      let job;
+      for (let i = 0; i < 100; i++) {
+        job = (await api('GET', `/api/jobs/${start.body.jobId}`)).body;
+        if (job.finishedAt) break;
+        await sleep(50);
+      }
+      assert.equal(job.status, 'succeeded', JSON.stringify(job.error));
+      assert.equal(job.result.perUserResults[0].completedQuizzes.length, 0);
+      assert.equal(job.progress.done, job.progress.total);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { generateDraft } from '../src/services/contentGenerator.js';
+import { loadSource } from '../src/services/sources/index.js';
+
+const fixtures = fileURLToPath(new URL('./fixtures/sources/', import.meta.url));
+
+const paragraph = (topic) =>
+  `${topic} is described here at enough length to count as a paragraph of the document, not a stray line.`;
+
+describe('text source', () => {
+  test('keeps the Markdown title of a file read from disk', async () => {
+    const text = ['# Standard operating procedure', '## Inspection', paragraph('Inspection')].join('\n\n');
+    const doc = await loadSource({ type: 'text', text, fileName: 'sop.md' });
+
+    assert.equal(doc.title, 'Standard operating procedure');
+    assert.equal(doc.fileName, 'sop.md');
+    assert.deepEqual(
+      doc.sections.map((s) => s.title),
+      ['Inspection'],
+    );
+  });
+
+  test('names a file without a heading after the file', async () => {
+    const doc = await loadSource({ type: 'text', text: paragraph('Inspection'), fileName: 'sop.md' });
+    assert.equal(doc.title, 'sop');
+  });
+});
+
+describe('local directory source', () => {
+  const load = (relPath, rootDir = fixtures) =>
+    loadSource({ type: 'localDirectory', path: relPath }, { localDirectoryRoot: rootDir });
+
+  test('reads the text files of a directory in file name order', async () => {
+    const doc = await load('sops');
+
+    assert.equal(doc.title, 'sops');
+    assert.deepEqual(
+      doc.sections.map((s) => [s.file, s.title]),
+      [
+        [path.join('sops', '01-inspection.md'), 'Pressure inspection'],
+        [path.join('sops', '01-inspection.md'), 'Checklist'],
+        [path.join('sops', '02_lockout.txt'), 'lockout'],
+      ],
+    );
+  });
+
+  test('names a single file after its heading', async () => {
+    const doc = await load('sops/01-inspection.md');
+    assert.equal(doc.title, 'Pressure inspection');
+  });
+
+  test('rejects paths outside the root', async () => {
+    await assert.rejects(load('../helpers'), { message: 'Source path must be inside SOURCE_DOCS_DIR' });
+    await assert.rejects(load(path.resolve(fixtures, '..')), { message: 'Source path must be inside SOURCE_DOCS_DIR' });
+    await assert.rejects(load('missing'), { message: 'Source path not found: missing' });
+    await assert.rejects(load('.', null), { message: /disabled/ });
+  });
+
+  test('does not follow symlinks out of the root', async (t) => {
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'ethos-sources-test-'));
+    t.after(() => fs.rm(tmp, { recursive: true, force: true }));
+    const root = path.join(tmp, 'root');
+    await fs.mkdir(path.join(root, 'docs'), { recursive: true });
+    await fs.cp(path.join(fixtures, 'sops', '02_lockout.txt'), path.join(root, 'docs', 'lockout.txt'));
+    await fs.mkdir(path.join(tmp, 'secret'));
+    await fs.writeFile(path.join(tmp, 'secret', 'keys.md'), paragraph('The secret'));
+    await fs.symlink(path.join(tmp, 'secret'), path.join(root, 'escape'));
+    await fs.symlink(path.join(tmp, 'secret', 'keys.md'), path.join(root, 'docs', 'keys.md'));
+    await fs.symlink(path.join(root, 'docs', 'lockout.txt'), path.join(root, 'docs', 'same.txt'));
+
+    await assert.rejects(load('escape', root), { message: 'Source path must be inside SOURCE_DOCS_DIR' });
+    await assert.rejects(load('escape/keys.md', root), { message: 'Source path must be inside SOURCE_DOCS_DIR' });
+    await assert.rejects(load('docs/keys.md', root), { message: 'Source path must be inside SOURCE_DOCS_DIR' });
+    // Listing a directory skips the link that leaves the root and keeps the one that stays inside.
+    const doc = await load('docs', root);
+    assert.deepEqual(
+      [...new Set(doc.sections.map((s) => s.file))],
+      [path.join('docs', 'lockout.txt'), path.join('docs', 'same.txt')],
+    );
+  });
+});
+
+describe('document source', () => {
+  const upload = async (fileName) => ({
+    type: 'document',
+    buffer: await fs.readFile(path.join(fixtures, fileName)),
+    fileName,
+  });
+  const load = async (fileName) => loadSource(await upload(fileName));
+
+  test('reads PDF sections from the larger headings and keeps page numbers', async () => {
+    const doc = await load('valves.pdf');
+
+    assert.equal(doc.title, 'Valve maintenance');
+    assert.equal(doc.fileName, 'valves.pdf');
+    assert.deepEqual(
+      doc.sections.map((s) => [s.title, s.paragraphs.length, s.paragraphPages]),
+      [
+        ['Relief valves', 2, [1, 1]],
+        ['Mechanical seals', 1, [2]],
+      ],
+    );
+    // Lines of one paragraph are joined back together.
+    assert.match(doc.sections[0].paragraphs[0], /in a vessel exceeds its set point, and closes again/);
+  });
+
+  test('reads DOCX sections from the heading styles', async () => {
+    const doc = await load('forklift.docx');
+
+    assert.equal(doc.title, 'Forklift safety');
+    assert.deepEqual(
+      doc.sections.map((s) => [s.title, s.paragraphs.length]),
+      [
+        ['Pre-use checks', 2],
+        ['Loading', 1],
+      ],
+    );
+  });
+
+  test('generates a draft that cites the file and its pages', async () => {
+    const draft = await generateDraft({
+      source: await upload('valves.pdf'),
+      lessonsCount: 2,
+      quizzesCount: 0,
+      usersCount: 0,
+    });
+    assert.deepEqual(
+      draft.lessons.map((l) => l.cards[0].citation),
+      ['valves.pdf, p. 1', 'valves.pdf, p. 2'],
+    );
+  });
+
+  test('refuses other file types and unreadable files', async () => {
+    await assert.rejects(loadSource({ type: 'document', buffer: Buffer.from('x'), fileName: 'notes.odt' }), {
+      message: 'Only PDF and DOCX files are supported',
+    });
+    await assert.rejects(loadSource({ type: 'document', buffer: Buffer.from('not a pdf'), fileName: 'broken.pdf' }), {
+      message: /^Could not read broken\.pdf: /,
+    });
+  });
+});